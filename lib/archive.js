@@ -0,0 +1,384 @@
+// ============================================
+// EXPORT ARCHIVES
+// ============================================
+// Layout of the ZIP produced by GET /api/export and read back by import:
+//   manifest.json       format version, export time and account
+//   notes/<title>.md    one Markdown file per note, front matter holding
+//                       id, title, notebook, tags, pinned and dates
+//   todos/todos.json    every todo as stored
+//   todos/todos.csv     the same todos for spreadsheets
+//   files/files.json    uploaded file details, with each file's path below
+//   files/<name>        the uploaded files themselves
+// A ZIP without manifest.json is read as a folder of Markdown notes, the
+// folder each file sits in becoming its notebook.
+const path = require('path');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+
+const ARCHIVE_FORMAT = 1;
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const TODO_CSV_COLUMNS = ['id', 'text', 'completed', 'dueDate', 'dueTime', 'priority', 'tags', 'notes', 'recurrence', 'createdAt', 'updatedAt'];
+const MAX_TEXT_ENTRY_BYTES = 10 * 1024 * 1024;
+
+// ---- Markdown notes ----
+
+// Values are written as JSON, which YAML readers also accept
+function noteToMarkdown(note) {
+    const fields = {
+        id: note.id,
+        title: note.title,
+        notebook: note.notebook || undefined,
+        tags: note.tags && note.tags.length ? note.tags : undefined,
+        pinned: note.pinned || undefined,
+        createdAt: note.createdAt,
+        updatedAt: note.updatedAt
+    };
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+
+    return `---\n${lines.join('\n')}\n---\n\n${note.content}\n`;
+}
+
+function parseScalar(raw) {
+    const value = raw.trim();
+    if (/^["[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            // Not JSON: fall through to YAML-style handling
+        }
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(item => parseScalar(item)).filter(item => item !== '');
+    }
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// The simple YAML found in note front matter: `key: value` lines, [a, b]
+// lists and `- item` block lists
+function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER);
+    if (!match) return { data: {}, body: text };
+
+    const data = {};
+    let listKey = null;
+    for (const line of match[1].split(/\r?\n/)) {
+        const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s*(.*)$/));
+        if (item && listKey) {
+            data[listKey].push(parseScalar(item[1]));
+            continue;
+        }
+
+        const field = line.match(/^([\w-]+):\s*(.*)$/);
+        if (!field) continue;
+        if (field[2].trim() === '') {
+            listKey = field[1];
+            data[listKey] = [];
+        } else {
+            listKey = null;
+            data[field[1]] = parseScalar(field[2]);
+        }
+    }
+    return { data, body: text.slice(match[0].length) };
+}
+
+// A note from a Markdown file. The title comes from the front matter, the
+// first heading or the file name, and tags may be a list or comma separated.
+function markdownToNote(text, filePath, notebook = null) {
+    const { data, body } = parseFrontMatter(text.replace(/^﻿/, ''));
+    const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+    const tags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(',');
+
+    return {
+        id: data.id || null,
+        title: String(data.title || (heading && heading[1]) || path.posix.basename(filePath).replace(MARKDOWN_FILE, '')).trim(),
+        content: body.trim(),
+        notebook: data.notebook ? String(data.notebook) : notebook,
+        tags: tags.map(tag => String(tag).trim().replace(/^#/, '').toLowerCase()).filter(Boolean),
+        pinned: data.pinned === true,
+        createdAt: typeof data.createdAt === 'string' ? data.createdAt : null,
+        updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : null,
+        path: filePath
+    };
+}
+
+// ---- Todos as CSV ----
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function todosToCsv(todos) {
+    const rows = todos.map(todo => TODO_CSV_COLUMNS.map(column => {
+        if (column === 'tags') return csvField((todo.tags || []).join(' '));
+        if (column === 'recurrence') return csvField(todo.recurrence ? todo.recurrence.rrule : '');
+        return csvField(todo[column]);
+    }).join(','));
+    return [TODO_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function csvToTodos(text) {
+    const [header = [], ...rows] = parseCsv(text.replace(/^﻿/, ''));
+    return rows.map(values => {
+        const row = Object.fromEntries(header.map((column, i) => [column.trim(), values[i] || '']));
+        return {
+            id: row.id ? Number(row.id) : null,
+            text: row.text,
+            completed: /^(true|yes|1|x)$/i.test(row.completed),
+            dueDate: row.dueDate || null,
+            dueTime: row.dueTime || null,
+            priority: row.priority || 'none',
+            tags: row.tags ? row.tags.split(/[\s,]+/).filter(Boolean) : [],
+            notes: row.notes || '',
+            recurrence: row.recurrence ? { type: 'rrule', rrule: row.recurrence } : null,
+            createdAt: row.createdAt || null,
+            updatedAt: row.updatedAt || null
+        };
+    });
+}
+
+// ---- Writing ----
+
+function fileSafeName(name, fallback) {
+    const safe = String(name || '')
+        .replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '')
+        .slice(0, 100);
+    return safe || fallback;
+}
+
+// Adds " (2)", " (3)"... before the extension until the path is unused
+function uniquePath(filePath, used) {
+    const { dir, name, ext } = path.posix.parse(filePath);
+    let candidate = filePath;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = path.posix.join(dir, `${name} (${n})${ext}`);
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Streams the archive into `output`. filePath(file) gives the location of an
+// uploaded file on disk, or null if it is missing (it is then left out).
+function writeArchive(output, { owner, notes, todos, files, filePath }) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const used = new Set();
+
+    const done = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        archive.on('warning', error => console.error('Export warning:', error.message));
+        output.on('close', resolve);
+        output.on('finish', resolve);
+    });
+    archive.pipe(output);
+
+    archive.append(JSON.stringify({
+        format: ARCHIVE_FORMAT,
+        exportedAt: new Date().toISOString(),
+        owner,
+        counts: { notes: notes.length, todos: todos.length, files: files.length }
+    }, null, 2), { name: 'manifest.json' });
+
+    for (const note of notes) {
+        const name = uniquePath(`notes/${fileSafeName(note.title, `note-${note.id}`)}.md`, used);
+        archive.append(noteToMarkdown(note), { name, date: new Date(note.updatedAt || note.createdAt) });
+    }
+
+    archive.append(JSON.stringify(todos, null, 2), { name: 'todos/todos.json' });
+    archive.append(todosToCsv(todos), { name: 'todos/todos.csv' });
+
+    const fileEntries = [];
+    for (const file of files) {
+        const source = filePath(file);
+        if (!source) continue;
+        const name = uniquePath(`files/${fileSafeName(file.name, `file-${file.id}`)}`, used);
+        archive.file(source, { name, date: new Date(file.uploadedAt) });
+        fileEntries.push({ ...file, path: name });
+    }
+    archive.append(JSON.stringify(fileEntries, null, 2), { name: 'files/files.json' });
+
+    archive.finalize();
+    return done;
+}
+
+// ---- Reading ----
+
+function openZip(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+            if (error) return reject(error);
+
+            const entries = [];
+            zipfile.on('entry', entry => {
+                entries.push(entry);
+                zipfile.readEntry();
+            });
+            zipfile.on('end', () => resolve({ zipfile, entries }));
+            zipfile.on('error', reject);
+            zipfile.readEntry();
+        });
+    });
+}
+
+function openEntry(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+    });
+}
+
+async function readEntryText(zipfile, entry) {
+    if (entry.uncompressedSize > MAX_TEXT_ENTRY_BYTES) {
+        throw new Error(`${entry.fileName} is too large`);
+    }
+    const chunks = [];
+    for await (const chunk of await openEntry(zipfile, entry)) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Folder of each Markdown file relative to the folder they all share,
+// which becomes the note's notebook
+function notebooksByPath(paths) {
+    const dirs = paths.map(p => path.posix.dirname(p).split('/').filter(part => part !== '.'));
+    let common = dirs.length ? dirs[0].length : 0;
+    for (const dir of dirs) {
+        let i = 0;
+        while (i < common && dir[i] === dirs[0][i]) i++;
+        common = i;
+    }
+    return new Map(paths.map((p, i) => [p, dirs[i].length > common ? dirs[i][dirs[i].length - 1] : null]));
+}
+
+// Markdown files given as { path, text } (a folder upload), as notes
+function markdownFilesToNotes(files) {
+    const notebooks = notebooksByPath(files.map(file => file.path));
+    return files.map(file => markdownToNote(file.text, file.path, notebooks.get(file.path)));
+}
+
+// JSON that has to hold a list, such as todos/todos.json
+function parseJsonList(text, name) {
+    const list = JSON.parse(text);
+    if (!Array.isArray(list)) throw new Error(`${name} must hold a list`);
+    return list;
+}
+
+function isHiddenEntry(fileName) {
+    return fileName.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+// Reads an export archive, or a ZIP of Markdown files. Uploaded files in
+// the archive are passed to saveFile(stream, { name, size }), which stores
+// them and resolves to details to keep, or to null to skip the file.
+// Resolves to { format, notes, todos, files }; todos is null when the
+// archive has none (a Markdown folder).
+async function readArchive(zipPath, { saveFile }) {
+    const { zipfile, entries } = await openZip(zipPath);
+
+    try {
+        const byName = new Map(entries
+            .filter(entry => !entry.fileName.endsWith('/') && !isHiddenEntry(entry.fileName))
+            .map(entry => [entry.fileName, entry]));
+        const text = name => byName.has(name) ? readEntryText(zipfile, byName.get(name)) : null;
+
+        const manifestText = await text('manifest.json');
+        if (!manifestText) {
+            const markdown = [];
+            for (const [name, entry] of byName) {
+                if (MARKDOWN_FILE.test(name)) markdown.push({ path: name, text: await readEntryText(zipfile, entry) });
+            }
+            return { format: null, notes: markdownFilesToNotes(markdown), todos: null, files: [] };
+        }
+
+        const manifest = JSON.parse(manifestText);
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('manifest.json is not an export manifest');
+        }
+        if (manifest.format > ARCHIVE_FORMAT) {
+            throw new Error('This archive comes from a newer version of the app');
+        }
+
+        const notes = [];
+        for (const [name, entry] of byName) {
+            if (name.startsWith('notes/') && MARKDOWN_FILE.test(name)) {
+                notes.push(markdownToNote(await readEntryText(zipfile, entry), name));
+            }
+        }
+
+        const todosJson = await text('todos/todos.json');
+        const todosCsv = todosJson ? null : await text('todos/todos.csv');
+        const todos = todosJson ? parseJsonList(todosJson, 'todos/todos.json') : todosCsv ? csvToTodos(todosCsv) : [];
+
+        const files = [];
+        const fileList = parseJsonList(await text('files/files.json') || '[]', 'files/files.json');
+        for (const details of fileList) {
+            const entry = details && typeof details.path === 'string' ? byName.get(details.path) : null;
+            if (!entry) continue;
+            const name = typeof details.name === 'string' && details.name.trim()
+                ? details.name
+                : path.posix.basename(details.path);
+            const stream = await openEntry(zipfile, entry);
+            const saved = await saveFile(stream, { name, size: entry.uncompressedSize });
+            if (saved) files.push({ ...details, name, ...saved });
+        }
+
+        return { format: manifest.format, notes, todos, files };
+    } finally {
+        zipfile.close();
+    }
+}
+
+module.exports = {
+    writeArchive,
+    readArchive,
+    markdownFilesToNotes,
+    noteToMarkdown,
+    parseFrontMatter,
+    todosToCsv,
+    csvToTodos
+};
@@ -0,0 +1,281 @@
+// ============================================
+// CHAT PROVIDERS
+// ============================================
+// CHAT_PROVIDER=local (default) answers from a small set of rules and needs
+// nothing else. CHAT_PROVIDER=openai sends the conversation to any server
+// that speaks the OpenAI chat completions API at CHAT_API_BASE_URL, which
+// can be api.openai.com or a local model server (Ollama, llama.cpp,
+// LM Studio...).
+// Every provider exposes name and stream(messages, { signal, tools, today }),
+// an async iterator of text chunks and { toolCall: { name, arguments } }
+// objects, where messages are [{ role, content }] with role system, user or
+// assistant, and tools are definitions from lib/chat-tools the provider may
+// call. today (YYYY-MM-DD, the user's date) resolves "tomorrow" and the like.
+const { parseIntent } = require('./chat-tools');
+
+const LOCAL_REPLIES = [
+    'Indeed, that is a most intriguing thought!',
+    'Pray tell, would you like me to elaborate on that matter?',
+    'A splendid observation, if I may say so myself.',
+    'How fascinating! The pursuit of knowledge is truly noble.',
+    'I find your inquiry most stimulating, dear friend.',
+    'Your words carry wisdom beyond measure.',
+    'Allow me to ponder upon this matter with great care.',
+    'How delightful to engage in such scholarly discourse!'
+];
+
+// First matching rule answers; reply(match, text) may return null to pass
+const LOCAL_RULES = [
+    {
+        pattern: /^\s*(hello|hi|hey|greetings|good (morning|afternoon|evening))\b/i,
+        reply: () => 'Greetings! How may I be of service today?'
+    },
+    {
+        pattern: /\b(thanks|thank you|much obliged)\b/i,
+        reply: () => 'You are most welcome. It is a pleasure to be of help.'
+    },
+    {
+        pattern: /\b(bye|goodbye|farewell|good night)\b/i,
+        reply: () => 'Farewell, and do return whenever you have need of me.'
+    },
+    {
+        pattern: /\b(who|what) are you\b/i,
+        reply: () => 'I am the scholarly assistant of The Gilded Desk, here to help with your notes, tasks and musings.'
+    },
+    {
+        pattern: /\b(help|what can you do)\b/i,
+        reply: () => 'I can tell you the date and time, work out sums such as "12 * (3 + 4)", and point you to the Notes, Todos, Weather and File Cabinet sections. Ask away!'
+    },
+    {
+        pattern: /\bwhat(?:'s| is) the time\b|\bwhat time is it\b/i,
+        reply: () => `By my pocket watch it is ${new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}.`
+    },
+    {
+        pattern: /\bwhat(?:'s| is) (?:the )?(?:date|day)\b|\bwhat day is it\b/i,
+        reply: () => `Today is ${new Date().toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}.`
+    },
+    {
+        pattern: /^[\s\d+\-*/().%^]*\d[\s\d+\-*/().%^]*[=?]?\s*$|\b(?:what is|calculate|compute)\s+([\d\s+\-*/().%^]+)\??$/i,
+        reply: (match, text) => {
+            const result = evaluateArithmetic((match[1] || text).replace(/[=?]\s*$/, ''));
+            return result === null ? null : `That comes to ${result}.`;
+        }
+    },
+    {
+        pattern: /\bweather\b/i,
+        reply: () => 'The Weather section will tell you the conditions in any city you name.'
+    },
+    {
+        pattern: /\b(todo|task|reminder)s?\b/i,
+        reply: () => 'Your tasks live in the Todos section, where you may give them due dates, priorities and reminders.'
+    },
+    {
+        pattern: /\bnotes?\b/i,
+        reply: () => 'The Notes section keeps your writing, with Markdown, notebooks, tags and [[links]] between notes.'
+    },
+    {
+        pattern: /\b(file|upload|document)s?\b/i,
+        reply: () => 'The File Cabinet stores your documents; drop them onto the upload area to file them away.'
+    }
+];
+
+// Evaluates + - * / % ^ and parentheses without eval. Returns null for
+// anything else or a non-finite result.
+function evaluateArithmetic(expression) {
+    const tokens = String(expression).match(/\d+(?:\.\d+)?|\.\d+|[+\-*/%^()]|\S/g) || [];
+    let i = 0;
+
+    const peek = () => tokens[i];
+    const next = () => tokens[i++];
+
+    function parseExpression() {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    }
+
+    function parseTerm() {
+        let value = parseFactor();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = next();
+            const right = parseFactor();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    }
+
+    function parseFactor() {
+        const base = parseUnary();
+        return peek() === '^' ? (next(), base ** parseFactor()) : base;
+    }
+
+    function parseUnary() {
+        if (peek() === '-') {
+            next();
+            return -parseUnary();
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        if (peek() === '(') {
+            next();
+            const value = parseExpression();
+            if (next() !== ')') throw new Error('Unbalanced parentheses');
+            return value;
+        }
+        const token = next();
+        if (token === undefined || !/^[\d.]/.test(token)) throw new Error('Expected a number');
+        return parseFloat(token);
+    }
+
+    try {
+        const value = parseExpression();
+        if (i !== tokens.length || !Number.isFinite(value)) return null;
+        return Math.round(value * 1e10) / 1e10;
+    } catch (error) {
+        return null;
+    }
+}
+
+function lastUserMessage(messages) {
+    const message = [...messages].reverse().find(m => m.role === 'user');
+    return message ? message.content : '';
+}
+
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+class LocalChatProvider {
+    constructor({ typingDelayMs = 30 } = {}) {
+        this.name = 'local';
+        this.typingDelayMs = typingDelayMs;
+    }
+
+    reply(text) {
+        for (const rule of LOCAL_RULES) {
+            const match = text.match(rule.pattern);
+            const reply = match && rule.reply(match, text);
+            if (reply) return reply;
+        }
+        return LOCAL_REPLIES[Math.floor(Math.random() * LOCAL_REPLIES.length)];
+    }
+
+    // Sent a word at a time so the reply types itself out like a model's.
+    // Requests the intent parser recognises become tool calls instead.
+    async *stream(messages, { signal, tools = [], today } = {}) {
+        const text = lastUserMessage(messages);
+        const toolCall = tools.length > 0 ? parseIntent(text, { today }) : null;
+        if (toolCall && tools.some(tool => tool.name === toolCall.name)) {
+            yield { toolCall };
+            return;
+        }
+
+        const words = this.reply(text).match(/\S+\s*/g) || [];
+        for (const word of words) {
+            if (signal?.aborted) return;
+            yield word;
+            if (this.typingDelayMs > 0) await sleep(this.typingDelayMs, signal);
+        }
+    }
+}
+
+class OpenAIChatProvider {
+    constructor({ baseUrl, apiKey, model, timeoutMs }) {
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async *stream(messages, { signal, tools = [] } = {}) {
+        const signals = [AbortSignal.timeout(this.timeoutMs), signal].filter(Boolean);
+        const body = { model: this.model, messages, stream: true };
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.any(signals)
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`Chat API responded ${response.status}: ${body.slice(0, 200)}`);
+        }
+
+        // Server-sent events: "data: {json}" lines, ending with "data: [DONE]".
+        // Tool calls arrive in pieces (name, then the arguments JSON a few
+        // characters at a time) and are passed on once complete.
+        const toolCalls = [];
+        const decoder = new TextDecoder();
+        let buffer = '';
+        stream: for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.trim().replace(/^data:\s*/, '');
+                if (!line.startsWith('data:') || !data) continue;
+                if (data === '[DONE]') break stream;
+
+                const delta = JSON.parse(data).choices?.[0]?.delta || {};
+                if (delta.content) yield delta.content;
+
+                for (const part of delta.tool_calls || []) {
+                    const call = toolCalls[part.index || 0] ||= { name: '', arguments: '' };
+                    call.name += part.function?.name || '';
+                    call.arguments += part.function?.arguments || '';
+                }
+            }
+        }
+
+        for (const call of toolCalls.filter(Boolean)) {
+            let args = {};
+            try {
+                args = call.arguments ? JSON.parse(call.arguments) : {};
+            } catch (error) {
+                console.error(`Ignoring malformed arguments for tool ${call.name}`);
+            }
+            yield { toolCall: { name: call.name, arguments: args } };
+        }
+    }
+}
+
+function createChatProvider(options = {}) {
+    const provider = (options.provider || process.env.CHAT_PROVIDER || 'local').toLowerCase();
+
+    if (provider === 'local') {
+        return new LocalChatProvider(options);
+    }
+
+    if (provider === 'openai') {
+        return new OpenAIChatProvider({
+            baseUrl: options.baseUrl || process.env.CHAT_API_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: options.apiKey || process.env.CHAT_API_KEY || null,
+            model: options.model || process.env.CHAT_MODEL || 'gpt-4o-mini',
+            timeoutMs: options.timeoutMs || (parseInt(process.env.CHAT_TIMEOUT_SECONDS) || 60) * 1000
+        });
+    }
+
+    throw new Error(`Unknown CHAT_PROVIDER "${provider}" (expected "local" or "openai")`);
+}
+
+module.exports = { createChatProvider };
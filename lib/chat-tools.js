@@ -0,0 +1,309 @@
+// ============================================
+// CHAT TOOLS
+// ============================================
+// Actions the chat assistant can take in the suite. Providers that support
+// function calling get CHAT_TOOLS as JSON schemas; the local provider finds
+// the same calls with parseIntent, a fixed set of phrasings that needs no
+// model. Either way a call only becomes a proposal: the server shows it as
+// a card and runs it once the user confirms (see /api/chat in server.js).
+//
+// Dates are YYYY-MM-DD in the user's time zone; `today` is passed in so the
+// parser gives the same answer for the same input.
+const CHAT_TOOLS = [
+    {
+        name: 'create_todo',
+        description: 'Add a task to the user\'s todo list.',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'What needs doing' },
+                dueDate: { type: 'string', description: 'Due date as YYYY-MM-DD' },
+                priority: { type: 'string', enum: ['low', 'medium', 'high'] }
+            },
+            required: ['text']
+        }
+    },
+    {
+        name: 'list_todos',
+        description: 'List the user\'s tasks.',
+        parameters: {
+            type: 'object',
+            properties: {
+                filter: { type: 'string', enum: ['open', 'today', 'overdue', 'completed'] }
+            }
+        }
+    },
+    {
+        name: 'create_note',
+        description: 'Create a note.',
+        parameters: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                content: { type: 'string', description: 'Markdown body of the note' }
+            },
+            required: ['title', 'content']
+        }
+    },
+    {
+        name: 'list_notes',
+        description: 'List the user\'s notes, optionally only those edited between two dates.',
+        parameters: {
+            type: 'object',
+            properties: {
+                since: { type: 'string', description: 'YYYY-MM-DD, inclusive' },
+                until: { type: 'string', description: 'YYYY-MM-DD, inclusive' }
+            }
+        }
+    },
+    {
+        name: 'summarize_notes',
+        description: 'Summarize the user\'s notes edited between two dates.',
+        parameters: {
+            type: 'object',
+            properties: {
+                since: { type: 'string', description: 'YYYY-MM-DD, inclusive' },
+                until: { type: 'string', description: 'YYYY-MM-DD, inclusive' }
+            }
+        }
+    },
+    {
+        name: 'search',
+        description: 'Search the user\'s notes, todos and files.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string' }
+            },
+            required: ['query']
+        }
+    }
+];
+
+const TOOL_NAMES = CHAT_TOOLS.map(tool => tool.name);
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(dateKey, days) {
+    return new Date(toDate(dateKey).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function startOfWeek(dateKey) {
+    const weekday = toDate(dateKey).getUTCDay();
+    return addDays(dateKey, -((weekday + 6) % 7));
+}
+
+// "tomorrow", "on friday", "next monday", "in 3 days", "2026-11-02"...
+// Returns YYYY-MM-DD or null.
+function parseDueDate(phrase, today) {
+    const text = phrase.toLowerCase().replace(/^(on|by|due|for)\s+/, '').trim();
+
+    if (text === 'today' || text === 'tonight') return today;
+    if (text === 'tomorrow') return addDays(today, 1);
+    if (text === 'the day after tomorrow') return addDays(today, 2);
+    if (text === 'next week') return addDays(today, 7);
+
+    const relative = text.match(/^in (\d+|a|one|two|three) (day|week)s?$/);
+    if (relative) {
+        const count = { a: 1, one: 1, two: 2, three: 3 }[relative[1]] || parseInt(relative[1]);
+        return addDays(today, count * (relative[2] === 'week' ? 7 : 1));
+    }
+
+    const weekday = text.match(/^(next |this )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+    if (weekday) {
+        // The coming one, never today ("next friday" is read the same way)
+        return addDays(today, (WEEKDAYS.indexOf(weekday[2]) - toDate(today).getUTCDay() + 7) % 7 || 7);
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(toDate(text))) return text;
+    return null;
+}
+
+// "this week", "today", "last week", "the past 3 days"... Returns
+// { since, until } (until may be null) or null.
+function parsePeriod(phrase, today) {
+    const text = phrase.toLowerCase().replace(/^(from|in|during|over|for|since)\s+/, '').trim();
+
+    if (text === 'today') return { since: today, until: null };
+    if (text === 'yesterday') return { since: addDays(today, -1), until: addDays(today, -1) };
+    if (text === 'this week') return { since: startOfWeek(today), until: null };
+    if (text === 'last week') {
+        const since = addDays(startOfWeek(today), -7);
+        return { since, until: addDays(since, 6) };
+    }
+    if (text === 'this month') return { since: `${today.slice(0, 7)}-01`, until: null };
+
+    const recent = text.match(/^(?:the )?(?:past|last) (\d+) (day|week)s?$/);
+    if (recent) {
+        return { since: addDays(today, -parseInt(recent[1]) * (recent[2] === 'week' ? 7 : 1)), until: null };
+    }
+    return null;
+}
+
+const DUE_PHRASE = /\s+((?:on |by |due |for )?(?:today|tonight|tomorrow|the day after tomorrow|next week|in (?:\d+|a|one|two|three) (?:days?|weeks?)|(?:next |this )?(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday)|\d{4}-\d{2}-\d{2}))$/i;
+const PRIORITY_PHRASE = /\s*(?:,\s*)?(?:with |as )?(?:(high|medium|low) priority|(urgent(?:ly)?))\s*/i;
+
+// Splits "call the bank tomorrow, high priority" into its parts
+function parseTask(text, today) {
+    let rest = text.trim().replace(/[.!]+$/, '');
+    let priority;
+
+    const priorityMatch = rest.match(PRIORITY_PHRASE);
+    if (priorityMatch) {
+        priority = priorityMatch[1] ? priorityMatch[1].toLowerCase() : 'high';
+        rest = (rest.slice(0, priorityMatch.index) + ' ' + rest.slice(priorityMatch.index + priorityMatch[0].length)).trim();
+    }
+
+    let dueDate;
+    const dueMatch = rest.match(DUE_PHRASE);
+    if (dueMatch) {
+        dueDate = parseDueDate(dueMatch[1], today) || undefined;
+        if (dueDate) rest = rest.slice(0, dueMatch.index).trim();
+    }
+
+    const args = { text: rest.replace(/^(to|that I need to)\s+/i, '').replace(/[,;]\s*$/, '') };
+    if (dueDate) args.dueDate = dueDate;
+    if (priority) args.priority = priority;
+    return args;
+}
+
+const INTENTS = [
+    {
+        pattern: /^(?:please\s+)?(?:can you\s+)?(?:add|create|make|new|put)\s+(?:a\s+|an\s+)?(?:new\s+)?(?:task|todo|to-do|reminder)(?:\s+to my list)?(?:\s*:\s*|\s+)(.+)$/i,
+        parse: (match, today) => ({ name: 'create_todo', arguments: parseTask(match[1], today) })
+    },
+    {
+        pattern: /^(?:please\s+)?remind me to\s+(.+)$/i,
+        parse: (match, today) => ({ name: 'create_todo', arguments: parseTask(match[1], today) })
+    },
+    {
+        pattern: /^(?:please\s+)?(?:add|create|make|write|new)\s+(?:a\s+)?(?:new\s+)?note\s+(?:called |titled |named )?["“]?([^"”:]+?)["”]?\s*(?::|saying|that says|with)\s*(.+)$/is,
+        parse: match => ({ name: 'create_note', arguments: { title: match[1].trim(), content: match[2].trim() } })
+    },
+    {
+        pattern: /^(?:please\s+)?(?:summari[sz]e|recap|sum up)\s+(?:all\s+)?(?:of\s+)?(?:my\s+)?notes(?:\s+(.+?))?[.?!]*$/i,
+        parse: (match, today) => {
+            const period = match[1] ? parsePeriod(match[1], today) : null;
+            if (match[1] && !period) return null;
+            return { name: 'summarize_notes', arguments: periodArguments(period) };
+        }
+    },
+    {
+        pattern: /^(?:please\s+)?(?:list|show(?: me)?|what are)\s+(?:all\s+)?(?:of\s+)?(?:my\s+)?(open\s+|overdue\s+|completed\s+|done\s+)?(?:tasks|todos|to-dos)(?:\s+(?:due\s+)?(today|overdue))?[.?!]*$/i,
+        parse: match => {
+            const word = (match[1] || match[2] || 'open').trim().toLowerCase();
+            return { name: 'list_todos', arguments: { filter: word === 'done' ? 'completed' : word } };
+        }
+    },
+    {
+        pattern: /^(?:please\s+)?(?:list|show(?: me)?|what are)\s+(?:all\s+)?(?:of\s+)?(?:my\s+)?notes(?:\s+(.+?))?[.?!]*$/i,
+        parse: (match, today) => {
+            const period = match[1] ? parsePeriod(match[1], today) : null;
+            if (match[1] && !period) return null;
+            return { name: 'list_notes', arguments: periodArguments(period) };
+        }
+    },
+    {
+        pattern: /^(?:please\s+)?(?:search|find|look up|look for)\s+(?:(?:my\s+)?(?:notes|todos|tasks|files|everything)\s+)?(?:for\s+|about\s+|mentioning\s+)?["“]?(.+?)["”]?[.?!]*$/i,
+        parse: match => ({ name: 'search', arguments: { query: match[1].trim() } })
+    }
+];
+
+function periodArguments(period) {
+    if (!period) return {};
+    return period.until ? { since: period.since, until: period.until } : { since: period.since };
+}
+
+// { name, arguments } for the first phrasing that matches, or null
+function parseIntent(text, { today }) {
+    const message = String(text || '').trim();
+    for (const intent of INTENTS) {
+        const match = message.match(intent.pattern);
+        const call = match && intent.parse(match, today);
+        if (call) return call;
+    }
+    return null;
+}
+
+function formatDay(dateKey) {
+    return toDate(dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function describePeriod({ since, until }) {
+    if (since && until) return since === until ? ` from ${formatDay(since)}` : ` from ${formatDay(since)} to ${formatDay(until)}`;
+    if (since) return ` since ${formatDay(since)}`;
+    if (until) return ` up to ${formatDay(until)}`;
+    return '';
+}
+
+const DATE_FIELDS = ['dueDate', 'since', 'until'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDateKey(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && toDate(value).toISOString().slice(0, 10) === value;
+}
+
+// Checks a call from a model against its tool's schema. Returns
+// { name, arguments } with strings trimmed and unknown fields dropped, or
+// null when the tool is unknown or an argument has the wrong type, is not in
+// its enum, is not a YYYY-MM-DD date, or a required one is missing.
+function validateToolCall(call) {
+    const tool = isPlainObject(call) && CHAT_TOOLS.find(t => t.name === call.name);
+    if (!tool) return null;
+
+    const input = call.arguments === undefined ? {} : call.arguments;
+    if (!isPlainObject(input)) return null;
+
+    const args = {};
+    for (const [field, schema] of Object.entries(tool.parameters.properties)) {
+        const value = input[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim();
+        if (!text) continue;
+        if (schema.enum && !schema.enum.includes(text)) return null;
+        if (DATE_FIELDS.includes(field) && !isDateKey(text)) return null;
+        args[field] = text;
+    }
+
+    const required = tool.parameters.required || [];
+    if (required.some(field => args[field] === undefined)) return null;
+    return { name: tool.name, arguments: args };
+}
+
+// One line for the confirmation card
+function describeToolCall({ name, arguments: args }) {
+    switch (name) {
+        case 'create_todo':
+            return `Add the task "${args.text}"` +
+                (args.dueDate ? ` due ${formatDay(args.dueDate)}` : '') +
+                (args.priority ? ` (${args.priority} priority)` : '');
+        case 'list_todos':
+            return {
+                today: 'List your tasks due today',
+                overdue: 'List your overdue tasks',
+                completed: 'List your completed tasks'
+            }[args.filter] || 'List your open tasks';
+        case 'create_note':
+            return `Create the note "${args.title}"`;
+        case 'list_notes':
+            return `List your notes${describePeriod(args)}`;
+        case 'summarize_notes':
+            return `Summarize your notes${describePeriod(args)}`;
+        case 'search':
+            return `Search your notes, todos and files for "${args.query}"`;
+        default:
+            return name;
+    }
+}
+
+module.exports = { CHAT_TOOLS, TOOL_NAMES, parseIntent, validateToolCall, describeToolCall };
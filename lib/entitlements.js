@@ -0,0 +1,74 @@
+// ============================================
+// PLAN ENTITLEMENTS
+// ============================================
+// Maps a user's plan to the limits the API enforces. `null` means unlimited.
+// Every limit can be overridden through the environment, e.g.
+// FREE_MAX_NOTES=100 or PRO_CHAT_MESSAGES_PER_DAY=1000.
+const MB = 1024 * 1024;
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const PLANS = {
+    free: {
+        id: 'free',
+        name: 'Free',
+        limits: {
+            notes: envInt('FREE_MAX_NOTES', 50),
+            storageBytes: envInt('FREE_STORAGE_QUOTA_MB', 50) * MB,
+            chatMessagesPerDay: envInt('FREE_CHAT_MESSAGES_PER_DAY', 20),
+            weatherLookupsPerDay: envInt('FREE_WEATHER_LOOKUPS_PER_DAY', 10)
+        }
+    },
+    pro: {
+        id: 'pro',
+        name: 'Pro',
+        limits: {
+            notes: null,
+            storageBytes: envInt('PAID_STORAGE_QUOTA_MB', 1024) * MB,
+            chatMessagesPerDay: envInt('PRO_CHAT_MESSAGES_PER_DAY', 500),
+            weatherLookupsPerDay: envInt('PRO_WEATHER_LOOKUPS_PER_DAY', 500)
+        }
+    }
+};
+
+const LIMIT_LABELS = {
+    notes: 'notes',
+    storageBytes: 'file storage',
+    chatMessagesPerDay: 'chat messages per day',
+    weatherLookupsPerDay: 'weather lookups per day'
+};
+
+function getPlan(user) {
+    return user && user.activeSubscription ? PLANS.pro : PLANS.free;
+}
+
+function isWithinLimit(limit, used, adding = 1) {
+    return limit === null || used + adding <= limit;
+}
+
+// Payload for a request that would go over a plan limit. Free users get 402
+// (upgrading lifts the limit); Pro users get 403 since there is nothing to
+// upgrade to.
+function limitExceeded(user, limitName) {
+    const plan = getPlan(user);
+    const upgradable = plan.id === 'free';
+
+    return {
+        status: upgradable ? 402 : 403,
+        body: {
+            error: upgradable
+                ? `You've reached the ${plan.name} plan limit for ${LIMIT_LABELS[limitName]}. Upgrade to Pro for more.`
+                : `You've reached the ${plan.name} plan limit for ${LIMIT_LABELS[limitName]}.`,
+            code: 'plan_limit_reached',
+            limit: limitName,
+            plan: plan.id,
+            limitValue: plan.limits[limitName],
+            upgradeUrl: upgradable ? '/subscribe.html' : null
+        }
+    };
+}
+
+module.exports = { PLANS, getPlan, isWithinLimit, limitExceeded };
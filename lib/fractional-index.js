@@ -0,0 +1,141 @@
+// ============================================
+// FRACTIONAL INDEXING
+// ============================================
+// Manual ordering stores a `position` string per record and sorts by plain
+// string comparison. A record moved between two others gets a key that sorts
+// between theirs, so a move writes one row instead of renumbering the list.
+//
+// Keys are base-62: an integer part whose first character encodes its length
+// ('a0', 'a1' ... 'b00' upwards, 'Zz', 'Zy' ... downwards), followed by an
+// optional fraction that never ends in '0'. Adding to either end of the list
+// just steps the integer, so keys stay short; moves between neighbours
+// extend the fraction.
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const SMALLEST_INTEGER = 'A' + '0'.repeat(26);
+
+function integerLength(head) {
+    if (head >= 'a' && head <= 'z') return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+    if (head >= 'A' && head <= 'Z') return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+    throw new Error(`Invalid position key head "${head}"`);
+}
+
+function splitKey(key) {
+    const integer = key.slice(0, integerLength(key[0]));
+    return [integer, key.slice(integer.length)];
+}
+
+// Midpoint of two fractions; a is '' for "start", b is null for "end"
+function midpoint(a, b) {
+    if (b !== null) {
+        // Skip the shared prefix
+        let n = 0;
+        while ((a[n] || '0') === b[n]) n++;
+        if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+    // Adjacent digits: extend the fraction
+    if (b && b.length > 1) {
+        return b.slice(0, 1);
+    }
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function incrementInteger(integer) {
+    const [head, ...digits] = integer.split('');
+
+    for (let i = digits.length - 1; i >= 0; i--) {
+        const digit = DIGITS.indexOf(digits[i]) + 1;
+        if (digit < DIGITS.length) {
+            digits[i] = DIGITS[digit];
+            return head + digits.join('');
+        }
+        digits[i] = '0';
+    }
+
+    // Carried out of the top digit: move to the next integer length
+    if (head === 'Z') return 'a0';
+    if (head === 'z') return null;
+    const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+    if (nextHead > 'a') digits.push('0');
+    else digits.pop();
+    return nextHead + digits.join('');
+}
+
+function decrementInteger(integer) {
+    const [head, ...digits] = integer.split('');
+    const top = DIGITS[DIGITS.length - 1];
+
+    for (let i = digits.length - 1; i >= 0; i--) {
+        const digit = DIGITS.indexOf(digits[i]) - 1;
+        if (digit >= 0) {
+            digits[i] = DIGITS[digit];
+            return head + digits.join('');
+        }
+        digits[i] = top;
+    }
+
+    if (head === 'a') return 'Z' + top;
+    if (head === 'A') return null;
+    const nextHead = String.fromCharCode(head.charCodeAt(0) - 1);
+    if (nextHead < 'Z') digits.push(top);
+    else digits.pop();
+    return nextHead + digits.join('');
+}
+
+// A key that sorts after `before` and ahead of `after`; either may be null
+function keyBetween(before, after) {
+    if (before && after && before >= after) {
+        throw new Error(`Cannot place a key between ${before} and ${after}`);
+    }
+
+    if (!before && !after) return 'a0';
+
+    if (!before) {
+        const [integer, fraction] = splitKey(after);
+        if (integer === SMALLEST_INTEGER) return integer + midpoint('', fraction);
+        if (integer < after) return integer;
+        const previous = decrementInteger(integer);
+        if (!previous) throw new Error('Ran out of position keys at the start of the list');
+        return previous;
+    }
+
+    const [integer, fraction] = splitKey(before);
+
+    if (!after) {
+        const next = incrementInteger(integer);
+        return next || integer + midpoint(fraction, null);
+    }
+
+    const [afterInteger, afterFraction] = splitKey(after);
+    if (integer === afterInteger) {
+        return integer + midpoint(fraction, afterFraction);
+    }
+
+    const next = incrementInteger(integer);
+    if (next && next < after) return next;
+    return integer + midpoint(fraction, null);
+}
+
+// n ascending keys, for giving a whole list positions in one pass
+function keysInOrder(n) {
+    const keys = [];
+    let previous = null;
+    for (let i = 0; i < n; i++) {
+        previous = keyBetween(previous, null);
+        keys.push(previous);
+    }
+    return keys;
+}
+
+function comparePositions(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+module.exports = { keyBetween, keysInOrder, comparePositions };
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// MAILER
+// ============================================
+// MAILER=outbox (default) writes each message as a JSON file to OUTBOX_DIR so
+// sign-in links can be picked up during development without a mail server.
+// MAILER=smtp sends through SMTP_URL, which can point at a real relay or a
+// local catcher such as MailHog (smtp://localhost:1025).
+// Every transport exposes send({ to, subject, text, html }).
+const ROOT_DIR = path.join(__dirname, '..');
+const MAIL_FROM = process.env.MAIL_FROM || 'The Gilded Desk <no-reply@gildeddesk.com>';
+
+class OutboxMailer {
+    constructor({ outboxDir }) {
+        this.outboxDir = outboxDir;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+        const filePath = path.join(this.outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify({
+            from: MAIL_FROM,
+            ...message,
+            sentAt: new Date().toISOString()
+        }, null, 2));
+        console.log(`📬 Mail to ${message.to} written to ${filePath}`);
+    }
+}
+
+class SmtpMailer {
+    constructor({ url }) {
+        const nodemailer = require('nodemailer');
+        this.transport = nodemailer.createTransport(url);
+    }
+
+    async send(message) {
+        await this.transport.sendMail({ from: MAIL_FROM, ...message });
+    }
+}
+
+function createMailer(options = {}) {
+    const transport = (options.transport || process.env.MAILER || 'outbox').toLowerCase();
+
+    if (transport === 'outbox') {
+        return new OutboxMailer({
+            outboxDir: options.outboxDir || process.env.OUTBOX_DIR || path.join(ROOT_DIR, 'outbox')
+        });
+    }
+
+    if (transport === 'smtp') {
+        const url = options.url || process.env.SMTP_URL;
+        if (!url) {
+            throw new Error('MAILER=smtp requires SMTP_URL');
+        }
+        return new SmtpMailer({ url });
+    }
+
+    throw new Error(`Unknown MAILER "${transport}" (expected "outbox" or "smtp")`);
+}
+
+module.exports = { createMailer };
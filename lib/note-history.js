@@ -0,0 +1,131 @@
+// ============================================
+// NOTE HISTORY
+// ============================================
+// Every change to a note's title, content, notebook or tags is kept as a
+// numbered revision in the note_revisions collection, with who made it and
+// why (create, update, restore, or links when a renamed note's links were
+// rewritten). Pinning and reordering are not revisions.
+//
+// Retention: NOTE_REVISION_LIMIT keeps at most that many revisions per note
+// (default 50, 0 for no limit) and NOTE_REVISION_MAX_DAYS drops revisions
+// older than that many days (default 0, keep them). A revision goes once it
+// is outside either limit; the latest revision of a note is always kept.
+const REVISION_FIELDS = ['title', 'content', 'notebook', 'tags'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function snapshot(note) {
+    return {
+        title: note.title,
+        content: note.content,
+        notebook: note.notebook || null,
+        tags: note.tags || []
+    };
+}
+
+function sameSnapshot(a, b) {
+    return REVISION_FIELDS.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+}
+
+class NoteHistory {
+    constructor({ store, maxRevisions, maxAgeDays }) {
+        this.store = store;
+        this.maxRevisions = maxRevisions;
+        this.maxAgeDays = maxAgeDays;
+    }
+
+    // Oldest first
+    async list(noteId) {
+        const revisions = await this.store.list('note_revisions', { noteId });
+        return revisions.sort((a, b) => a.revision - b.revision);
+    }
+
+    async get(noteId, revision) {
+        return this.store.findOne('note_revisions', { noteId, revision });
+    }
+
+    // Records `after` as a new revision if its title, content, notebook or
+    // tags differ from the latest one. Notes from before history existed
+    // get `before` recorded first, so their first edit can be undone too.
+    async recordChange(before, after, { author, action, restoredFrom = null }) {
+        const revisions = await this.list(after.id);
+        let latest = revisions[revisions.length - 1];
+
+        if (!latest && before) {
+            latest = await this.insert(before, 1, {
+                author: before.owner,
+                action: 'baseline',
+                createdAt: before.updatedAt || before.createdAt
+            });
+        }
+        if (latest && sameSnapshot(latest, snapshot(after))) return null;
+
+        const revision = await this.insert(after, latest ? latest.revision + 1 : 1, {
+            author,
+            action,
+            restoredFrom,
+            createdAt: new Date().toISOString()
+        });
+        await this.prune(after.id);
+        return revision;
+    }
+
+    insert(note, number, details) {
+        return this.store.insert('note_revisions', {
+            id: `${note.id}-${number}`,
+            noteId: note.id,
+            owner: note.owner,
+            revision: number,
+            ...snapshot(note),
+            author: details.author,
+            action: details.action,
+            restoredFrom: details.restoredFrom || null,
+            createdAt: details.createdAt
+        });
+    }
+
+    async prune(noteId, now = Date.now()) {
+        const revisions = (await this.list(noteId)).reverse();
+        let removed = 0;
+
+        for (let i = 1; i < revisions.length; i++) {
+            const tooMany = this.maxRevisions > 0 && i >= this.maxRevisions;
+            const tooOld = this.maxAgeDays > 0 &&
+                now - new Date(revisions[i].createdAt).getTime() > this.maxAgeDays * DAY_MS;
+            if (tooMany || tooOld) {
+                await this.store.remove('note_revisions', revisions[i].id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Applies the retention limits to every note, for revisions that aged
+    // out since their note was last edited
+    async pruneAll() {
+        const noteIds = new Set((await this.store.list('note_revisions')).map(r => r.noteId));
+        let removed = 0;
+        for (const noteId of noteIds) {
+            removed += await this.prune(noteId);
+        }
+        return removed;
+    }
+
+    async removeAll(noteId) {
+        for (const revision of await this.list(noteId)) {
+            await this.store.remove('note_revisions', revision.id);
+        }
+    }
+}
+
+function createNoteHistory({ store, maxRevisions, maxAgeDays } = {}) {
+    const limit = maxRevisions !== undefined ? maxRevisions : parseInt(process.env.NOTE_REVISION_LIMIT);
+    const days = maxAgeDays !== undefined ? maxAgeDays : parseInt(process.env.NOTE_REVISION_MAX_DAYS);
+
+    return new NoteHistory({
+        store,
+        maxRevisions: Number.isNaN(limit) ? 50 : limit,
+        maxAgeDays: Number.isNaN(days) ? 0 : days
+    });
+}
+
+module.exports = { createNoteHistory };
@@ -0,0 +1,201 @@
+// ============================================
+// RECURRENCE RULES
+// ============================================
+// A recurring todo stores recurrence: { type, rrule }. The presets (daily,
+// weekdays, weekly, monthly) are shorthands that expand to an RRULE; type
+// 'rrule' takes one as written. Tasks only have due dates, not times, so the
+// supported RFC 5545 subset is FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+// INTERVAL, BYDAY (plain weekdays), BYMONTHDAY, COUNT and UNTIL.
+// All dates are YYYY-MM-DD strings.
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'rrule'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Negative days count from the end of the month (-1 is the last day); days
+// past the end of a short month land on its last day
+function dayInMonth(year, month, monthDay) {
+    const length = daysInMonth(year, month);
+    const day = monthDay < 0 ? length + monthDay + 1 : monthDay;
+    return new Date(Date.UTC(year, month, Math.min(Math.max(day, 1), length)));
+}
+
+// Throws an Error with a user-facing message if the rule is not supported
+function parseRRule(text) {
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: null, count: null, until: null };
+    const source = String(text || '').trim().replace(/^RRULE:/i, '');
+
+    for (const part of source.split(';').filter(Boolean)) {
+        const [name, value = ''] = part.split('=').map(s => s.trim().toUpperCase());
+
+        switch (name) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value)) {
+                    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+                }
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInt(value);
+                if (!(rule.interval >= 1)) throw new Error('INTERVAL must be a positive number');
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(day => WEEKDAYS.indexOf(day));
+                if (rule.byDay.includes(-1)) throw new Error('BYDAY must list weekdays like MO,WE,FR');
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = parseInt(value);
+                if (!rule.byMonthDay || Math.abs(rule.byMonthDay) > 31) {
+                    throw new Error('BYMONTHDAY must be between 1 and 31 (or -1 to -31)');
+                }
+                break;
+            case 'COUNT':
+                rule.count = parseInt(value);
+                if (!(rule.count >= 1)) throw new Error('COUNT must be a positive number');
+                break;
+            case 'UNTIL': {
+                const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+                if (!match) throw new Error('UNTIL must be a date like 20261231');
+                rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+                break;
+            }
+            default:
+                throw new Error(`Unsupported RRULE part "${name}"`);
+        }
+    }
+
+    if (!rule.freq) throw new Error('RRULE needs a FREQ');
+    return rule;
+}
+
+function formatRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+}
+
+// Turns client input ({ type, days, rrule }) into the stored form. Returns
+// null for "does not repeat"; throws on invalid input.
+function buildRecurrence(input) {
+    if (!input || !input.type || input.type === 'none') return null;
+
+    if (!RECURRENCE_TYPES.includes(input.type)) {
+        throw new Error(`Recurrence must be one of: none, ${RECURRENCE_TYPES.join(', ')}`);
+    }
+
+    let rrule;
+    switch (input.type) {
+        case 'daily':
+            rrule = 'FREQ=DAILY';
+            break;
+        case 'weekdays':
+            rrule = 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+            break;
+        case 'weekly': {
+            const days = (input.days || []).map(day => String(day).toUpperCase());
+            if (days.length === 0) throw new Error('Choose at least one day for a weekly task');
+            rrule = `FREQ=WEEKLY;BYDAY=${days.join(',')}`;
+            break;
+        }
+        case 'monthly':
+            rrule = 'FREQ=MONTHLY';
+            break;
+        default:
+            rrule = input.rrule;
+    }
+
+    return { type: input.type, rrule: formatRRule(parseRRule(rrule)) };
+}
+
+// Pins a monthly rule to the day of the month it starts on, so a task due on
+// the 31st comes back on the 31st (or the month's last day) rather than
+// drifting to the 30th after a short month
+function anchorRecurrence(recurrence, dueDate) {
+    if (!recurrence || !dueDate) return recurrence;
+
+    const rule = parseRRule(recurrence.rrule);
+    if (rule.freq !== 'MONTHLY' || rule.byMonthDay) return recurrence;
+
+    rule.byMonthDay = toDate(dueDate).getUTCDate();
+    return { ...recurrence, rrule: formatRRule(rule) };
+}
+
+function weekIndex(date) {
+    // Weeks start on Monday (RRULE's default WKST)
+    const mondayOffset = (date.getUTCDay() + 6) % 7;
+    return Math.round((date.getTime() - mondayOffset * DAY_MS) / (7 * DAY_MS));
+}
+
+// The occurrence after fromDate, or null once COUNT/UNTIL is exhausted.
+// occurrence is the 1-based number of the occurrence being completed.
+function nextOccurrence(recurrence, fromDate, occurrence = 1) {
+    const rule = parseRRule(recurrence.rrule);
+    if (rule.count && occurrence >= rule.count) return null;
+
+    const from = toDate(fromDate);
+    let next;
+
+    switch (rule.freq) {
+        case 'DAILY':
+            next = addDays(from, rule.interval);
+            while (rule.byDay.length && !rule.byDay.includes(next.getUTCDay())) {
+                next = addDays(next, 1);
+            }
+            break;
+
+        case 'WEEKLY':
+            if (rule.byDay.length === 0) {
+                next = addDays(from, 7 * rule.interval);
+                break;
+            }
+            next = addDays(from, 1);
+            while (!rule.byDay.includes(next.getUTCDay()) ||
+                (weekIndex(next) - weekIndex(from)) % rule.interval !== 0) {
+                next = addDays(next, 1);
+            }
+            break;
+
+        case 'MONTHLY': {
+            const month = from.getUTCMonth() + rule.interval;
+            next = dayInMonth(from.getUTCFullYear(), month, rule.byMonthDay || from.getUTCDate());
+            break;
+        }
+
+        case 'YEARLY':
+            next = dayInMonth(from.getUTCFullYear() + rule.interval, from.getUTCMonth(), rule.byMonthDay || from.getUTCDate());
+            break;
+    }
+
+    const nextKey = toDateKey(next);
+    if (rule.until && nextKey > rule.until) return null;
+    return nextKey;
+}
+
+module.exports = {
+    RECURRENCE_TYPES,
+    parseRRule,
+    buildRecurrence,
+    anchorRecurrence,
+    nextOccurrence
+};
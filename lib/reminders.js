@@ -0,0 +1,197 @@
+// ============================================
+// REMINDERS
+// ============================================
+// A todo with a due date and reminderMinutes gets a remindAt instant, worked
+// out in the time zone the browser reported when the task was saved. The
+// scheduler polls for reminders that are due and hands each one to every
+// configured channel. REMINDER_CHANNELS picks the channels (default
+// "browser,email"):
+//   browser - stores a notification the open app polls for and shows with
+//             the Notifications API
+//   email   - sends it through the app mailer
+// A channel is any object with a name and deliver(user, reminder).
+const DEFAULT_DUE_TIME = '09:00';
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(timestamp).forEach(part => { parts[part.type] = part.value; });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+function zonedTimeToUtc(dateKey, time, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Correct twice so instants next to a DST change resolve properly
+    let utc = wallClock - zoneOffset(wallClock, timeZone);
+    utc = wallClock - zoneOffset(utc, timeZone);
+    return new Date(utc);
+}
+
+// ISO instant the reminder should fire, or null if the todo has none
+function computeRemindAt(todo) {
+    if (!todo.dueDate || todo.reminderMinutes === null || todo.reminderMinutes === undefined) {
+        return null;
+    }
+
+    const timeZone = todo.timeZone && isValidTimeZone(todo.timeZone) ? todo.timeZone : 'UTC';
+    const due = zonedTimeToUtc(todo.dueDate, todo.dueTime || DEFAULT_DUE_TIME, timeZone);
+    return new Date(due.getTime() - todo.reminderMinutes * 60 * 1000).toISOString();
+}
+
+function describeDue(todo) {
+    return `${todo.dueDate} at ${todo.dueTime || DEFAULT_DUE_TIME}`;
+}
+
+class BrowserChannel {
+    constructor({ store }) {
+        this.name = 'browser';
+        this.store = store;
+    }
+
+    async deliver(user, reminder) {
+        await this.store.insert('notifications', {
+            id: `${reminder.todo.id}-${Date.now()}`,
+            owner: user.email,
+            todoId: reminder.todo.id,
+            title: reminder.title,
+            body: reminder.body,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null
+        });
+    }
+}
+
+class EmailChannel {
+    constructor({ mailer }) {
+        this.name = 'email';
+        this.mailer = mailer;
+    }
+
+    async deliver(user, reminder) {
+        await this.mailer.send({
+            to: user.email,
+            subject: reminder.title,
+            text: `${reminder.body}\n\nOpen your task list: ${reminder.url}`
+        });
+    }
+}
+
+const CHANNELS = {
+    browser: BrowserChannel,
+    email: EmailChannel
+};
+
+class ReminderScheduler {
+    constructor({ store, channels, findUser, appUrl, intervalMs }) {
+        this.store = store;
+        this.channels = channels;
+        this.findUser = findUser;
+        this.appUrl = appUrl;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+        this.timer.unref();
+        this.runOnce();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Sends every reminder that is due. A reminder is marked sent before it
+    // is delivered, so a failing channel does not cause repeats.
+    async runOnce(now = new Date()) {
+        if (this.running) return 0;
+        this.running = true;
+
+        let sent = 0;
+        try {
+            const todos = await this.store.list('todos', { completed: false, deletedAt: null });
+            const due = todos.filter(todo => todo.remindAt && !todo.reminderSentAt && new Date(todo.remindAt) <= now);
+
+            for (const todo of due) {
+                await this.store.update('todos', todo.id, { reminderSentAt: now.toISOString() });
+
+                const user = await this.findUser(todo.owner);
+                if (!user) continue;
+
+                const reminder = {
+                    todo,
+                    title: `Reminder: ${todo.text}`,
+                    body: `"${todo.text}" is due ${describeDue(todo)}.`,
+                    url: `${this.appUrl}/app#todos`
+                };
+
+                for (const channel of this.channels) {
+                    try {
+                        await channel.deliver(user, reminder);
+                    } catch (error) {
+                        console.error(`Reminder for todo ${todo.id} via ${channel.name} failed:`, error.message);
+                    }
+                }
+                sent++;
+            }
+        } catch (error) {
+            console.error('Reminder scheduler run failed:', error);
+        } finally {
+            this.running = false;
+        }
+        return sent;
+    }
+}
+
+function createReminderScheduler({ store, mailer, findUser, appUrl, channels, intervalMs } = {}) {
+    const names = (channels || process.env.REMINDER_CHANNELS || 'browser,email')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const instances = names.map(name => {
+        const Channel = CHANNELS[name];
+        if (!Channel) {
+            throw new Error(`Unknown reminder channel "${name}" (expected ${Object.keys(CHANNELS).join(' or ')})`);
+        }
+        return new Channel({ store, mailer });
+    });
+
+    return new ReminderScheduler({
+        store,
+        channels: instances,
+        findUser,
+        appUrl,
+        intervalMs: intervalMs || (parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000
+    });
+}
+
+module.exports = {
+    TIME_REGEX,
+    isValidTimeZone,
+    computeRemindAt,
+    createReminderScheduler
+};
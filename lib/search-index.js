@@ -0,0 +1,212 @@
+// ============================================
+// SEARCH INDEX
+// ============================================
+// In-memory inverted index over notes, todos and files. Each document has a
+// type, id, owner, title and body; the server adds, replaces and removes
+// documents as records are written, so the index never needs a full rebuild
+// after startup.
+//
+// Ranking is TF-IDF with title matches weighted above body matches. Every
+// query term must match (AND); each term also matches words it is a prefix
+// of, at a lower score than an exact word match.
+const TITLE_WEIGHT = 3;
+const BODY_WEIGHT = 1;
+const PREFIX_PENALTY = 0.5;
+const SNIPPET_RADIUS = 60;
+
+function normalize(text) {
+    return String(text || '').normalize('NFKD').replace(/[̀-ͯ]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Wraps words starting with any of the terms in <mark>, escaping the rest.
+// Matching is done on the normalized text, which keeps the same length as
+// the original for the scripts people write notes in.
+function highlight(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'gu');
+    const normalized = normalize(text);
+    if (normalized.length !== text.length) return escapeHtml(text);
+
+    let html = '';
+    let last = 0;
+    for (const match of normalized.matchAll(pattern)) {
+        html += escapeHtml(text.slice(last, match.index));
+        html += `<mark>${escapeHtml(text.slice(match.index, match.index + match[0].length))}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+// A window of the body around the first matching word, highlighted
+function snippet(text, terms) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!flat) return '';
+
+    const normalized = normalize(flat);
+    let first = -1;
+    for (const term of terms) {
+        const match = normalized.match(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u'));
+        if (match && (first === -1 || match.index < first)) first = match.index;
+    }
+
+    const start = first > SNIPPET_RADIUS ? flat.lastIndexOf(' ', first - SNIPPET_RADIUS) + 1 : 0;
+    let end = Math.min(flat.length, Math.max(first, 0) + SNIPPET_RADIUS * 2);
+    if (end < flat.length) {
+        const space = flat.indexOf(' ', end);
+        end = space === -1 ? flat.length : space;
+    }
+
+    return `${start > 0 ? '…' : ''}${highlight(flat.slice(start, end), terms)}${end < flat.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+    constructor() {
+        this.documents = new Map();
+        // term -> Map(docKey -> weighted term frequency)
+        this.postings = new Map();
+        this.sortedTerms = null;
+    }
+
+    key(type, id) {
+        return `${type}:${id}`;
+    }
+
+    // Adds or replaces a document: { type, id, owner, title, body, ...extra }
+    add(document) {
+        const docKey = this.key(document.type, document.id);
+        this.remove(document.type, document.id);
+
+        const frequencies = new Map();
+        const count = (text, weight) => {
+            for (const token of tokenize(text)) {
+                frequencies.set(token, (frequencies.get(token) || 0) + weight);
+            }
+        };
+        count(document.title, TITLE_WEIGHT);
+        count(document.body, BODY_WEIGHT);
+
+        for (const [term, frequency] of frequencies) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.sortedTerms = null;
+            }
+            this.postings.get(term).set(docKey, frequency);
+        }
+
+        this.documents.set(docKey, { ...document, terms: [...frequencies.keys()] });
+    }
+
+    remove(type, id) {
+        const docKey = this.key(type, id);
+        const existing = this.documents.get(docKey);
+        if (!existing) return;
+
+        for (const term of existing.terms) {
+            const posting = this.postings.get(term);
+            posting.delete(docKey);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        }
+        this.documents.delete(docKey);
+    }
+
+    // Indexed terms starting with prefix, via binary search over the sorted
+    // term list (rebuilt only after the vocabulary changes)
+    termsWithPrefix(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = [...this.postings.keys()].sort();
+        }
+
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTerms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const terms = [];
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+            terms.push(this.sortedTerms[i]);
+        }
+        return terms;
+    }
+
+    // Returns [{ type, id, title, snippet, score, document }] for one owner,
+    // best match first
+    search(owner, query, { types = null, limit = 20 } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) return [];
+
+        const totalDocuments = Math.max(this.documents.size, 1);
+        let scores = null;
+
+        for (const queryTerm of queryTerms) {
+            const termScores = new Map();
+
+            for (const term of this.termsWithPrefix(queryTerm)) {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + totalDocuments / posting.size);
+                const factor = term === queryTerm ? 1 : PREFIX_PENALTY;
+
+                for (const [docKey, frequency] of posting) {
+                    const score = frequency * idf * factor;
+                    // A query term counts once per document, via its best match
+                    termScores.set(docKey, Math.max(termScores.get(docKey) || 0, score));
+                }
+            }
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                for (const docKey of scores.keys()) {
+                    if (!termScores.has(docKey)) scores.delete(docKey);
+                    else scores.set(docKey, scores.get(docKey) + termScores.get(docKey));
+                }
+            }
+        }
+
+        const results = [];
+        for (const [docKey, score] of scores) {
+            const document = this.documents.get(docKey);
+            if (document.owner !== owner) continue;
+            if (types && !types.includes(document.type)) continue;
+            results.push({ document, score });
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ document, score }) => {
+                const { terms, owner: docOwner, title, body, ...rest } = document;
+                return {
+                    ...rest,
+                    title: highlight(title || '', queryTerms),
+                    snippet: snippet(body, queryTerms),
+                    score: Math.round(score * 1000) / 1000
+                };
+            });
+    }
+}
+
+module.exports = { SearchIndex };
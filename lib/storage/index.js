@@ -0,0 +1,44 @@
+const path = require('path');
+
+// ============================================
+// STORAGE BACKEND SELECTION
+// ============================================
+// STORAGE_BACKEND=json (default) keeps data in <collection>.json files under
+// DATA_DIR; STORAGE_BACKEND=sqlite keeps it in SQLITE_FILE. Both expose the
+// same async interface: list, findOne, get, insert, update, remove,
+// replaceAll and close. update(collection, key, updates, where) only changes
+// the record if it also matches `where`, and resolves to null otherwise.
+const JsonStore = require('./json-store');
+
+// Every collection the app persists (used by the JSON -> SQLite migration)
+const COLLECTIONS = ['users', 'notes', 'note_revisions', 'todos', 'files', 'usage', 'webhook_events', 'notifications', 'chat_conversations', 'weather_locations'];
+
+// Primary key field per collection; anything not listed is keyed by `id`
+const COLLECTION_KEYS = {
+    users: 'email'
+};
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+function createStore(options = {}) {
+    const backend = (options.backend || process.env.STORAGE_BACKEND || 'json').toLowerCase();
+
+    if (backend === 'json') {
+        return new JsonStore({
+            dataDir: options.dataDir || process.env.DATA_DIR || ROOT_DIR,
+            keys: COLLECTION_KEYS
+        });
+    }
+
+    if (backend === 'sqlite') {
+        const SqliteStore = require('./sqlite-store');
+        return new SqliteStore({
+            filename: options.filename || process.env.SQLITE_FILE || path.join(ROOT_DIR, 'data.sqlite'),
+            keys: COLLECTION_KEYS
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "json" or "sqlite")`);
+}
+
+module.exports = { createStore, COLLECTIONS, COLLECTION_KEYS };
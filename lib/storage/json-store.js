@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// JSON FILE STORE
+// ============================================
+// One <collection>.json file per collection. Records are cached in memory
+// after the first read; every write goes to a temp file that is renamed over
+// the original, and writes to the same file are serialized through a lock.
+class JsonStore {
+    constructor({ dataDir, keys }) {
+        this.dataDir = dataDir;
+        this.keys = keys;
+        this.cache = new Map();
+        this.locks = new Map();
+    }
+
+    keyFor(collection) {
+        return this.keys[collection] || 'id';
+    }
+
+    filePath(collection) {
+        return path.join(this.dataDir, `${collection}.json`);
+    }
+
+    load(collection) {
+        if (this.cache.has(collection)) {
+            return this.cache.get(collection);
+        }
+
+        const filePath = this.filePath(collection);
+        let records = [];
+
+        if (fs.existsSync(filePath)) {
+            const raw = fs.readFileSync(filePath, 'utf8');
+            try {
+                records = raw.trim() ? JSON.parse(raw) : [];
+                if (!Array.isArray(records)) throw new Error('expected an array');
+            } catch (error) {
+                // Never fall back to [] here: the next write would wipe the file
+                console.error(`Error reading ${filePath}:`, error.message);
+                throw new Error(`Corrupt data file ${filePath}: ${error.message}`);
+            }
+        }
+
+        this.cache.set(collection, records);
+        return records;
+    }
+
+    async persist(collection, records) {
+        const filePath = this.filePath(collection);
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(records, null, 2));
+        try {
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    withLock(collection, fn) {
+        const previous = this.locks.get(collection) || Promise.resolve();
+        const run = previous.catch(() => {}).then(fn);
+        this.locks.set(collection, run);
+        return run;
+    }
+
+    // Applies `mutate` to a copy of the collection and only swaps the cache
+    // once the new contents are safely on disk.
+    mutate(collection, mutate) {
+        return this.withLock(collection, async () => {
+            const records = this.load(collection).slice();
+            const result = mutate(records);
+            await this.persist(collection, records);
+            this.cache.set(collection, records);
+            return result;
+        });
+    }
+
+    async list(collection, where = {}) {
+        return this.load(collection)
+            .filter(record => matches(record, where))
+            .map(record => ({ ...record }));
+    }
+
+    async findOne(collection, where) {
+        const record = this.load(collection).find(r => matches(r, where));
+        return record ? { ...record } : null;
+    }
+
+    async get(collection, key) {
+        return this.findOne(collection, { [this.keyFor(collection)]: key });
+    }
+
+    async insert(collection, record) {
+        const keyField = this.keyFor(collection);
+        return this.mutate(collection, records => {
+            if (records.some(r => r[keyField] === record[keyField])) {
+                throw new Error(`Duplicate ${keyField} ${record[keyField]} in ${collection}`);
+            }
+            records.push({ ...record });
+            return { ...record };
+        });
+    }
+
+    async update(collection, key, updates, where = {}) {
+        const keyField = this.keyFor(collection);
+        return this.mutate(collection, records => {
+            const index = records.findIndex(r => r[keyField] === key);
+            if (index === -1 || !matches(records[index], where)) return null;
+            records[index] = { ...records[index], ...updates };
+            return { ...records[index] };
+        });
+    }
+
+    async remove(collection, key) {
+        const keyField = this.keyFor(collection);
+        return this.mutate(collection, records => {
+            const index = records.findIndex(r => r[keyField] === key);
+            if (index === -1) return false;
+            records.splice(index, 1);
+            return true;
+        });
+    }
+
+    async replaceAll(collection, newRecords) {
+        return this.mutate(collection, records => {
+            records.splice(0, records.length, ...newRecords.map(r => ({ ...r })));
+            return records.length;
+        });
+    }
+
+    async close() {
+        await Promise.all(this.locks.values());
+    }
+}
+
+function matches(record, where) {
+    return Object.keys(where).every(field => {
+        const expected = where[field];
+        const actual = record[field];
+        if (expected === null) return actual === null || actual === undefined;
+        return actual === expected;
+    });
+}
+
+module.exports = JsonStore;
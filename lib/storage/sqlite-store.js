@@ -0,0 +1,131 @@
+// ============================================
+// SQLITE STORE
+// ============================================
+// Embedded SQLite via better-sqlite3. Each collection is a table of
+// (key, data) rows, with the record kept as a JSON document in `data` so the
+// store stays schema-free like the JSON backend.
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+}
+
+function assertIdentifier(name) {
+    if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid collection or field name: ${name}`);
+    }
+    return name;
+}
+
+function toParam(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value === undefined ? null : value;
+}
+
+class SqliteStore {
+    constructor({ filename, keys }) {
+        const Database = loadDriver();
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.keys = keys;
+        this.tables = new Set();
+    }
+
+    keyFor(collection) {
+        return this.keys[collection] || 'id';
+    }
+
+    table(collection) {
+        if (!this.tables.has(collection)) {
+            assertIdentifier(collection);
+            this.db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (key TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+            this.tables.add(collection);
+        }
+        return `"${collection}"`;
+    }
+
+    // SQL conditions matching records whose fields equal those in `where`
+    conditions(where) {
+        const fields = Object.keys(where);
+        return {
+            sql: fields.map(f => `json_extract(data, '$.${assertIdentifier(f)}') IS ?`),
+            params: fields.map(f => toParam(where[f]))
+        };
+    }
+
+    selectWhere(collection, where) {
+        const { sql, params } = this.conditions(where);
+        const clause = sql.length ? 'WHERE ' + sql.join(' AND ') : '';
+        const rows = this.db
+            .prepare(`SELECT data FROM ${this.table(collection)} ${clause} ORDER BY rowid`)
+            .all(...params);
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async list(collection, where = {}) {
+        return this.selectWhere(collection, where);
+    }
+
+    async findOne(collection, where) {
+        return this.selectWhere(collection, where)[0] || null;
+    }
+
+    async get(collection, key) {
+        const row = this.db
+            .prepare(`SELECT data FROM ${this.table(collection)} WHERE key = ?`)
+            .get(String(key));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async insert(collection, record) {
+        const keyField = this.keyFor(collection);
+        this.db
+            .prepare(`INSERT INTO ${this.table(collection)} (key, data) VALUES (?, ?)`)
+            .run(String(record[keyField]), JSON.stringify(record));
+        return { ...record };
+    }
+
+    async update(collection, key, updates, where = {}) {
+        const table = this.table(collection);
+        const { sql, params } = this.conditions(where);
+        const run = this.db.transaction(() => {
+            const row = this.db
+                .prepare(`SELECT data FROM ${table} WHERE ${['key = ?', ...sql].join(' AND ')}`)
+                .get(String(key), ...params);
+            if (!row) return null;
+            const record = { ...JSON.parse(row.data), ...updates };
+            this.db.prepare(`UPDATE ${table} SET data = ? WHERE key = ?`).run(JSON.stringify(record), String(key));
+            return record;
+        });
+        return run();
+    }
+
+    async remove(collection, key) {
+        const result = this.db
+            .prepare(`DELETE FROM ${this.table(collection)} WHERE key = ?`)
+            .run(String(key));
+        return result.changes > 0;
+    }
+
+    async replaceAll(collection, records) {
+        const table = this.table(collection);
+        const keyField = this.keyFor(collection);
+        const insert = this.db.prepare(`INSERT INTO ${table} (key, data) VALUES (?, ?)`);
+        const run = this.db.transaction(() => {
+            this.db.prepare(`DELETE FROM ${table}`).run();
+            records.forEach(record => insert.run(String(record[keyField]), JSON.stringify(record)));
+            return records.length;
+        });
+        return run();
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,74 @@
+// ============================================
+// TEXT DIFF
+// ============================================
+// Line-based diff used to compare note revisions. Lines shared at the start
+// and end are matched first; the changed middle is diffed with a longest
+// common subsequence table. Past MAX_CELLS the middle is shown as removed
+// and re-added rather than building a huge table.
+const MAX_CELLS = 4000000;
+
+function splitLines(text) {
+    return String(text || '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+function lcsDiff(a, b) {
+    if (a.length * b.length > MAX_CELLS) {
+        return [
+            ...a.map(text => ({ type: 'delete', text })),
+            ...b.map(text => ({ type: 'insert', text }))
+        ];
+    }
+
+    // lengths[i * width + j] = LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            changes.push({ type: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            changes.push({ type: 'delete', text: a[i++] });
+        } else {
+            changes.push({ type: 'insert', text: b[j++] });
+        }
+    }
+    while (i < a.length) changes.push({ type: 'delete', text: a[i++] });
+    while (j < b.length) changes.push({ type: 'insert', text: b[j++] });
+    return changes;
+}
+
+// [{ type: 'equal' | 'delete' | 'insert', text }], one entry per line
+function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    return [
+        ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+        ...lcsDiff(a.slice(start, endA), b.slice(start, endB)),
+        ...a.slice(endA).map(text => ({ type: 'equal', text }))
+    ];
+}
+
+module.exports = { diffLines };
@@ -0,0 +1,80 @@
+// ============================================
+// TRASH PURGER
+// ============================================
+// Deleted notes, todos and files keep a deletedAt timestamp and stay
+// restorable for TRASH_RETENTION_DAYS (default 30). This job checks every
+// TRASH_PURGE_INTERVAL_MINUTES (default 60) for items past that and hands
+// each one to purge(type, record), which removes it for good.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashPurger {
+    constructor({ store, collections, purge, retentionDays, intervalMs }) {
+        this.store = store;
+        this.collections = collections;
+        this.purge = purge;
+        this.retentionDays = retentionDays;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+        this.timer.unref();
+        this.runOnce();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // ISO instant a trashed record will be purged
+    purgeAt(record) {
+        return new Date(new Date(record.deletedAt).getTime() + this.retentionDays * DAY_MS).toISOString();
+    }
+
+    async runOnce(now = new Date()) {
+        if (this.running) return 0;
+        this.running = true;
+
+        let purged = 0;
+        try {
+            for (const [type, collection] of Object.entries(this.collections)) {
+                const records = await this.store.list(collection);
+                const expired = records.filter(r => r.deletedAt && new Date(this.purgeAt(r)) <= now);
+
+                for (const record of expired) {
+                    try {
+                        await this.purge(type, record);
+                        purged++;
+                    } catch (error) {
+                        console.error(`Purging ${type} ${record.id} failed:`, error.message);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Trash purge run failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        if (purged > 0) console.log(`🗑️  Purged ${purged} item(s) from the trash`);
+        return purged;
+    }
+}
+
+function createTrashPurger({ store, collections, purge, retentionDays, intervalMs } = {}) {
+    const days = retentionDays !== undefined ? retentionDays : parseInt(process.env.TRASH_RETENTION_DAYS);
+
+    return new TrashPurger({
+        store,
+        collections,
+        purge,
+        retentionDays: Number.isNaN(days) ? 30 : days,
+        intervalMs: intervalMs || (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000
+    });
+}
+
+module.exports = { createTrashPurger };
@@ -0,0 +1,54 @@
+// ============================================
+// TTL CACHE
+// ============================================
+// In-memory cache whose entries expire ttlMs after they were stored. Past
+// maxEntries the oldest entry is dropped. getOrLoad shares one load between
+// concurrent callers for the same key; failed loads are not cached.
+class TtlCache {
+    constructor({ ttlMs, maxEntries = 500 }) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.loading = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async getOrLoad(key, load) {
+        const cached = this.get(key);
+        if (cached !== undefined) return cached;
+        if (this.loading.has(key)) return this.loading.get(key);
+
+        const pending = Promise.resolve()
+            .then(load)
+            .then(value => {
+                this.set(key, value);
+                return value;
+            })
+            .finally(() => this.loading.delete(key));
+        this.loading.set(key, pending);
+        return pending;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = { TtlCache };
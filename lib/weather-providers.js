@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// WEATHER PROVIDERS
+// ============================================
+// WEATHER_PROVIDER=open-meteo (default) looks places up and fetches
+// conditions from the Open-Meteo geocoding and forecast APIs, which need no
+// key; WEATHER_API_BASE_URL and WEATHER_GEOCODING_URL point them at a
+// compatible server instead. WEATHER_PROVIDER=fixture answers from
+// WEATHER_FIXTURES_FILE (scripts/fixtures/weather.json), for offline work
+// and checks.
+// Every provider exposes:
+//   geocode(name, { limit }) -> [{ id, name, country, countryCode, admin1,
+//                                  latitude, longitude, timezone }]
+//                               best match first, [] when nothing matches
+//   current(location) -> { temperature (°C), humidity (%), windSpeed (m/s),
+//                          weatherCode (WMO), time }
+//   forecast(location) -> { hourly: [{ time, temperature, precipitationProbability,
+//                                      weatherCode, windSpeed }] (next 24 hours),
+//                           daily: [{ date, temperatureMax, temperatureMin,
+//                                     precipitationProbability, weatherCode }] (5 days) }
+//                          times and dates are wall-clock in location.timezone
+const ROOT_DIR = path.join(__dirname, '..');
+
+// WMO weather interpretation codes, as used by Open-Meteo
+const WEATHER_CODES = {
+    0: ['Clear', 'Clear sky'],
+    1: ['Clear', 'Mainly clear'],
+    2: ['Clouds', 'Partly cloudy'],
+    3: ['Clouds', 'Overcast'],
+    45: ['Fog', 'Fog'],
+    48: ['Fog', 'Depositing rime fog'],
+    51: ['Drizzle', 'Light drizzle'],
+    53: ['Drizzle', 'Moderate drizzle'],
+    55: ['Drizzle', 'Dense drizzle'],
+    56: ['Drizzle', 'Light freezing drizzle'],
+    57: ['Drizzle', 'Dense freezing drizzle'],
+    61: ['Rain', 'Slight rain'],
+    63: ['Rain', 'Moderate rain'],
+    65: ['Rain', 'Heavy rain'],
+    66: ['Rain', 'Light freezing rain'],
+    67: ['Rain', 'Heavy freezing rain'],
+    71: ['Snow', 'Slight snowfall'],
+    73: ['Snow', 'Moderate snowfall'],
+    75: ['Snow', 'Heavy snowfall'],
+    77: ['Snow', 'Snow grains'],
+    80: ['Rain', 'Slight rain showers'],
+    81: ['Rain', 'Moderate rain showers'],
+    82: ['Rain', 'Violent rain showers'],
+    85: ['Snow', 'Slight snow showers'],
+    86: ['Snow', 'Heavy snow showers'],
+    95: ['Thunderstorm', 'Thunderstorm'],
+    96: ['Thunderstorm', 'Thunderstorm with slight hail'],
+    99: ['Thunderstorm', 'Thunderstorm with heavy hail']
+};
+
+// { weather, description } for a WMO code; weather is the broad condition
+// the app picks icons by
+function describeWeatherCode(code) {
+    const [weather, description] = WEATHER_CODES[code] || ['Clouds', 'Unknown conditions'];
+    return { weather, description };
+}
+
+const FORECAST_HOURS = 24;
+const FORECAST_DAYS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+function normalizeName(name) {
+    return String(name || '').normalize('NFKD').replace(/[̀-ͯ]/g, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// "YYYY-MM-DDTHH:00" for the hour containing `date`, in timeZone
+function localHour(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+}
+
+function addDays(dateKey, days) {
+    return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * 24 * HOUR_MS).toISOString().slice(0, 10);
+}
+
+// Rough chance of rain or snow for a WMO code, for the fixture forecast
+function fixturePrecipitation(code) {
+    if (code >= 95) return 80;
+    if (code >= 51) return 70;
+    if (code >= 45) return 10;
+    return code >= 2 ? 20 : 0;
+}
+
+const FIXTURE_CODES = [0, 2, 61, 3, 1, 80, 2];
+
+class FixtureWeatherProvider {
+    constructor({ file }) {
+        this.name = 'fixture';
+        this.locations = JSON.parse(fs.readFileSync(file, 'utf8')).locations;
+    }
+
+    // Exact names (or aliases) first, then names starting with the query;
+    // larger places first within each
+    async geocode(name, { limit = 10 } = {}) {
+        const query = normalizeName(name);
+        if (!query) return [];
+
+        const rank = location => {
+            const names = [location.name, ...(location.aliases || [])].map(normalizeName);
+            if (names.includes(query)) return 0;
+            if (names.some(n => n.startsWith(query))) return 1;
+            return null;
+        };
+
+        return this.locations
+            .map(location => ({ location, rank: rank(location) }))
+            .filter(match => match.rank !== null)
+            .sort((a, b) => a.rank - b.rank || (b.location.population || 0) - (a.location.population || 0))
+            .slice(0, limit)
+            .map(({ location: { current, aliases, population, ...location } }) => location);
+    }
+
+    // By coordinates, like the real API, so saved copies of a place match too
+    findFixture(location) {
+        const fixture = this.locations.find(l => l.latitude === location.latitude && l.longitude === location.longitude);
+        if (!fixture) throw new Error(`No fixture weather at ${location.latitude},${location.longitude}`);
+        return fixture;
+    }
+
+    async current(location) {
+        const fixture = this.findFixture(location);
+        return { ...fixture.current, time: new Date().toISOString() };
+    }
+
+    // Made up from the fixture's current conditions: today keeps its
+    // weather, later days cycle through FIXTURE_CODES, and temperatures
+    // peak mid-afternoon. The same location and hour always give the same
+    // forecast.
+    async forecast(location, { now = new Date() } = {}) {
+        const fixture = this.findFixture(location);
+        const { temperature, windSpeed, weatherCode } = fixture.current;
+        const round = value => Math.round(value * 10) / 10;
+        const today = localHour(now, fixture.timezone).slice(0, 10);
+
+        const daily = Array.from({ length: FORECAST_DAYS }, (_, day) => {
+            const code = day === 0 ? weatherCode : FIXTURE_CODES[(fixture.id + day) % FIXTURE_CODES.length];
+            const swing = ((fixture.id + day * 3) % 5) - 2;
+            return {
+                date: addDays(today, day),
+                temperatureMax: round(temperature + 3 + swing),
+                temperatureMin: round(temperature - 4 + swing),
+                precipitationProbability: fixturePrecipitation(code),
+                weatherCode: code
+            };
+        });
+
+        const hourly = Array.from({ length: FORECAST_HOURS }, (_, offset) => {
+            const time = localHour(new Date(now.getTime() + offset * HOUR_MS), fixture.timezone);
+            const day = daily.find(d => d.date === time.slice(0, 10)) || daily[0];
+            const hour = parseInt(time.slice(11, 13));
+            return {
+                time,
+                temperature: round(temperature + 3 * Math.sin((hour - 9) / 24 * 2 * Math.PI)),
+                precipitationProbability: day.precipitationProbability,
+                weatherCode: day.weatherCode,
+                windSpeed: round(windSpeed + (hour % 3) * 0.4)
+            };
+        });
+
+        return { hourly, daily };
+    }
+}
+
+class OpenMeteoWeatherProvider {
+    constructor({ baseUrl, geocodingUrl, timeoutMs }) {
+        this.name = 'open-meteo';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.geocodingUrl = geocodingUrl.replace(/\/+$/, '');
+        this.timeoutMs = timeoutMs;
+    }
+
+    async request(url, params) {
+        const response = await fetch(`${url}?${new URLSearchParams(params)}`, {
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`Weather API responded ${response.status}: ${body.slice(0, 200)}`);
+        }
+        return response.json();
+    }
+
+    async geocode(name, { limit = 10 } = {}) {
+        const data = await this.request(`${this.geocodingUrl}/v1/search`, {
+            name: String(name).trim(),
+            count: limit,
+            language: 'en',
+            format: 'json'
+        });
+        return (data.results || []).map(result => ({
+            id: result.id,
+            name: result.name,
+            country: result.country || null,
+            countryCode: result.country_code || null,
+            admin1: result.admin1 || null,
+            latitude: result.latitude,
+            longitude: result.longitude,
+            timezone: result.timezone || 'UTC'
+        }));
+    }
+
+    async current(location) {
+        const data = await this.request(`${this.baseUrl}/v1/forecast`, {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            current: 'temperature_2m,relative_humidity_2m,wind_speed_10m,weather_code',
+            wind_speed_unit: 'ms',
+            timezone: 'GMT'
+        });
+        const current = data.current;
+        return {
+            temperature: current.temperature_2m,
+            humidity: current.relative_humidity_2m,
+            windSpeed: current.wind_speed_10m,
+            weatherCode: current.weather_code,
+            time: new Date(`${current.time}Z`).toISOString()
+        };
+    }
+
+    async forecast(location) {
+        const data = await this.request(`${this.baseUrl}/v1/forecast`, {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            hourly: 'temperature_2m,precipitation_probability,weather_code,wind_speed_10m',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max',
+            forecast_hours: FORECAST_HOURS,
+            forecast_days: FORECAST_DAYS,
+            wind_speed_unit: 'ms',
+            timezone: location.timezone || 'auto'
+        });
+        const { hourly, daily } = data;
+        return {
+            hourly: hourly.time.map((time, i) => ({
+                time,
+                temperature: hourly.temperature_2m[i],
+                precipitationProbability: hourly.precipitation_probability[i],
+                weatherCode: hourly.weather_code[i],
+                windSpeed: hourly.wind_speed_10m[i]
+            })),
+            daily: daily.time.map((date, i) => ({
+                date,
+                temperatureMax: daily.temperature_2m_max[i],
+                temperatureMin: daily.temperature_2m_min[i],
+                precipitationProbability: daily.precipitation_probability_max[i],
+                weatherCode: daily.weather_code[i]
+            }))
+        };
+    }
+}
+
+function createWeatherProvider(options = {}) {
+    const provider = (options.provider || process.env.WEATHER_PROVIDER || 'open-meteo').toLowerCase();
+
+    if (provider === 'fixture') {
+        return new FixtureWeatherProvider({
+            file: path.resolve(ROOT_DIR, options.file || process.env.WEATHER_FIXTURES_FILE || 'scripts/fixtures/weather.json')
+        });
+    }
+
+    if (provider === 'open-meteo') {
+        return new OpenMeteoWeatherProvider({
+            baseUrl: options.baseUrl || process.env.WEATHER_API_BASE_URL || 'https://api.open-meteo.com',
+            geocodingUrl: options.geocodingUrl || process.env.WEATHER_GEOCODING_URL || 'https://geocoding-api.open-meteo.com',
+            timeoutMs: options.timeoutMs || 10000
+        });
+    }
+
+    throw new Error(`Unknown WEATHER_PROVIDER "${provider}" (expected "open-meteo" or "fixture")`);
+}
+
+module.exports = { createWeatherProvider, describeWeatherCode };
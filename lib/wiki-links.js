@@ -0,0 +1,36 @@
+// ============================================
+// WIKI LINKS
+// ============================================
+// Notes link to each other by title: [[Other note]], or [[Other note|shown
+// text]] to display something else. Titles match case-insensitively with
+// surrounding and repeated whitespace ignored. public/markdown.js renders the
+// same syntax in the browser.
+const WIKI_LINK = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g;
+
+function normalizeTitle(title) {
+    return String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Normalized titles of every note the content links to
+function extractLinks(content) {
+    const titles = new Set();
+    for (const match of String(content || '').matchAll(WIKI_LINK)) {
+        titles.add(normalizeTitle(match[1]));
+    }
+    return [...titles];
+}
+
+function linksTo(content, title) {
+    return extractLinks(content).includes(normalizeTitle(title));
+}
+
+// Points links at oldTitle to newTitle, keeping any display text
+function renameLinks(content, oldTitle, newTitle) {
+    const target = normalizeTitle(oldTitle);
+    return String(content || '').replace(WIKI_LINK, (match, title, label) => {
+        if (normalizeTitle(title) !== target) return match;
+        return label ? `[[${newTitle}|${label}]]` : `[[${newTitle}]]`;
+    });
+}
+
+module.exports = { normalizeTitle, extractLinks, linksTo, renameLinks };
@@ -8,7 +8,8 @@ const API = {
     todos: '/api/todos',
     files: '/api/files',
     chat: '/api/chat',
-    weather: '/api/weather'
+    weather: '/api/weather',
+    trash: '/api/trash'
 };
 
 // ============================================
@@ -22,638 +23,2968 @@ document.addEventListener('DOMContentLoaded', () => {
     initWeather();
     initChat();
     initFileUpload();
+    initAccount();
+    initSearch();
+    initTrash();
 });
 
 function initNavigation() {
     const navItems = document.querySelectorAll('.nav-item');
-    const sections = document.querySelectorAll('.content-section');
 
     navItems.forEach(item => {
-        item.addEventListener('click', () => {
-            const sectionId = item.dataset.section;
+        item.addEventListener('click', () => showSection(item.dataset.section));
+    });
 
-            navItems.forEach(nav => nav.classList.remove('active'));
-            item.classList.add('active');
+    // Deep links such as /app#account (used by billing redirects)
+    const hashSection = window.location.hash.slice(1);
+    if (hashSection && document.getElementById(hashSection)) {
+        showSection(hashSection);
+    }
+}
 
-            sections.forEach(section => {
-                section.classList.remove('active');
-                if (section.id === sectionId) {
-                    section.classList.add('active');
-                }
-            });
-        });
+function showSection(sectionId) {
+    document.querySelectorAll('.nav-item').forEach(nav => {
+        nav.classList.toggle('active', nav.dataset.section === sectionId);
+    });
+
+    document.querySelectorAll('.content-section').forEach(section => {
+        section.classList.toggle('active', section.id === sectionId);
     });
+
+    if (sectionId === 'trash') fetchTrash();
 }
 
 // ============================================
 // NOTES MODULE
 // ============================================
+let notes = [];
+let editingNoteId = null;
+let noteSort = 'manual';
+let noteNotebookFilter = '';
+let noteTagFilter = '';
+let historyNoteId = null;
+let noteRevisions = [];
+const DIFF_CONTEXT_LINES = 3;
+const REVISION_ACTIONS = { create: 'Created', update: 'Edited', restore: 'Restored', links: 'Links updated', baseline: 'Earlier version' };
+
 function initNotes() {
     const noteForm = document.getElementById('noteForm');
     noteForm.addEventListener('submit', handleNoteSubmit);
+
+    document.getElementById('notePreviewToggle').addEventListener('click', toggleNotePreview);
+    document.getElementById('noteContent').addEventListener('input', renderNotePreview);
+    document.getElementById('notesContainer').addEventListener('change', e => {
+        if (e.target.matches('input[data-task]')) {
+            const card = e.target.closest('[data-id]');
+            toggleNoteChecklist(Number(card.dataset.id), Number(e.target.dataset.task), e.target.checked);
+        }
+    });
+    ['notesContainer', 'notePreview'].forEach(id => {
+        document.getElementById(id).addEventListener('click', e => {
+            const link = e.target.closest('.wiki-link');
+            if (!link) return;
+            e.preventDefault();
+            if (link.dataset.noteId) openNote(Number(link.dataset.noteId));
+            else openNoteLink(link.dataset.noteLink);
+        });
+    });
+
+    document.getElementById('noteSort').addEventListener('change', e => {
+        noteSort = e.target.value;
+        fetchNotes();
+    });
+    document.getElementById('noteNotebookFilter').addEventListener('change', e => {
+        noteNotebookFilter = e.target.value;
+        renderNotes();
+    });
+    document.getElementById('noteTagFilter').addEventListener('change', e => {
+        noteTagFilter = e.target.value;
+        renderNotes();
+    });
+    enableReordering(document.getElementById('notesContainer'), moveNote);
     fetchNotes();
 }
 
 async function fetchNotes() {
     try {
-        const response = await fetch(API.notes);
-        const notes = await response.json();
-        renderNotes(notes);
+        const response = await apiFetch(`${API.notes}?sort=${noteSort}`);
+        notes = await response.json();
+        renderNotes();
+        fetchNoteFilters();
     } catch (error) {
         console.error('Error fetching notes:', error);
     }
 }
 
+// Notebook and tag options for the filters, with their note counts
+async function fetchNoteFilters() {
+    try {
+        const [notebooks, tags] = await Promise.all([
+            apiFetch(`${API.notes}/notebooks`).then(response => response.json()),
+            apiFetch(`${API.notes}/tags`).then(response => response.json())
+        ]);
+        renderNoteFilterOptions(notebooks, tags);
+    } catch (error) {
+        console.error('Error fetching notebooks and tags:', error);
+    }
+}
+
+function renderNoteFilterOptions(notebooks, tags) {
+    // Keep an active filter listed even once no note matches it
+    if (noteNotebookFilter && !notebooks.some(n => n.name === noteNotebookFilter)) {
+        notebooks.unshift({ name: noteNotebookFilter, count: 0 });
+    }
+    if (noteTagFilter && !tags.some(t => t.tag === noteTagFilter)) {
+        tags.unshift({ tag: noteTagFilter, count: 0 });
+    }
+
+    const notebookSelect = document.getElementById('noteNotebookFilter');
+    notebookSelect.innerHTML = '<option value="">All notebooks</option>' +
+        notebooks.map(n => `<option value="${escapeAttr(n.name)}">${escapeHtml(n.name)} (${n.count})</option>`).join('');
+    notebookSelect.value = noteNotebookFilter;
+
+    const tagSelect = document.getElementById('noteTagFilter');
+    tagSelect.innerHTML = '<option value="">All tags</option>' +
+        tags.map(t => `<option value="${escapeAttr(t.tag)}">#${escapeHtml(t.tag)} (${t.count})</option>`).join('');
+    tagSelect.value = noteTagFilter;
+
+    document.getElementById('notebookOptions').innerHTML =
+        notebooks.map(n => `<option value="${escapeAttr(n.name)}">`).join('');
+}
+
 async function handleNoteSubmit(e) {
     e.preventDefault();
     const title = document.getElementById('noteTitle').value.trim();
     const content = document.getElementById('noteContent').value.trim();
+    const notebook = document.getElementById('noteNotebook').value.trim();
+    const tags = parseTagInput(document.getElementById('noteTags').value);
 
     if (!title || !content) return;
 
     try {
-        await fetch(API.notes, {
+        const response = await apiFetch(API.notes, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title, content })
+            body: JSON.stringify({ title, content, notebook, tags })
         });
+        if (await handlePlanLimit(response)) return;
+
         document.getElementById('noteForm').reset();
+        renderNotePreview();
         fetchNotes();
+        fetchCurrentUser();
     } catch (error) {
         console.error('Error creating note:', error);
     }
 }
 
-function renderNotes(notes) {
-    const container = document.getElementById('notesContainer');
-    if (notes.length === 0) {
-        container.innerHTML = '<p class="empty-message"><i class="fas fa-feather"></i> No notes yet. Start composing!</p>';
-        return;
+async function updateNote(id, updates) {
+    try {
+        const response = await apiFetch(`${API.notes}/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updates)
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error);
+        }
+        editingNoteId = null;
+        fetchNotes();
+    } catch (error) {
+        console.error('Error updating note:', error);
     }
+}
 
-    container.innerHTML = notes.map(note => `
-        <div class="note-card">
-            <h4><i class="fas fa-bookmark"></i> ${escapeHtml(note.title)}</h4>
-            <p>${escapeHtml(note.content)}</p>
-            <div class="note-date"><i class="fas fa-clock"></i> ${formatDate(note.createdAt)}</div>
-        </div>
-    `).join('');
+function editNote(id) {
+    editingNoteId = id;
+    renderNotes();
 }
 
-// ============================================
-// TO-DO LIST MODULE
-// ============================================
-let todos = [];
-let todoFilter = 'all';
+function cancelNoteEdit() {
+    editingNoteId = null;
+    renderNotes();
+}
 
-function initTodos() {
-    const todoForm = document.getElementById('todoForm');
-    todoForm.addEventListener('submit', handleTodoSubmit);
+function saveNoteEdit(id) {
+    const title = document.getElementById(`editNoteTitle-${id}`).value.trim();
+    const content = document.getElementById(`editNoteContent-${id}`).value.trim();
+    const notebook = document.getElementById(`editNoteNotebook-${id}`).value.trim();
+    const tags = parseTagInput(document.getElementById(`editNoteTags-${id}`).value);
 
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            todoFilter = btn.dataset.filter;
-            renderTodos();
-        });
-    });
+    if (!title || !content) return;
+    // Renaming also rewrites [[links]] in other notes; updateNote reloads them all
+    updateNote(id, { title, content, notebook, tags });
+}
 
-    document.getElementById('clearCompleted').addEventListener('click', clearCompletedTodos);
-    fetchTodos();
+function filterNotesByNotebook(notebook) {
+    noteNotebookFilter = notebook;
+    document.getElementById('noteNotebookFilter').value = notebook;
+    renderNotes();
 }
 
-async function fetchTodos() {
-    try {
-        const response = await fetch(API.todos);
-        todos = await response.json();
-        renderTodos();
-    } catch (error) {
-        console.error('Error fetching todos:', error);
-        todos = JSON.parse(localStorage.getItem('todos') || '[]');
-        renderTodos();
-    }
+function filterNotesByTag(tag) {
+    noteTagFilter = tag;
+    document.getElementById('noteTagFilter').value = tag;
+    renderNotes();
 }
 
-async function handleTodoSubmit(e) {
-    e.preventDefault();
-    const input = document.getElementById('todoInput');
-    const text = input.value.trim();
+function getVisibleNotes() {
+    return notes.filter(note =>
+        (!noteNotebookFilter || note.notebook === noteNotebookFilter) &&
+        (!noteTagFilter || (note.tags || []).includes(noteTagFilter)));
+}
 
-    if (!text) return;
+// Follows a [[link]]: shows the note with that title, or starts a new note
+// with it when there is none yet
+function openNoteLink(title) {
+    const target = normalizeNoteTitle(title);
+    const note = notes.find(n => normalizeNoteTitle(n.title) === target);
+    if (note) {
+        openNote(note.id);
+        return;
+    }
 
-    const newTodo = {
-        id: Date.now(),
-        text,
-        completed: false,
-        createdAt: new Date().toISOString()
-    };
+    const input = document.getElementById('noteTitle');
+    input.value = title;
+    input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    input.focus();
+}
 
-    try {
-        await fetch(API.todos, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(newTodo)
-        });
-    } catch (error) {
-        console.error('Error saving todo:', error);
+function openNote(id) {
+    if (!getVisibleNotes().some(n => n.id === id)) {
+        filterNotesByNotebook('');
+        filterNotesByTag('');
     }
+    const card = document.querySelector(`#notesContainer [data-id="${id}"]`);
+    if (card) flashItem(card);
+}
 
-    todos.unshift(newTodo);
-    saveTodosLocal();
-    input.value = '';
-    renderTodos();
+// Whether a [[link]] points at an existing note, for marking broken links
+function noteLinkExists(title) {
+    const target = normalizeNoteTitle(title);
+    return notes.some(n => normalizeNoteTitle(n.title) === target);
 }
 
-function toggleTodo(id) {
-    const todo = todos.find(t => t.id === id);
-    if (todo) {
-        todo.completed = !todo.completed;
-        saveTodosLocal();
-        updateTodoOnServer(todo);
-        renderTodos();
+function toggleNotePin(id) {
+    const note = notes.find(n => n.id === id);
+    if (note) {
+        updateNote(id, { pinned: !note.pinned });
     }
 }
 
-function deleteTodo(id) {
-    todos = todos.filter(t => t.id !== id);
-    saveTodosLocal();
-    deleteTodoOnServer(id);
-    renderTodos();
+// Live preview shown next to the editor while toggled on
+function toggleNotePreview() {
+    const toggle = document.getElementById('notePreviewToggle');
+    const preview = document.getElementById('notePreview');
+    const showing = preview.hidden;
+
+    preview.hidden = !showing;
+    toggle.setAttribute('aria-pressed', String(showing));
+    toggle.classList.toggle('active', showing);
+    renderNotePreview();
 }
 
-function clearCompletedTodos() {
-    todos = todos.filter(t => !t.completed);
-    saveTodosLocal();
-    renderTodos();
+function renderNotePreview() {
+    const preview = document.getElementById('notePreview');
+    if (preview.hidden) return;
+
+    const content = document.getElementById('noteContent').value;
+    preview.innerHTML = content.trim()
+        ? renderMarkdown(content, { resolveLink: noteLinkExists })
+        : '<p class="empty-message">Nothing to preview yet</p>';
 }
 
-async function updateTodoOnServer(todo) {
+// Ticking a box rewrites the matching `- [ ]` line of the stored note. This
+// skips updateNote so a note being edited elsewhere in the list stays open.
+async function toggleNoteChecklist(id, taskIndex, checked) {
+    const note = notes.find(n => n.id === id);
+    if (!note) return;
+
+    const content = toggleChecklistItem(note.content, taskIndex, checked);
+    if (content === note.content) return;
+
     try {
-        await fetch(`${API.todos}/${todo.id}`, {
+        const response = await apiFetch(`${API.notes}/${id}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(todo)
+            body: JSON.stringify({ content })
         });
+        if (!response.ok) throw new Error('Checklist update failed');
+
+        Object.assign(note, await response.json());
+        // The box is already ticked; re-rendering would discard an open edit
+        if (editingNoteId === null) renderNotes();
     } catch (error) {
-        console.error('Error updating todo:', error);
+        console.error('Error updating checklist:', error);
+        fetchNotes();
     }
 }
 
-async function deleteTodoOnServer(id) {
+async function moveNote(id, beforeId, afterId) {
+    const note = notes.find(n => n.id === id);
+    if (!note) return;
+
+    notes = notes.filter(n => n.id !== id);
+    const index = beforeId !== null
+        ? notes.findIndex(n => n.id === beforeId) + 1
+        : notes.findIndex(n => n.id === afterId);
+    notes.splice(Math.max(index, 0), 0, note);
+    renderNotes();
+
     try {
-        await fetch(`${API.todos}/${id}`, { method: 'DELETE' });
+        const response = await apiFetch(`${API.notes}/reorder`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id, beforeId, afterId })
+        });
+        if (!response.ok) throw new Error('Reorder failed');
+
+        // Pinned notes stay on top, so reload if the note was dropped among the other group
+        const at = notes.indexOf(note);
+        if ([notes[at - 1], notes[at + 1]].some(n => n && n.pinned !== note.pinned)) fetchNotes();
     } catch (error) {
-        console.error('Error deleting todo:', error);
+        console.error('Error reordering notes:', error);
+        fetchNotes();
     }
 }
 
-function saveTodosLocal() {
-    localStorage.setItem('todos', JSON.stringify(todos));
-}
+// ---- Version history ----
+async function openNoteHistory(id) {
+    const note = notes.find(n => n.id === id);
+    if (!note) return;
 
-function renderTodos() {
-    const container = document.getElementById('todosContainer');
-    let filteredTodos = todos;
+    historyNoteId = id;
+    noteRevisions = [];
+    document.getElementById('noteHistoryTitle').textContent = `History: ${note.title}`;
+    document.getElementById('noteHistoryBody').innerHTML = '<p class="empty-message">Loading…</p>';
+    document.getElementById('noteHistoryModal').classList.add('open');
 
-    if (todoFilter === 'active') {
-        filteredTodos = todos.filter(t => !t.completed);
-    } else if (todoFilter === 'completed') {
-        filteredTodos = todos.filter(t => t.completed);
+    try {
+        const response = await apiFetch(`${API.notes}/${id}/revisions`);
+        if (!response.ok) throw new Error('Could not load revisions');
+        noteRevisions = await response.json();
+        renderNoteHistory();
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        document.getElementById('noteHistoryBody').innerHTML = '<p class="empty-message">Could not load the history of this note.</p>';
     }
+}
 
-    if (filteredTodos.length === 0) {
-        container.innerHTML = '<p class="empty-message"><i class="fas fa-check-circle"></i> No tasks here!</p>';
-    } else {
-        container.innerHTML = filteredTodos.map(todo => `
-            <div class="todo-item ${todo.completed ? 'completed' : ''}">
-                <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" onclick="toggleTodo(${todo.id})">
-                    ${todo.completed ? '<i class="fas fa-check"></i>' : ''}
-                </div>
-                <span class="todo-text">${escapeHtml(todo.text)}</span>
-                <button class="todo-delete" onclick="deleteTodo(${todo.id})">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-        `).join('');
-    }
+function closeNoteHistory() {
+    historyNoteId = null;
+    document.getElementById('noteHistoryModal').classList.remove('open');
+    document.getElementById('noteHistoryBody').innerHTML = '';
+}
 
-    const remaining = todos.filter(t => !t.completed).length;
-    document.getElementById('todoCount').textContent = `${remaining} task${remaining !== 1 ? 's' : ''} remaining`;
+function describeRevision(revision) {
+    const action = REVISION_ACTIONS[revision.action] || revision.action;
+    return revision.restoredFrom ? `${action} #${revision.restoredFrom}` : action;
 }
 
-// ============================================
-// CALCULATOR MODULE
-// ============================================
-let calcDisplay = '0';
-let calcHistory = '';
-let calcOperator = null;
-let calcPrevValue = null;
-let calcNewNumber = true;
+// Revisions come newest first; compare the previous one with the latest
+function renderNoteHistory() {
+    const body = document.getElementById('noteHistoryBody');
+    if (noteRevisions.length === 0) {
+        body.innerHTML = '<p class="empty-message">No history yet. Revisions are kept from the next edit on.</p>';
+        return;
+    }
 
-function initCalculator() {
-    document.querySelectorAll('.calc-btn').forEach(btn => {
-        btn.addEventListener('click', () => handleCalcButton(btn.dataset.action));
-    });
+    const options = noteRevisions.map(r =>
+        `<option value="${r.revision}">#${r.revision} · ${escapeHtml(describeRevision(r))} · ${formatDate(r.createdAt)}</option>`).join('');
 
-    document.addEventListener('keydown', handleCalcKeyboard);
+    body.innerHTML = `
+        <div class="history-controls">
+            <label>From <select id="historyFrom" class="sort-select" onchange="showRevisionDiff()">${options}</select></label>
+            <label>To <select id="historyTo" class="sort-select" onchange="showRevisionDiff()">${options}</select></label>
+            <button id="historyRestore" class="btn-secondary" onclick="restoreRevision()"></button>
+        </div>
+        <div id="historyDiff" class="history-diff"></div>
+    `;
+    document.getElementById('historyFrom').value = noteRevisions[Math.min(1, noteRevisions.length - 1)].revision;
+    document.getElementById('historyTo').value = noteRevisions[0].revision;
+    showRevisionDiff();
 }
 
-function handleCalcButton(action) {
-    if (action >= '0' && action <= '9') {
-        inputNumber(action);
-    } else if (action === '.') {
-        inputDecimal();
-    } else if (['+', '-', '*', '/'].includes(action)) {
-        inputOperator(action);
-    } else if (action === '=') {
-        calculate();
-    } else if (action === 'clear') {
-        clearCalc();
-    } else if (action === 'backspace') {
-        backspace();
-    } else if (action === 'percent') {
-        percent();
+async function showRevisionDiff() {
+    const id = historyNoteId;
+    const from = document.getElementById('historyFrom').value;
+    const to = document.getElementById('historyTo').value;
+    const restore = document.getElementById('historyRestore');
+    restore.innerHTML = `<i class="fas fa-rotate-left"></i> Restore #${from}`;
+    restore.disabled = Number(from) === noteRevisions[0].revision;
+
+    try {
+        const response = await apiFetch(`${API.notes}/${id}/diff?from=${from}&to=${to}`);
+        if (!response.ok) throw new Error('Could not compare revisions');
+        const diff = await response.json();
+        if (id === historyNoteId) renderRevisionDiff(diff);
+    } catch (error) {
+        console.error('Error comparing revisions:', error);
     }
-    updateCalcDisplay();
 }
 
-function handleCalcKeyboard(e) {
-    if (!document.getElementById('calculator').classList.contains('active')) return;
+// Field changes, then the content diff with long unchanged runs collapsed
+function renderRevisionDiff(diff) {
+    const show = value => Array.isArray(value)
+        ? value.map(tag => `#${tag}`).join(' ') || 'none'
+        : value || 'none';
 
-    const key = e.key;
-    if (key >= '0' && key <= '9') handleCalcButton(key);
-    else if (key === '.') handleCalcButton('.');
-    else if (key === '+') handleCalcButton('+');
-    else if (key === '-') handleCalcButton('-');
-    else if (key === '*') handleCalcButton('*');
-    else if (key === '/') handleCalcButton('/');
-    else if (key === 'Enter' || key === '=') handleCalcButton('=');
-    else if (key === 'Escape') handleCalcButton('clear');
-    else if (key === 'Backspace') handleCalcButton('backspace');
-    else if (key === '%') handleCalcButton('percent');
-}
+    const fields = diff.fields.map(f => `
+        <div class="diff-field"><strong>${escapeHtml(f.field)}</strong>:
+            <del>${escapeHtml(show(f.before))}</del> → <ins>${escapeHtml(show(f.after))}</ins>
+        </div>
+    `).join('');
 
-function inputNumber(num) {
-    if (calcNewNumber) {
-        calcDisplay = num;
-        calcNewNumber = false;
-    } else {
-        calcDisplay = calcDisplay === '0' ? num : calcDisplay + num;
-    }
+    const signs = { equal: ' ', delete: '−', insert: '+' };
+    const lines = [];
+    diff.changes.forEach((change, i) => {
+        if (change.type === 'equal') {
+            const near = diff.changes.slice(Math.max(0, i - DIFF_CONTEXT_LINES), i + DIFF_CONTEXT_LINES + 1)
+                .some(c => c.type !== 'equal');
+            if (!near) {
+                if (lines[lines.length - 1] !== null) lines.push(null);
+                return;
+            }
+        }
+        lines.push(`<div class="diff-line ${change.type}"><span class="diff-sign">${signs[change.type]}</span>${escapeHtml(change.text) || '&nbsp;'}</div>`);
+    });
+
+    const unchanged = diff.changes.every(c => c.type === 'equal');
+    document.getElementById('historyDiff').innerHTML = fields + (unchanged && !fields
+        ? '<p class="empty-message">These revisions are the same.</p>'
+        : `<div class="diff-lines">${lines.map(line => line || '<div class="diff-line skipped">⋯</div>').join('')}</div>`);
 }
 
-function inputDecimal() {
-    if (calcNewNumber) {
-        calcDisplay = '0.';
-        calcNewNumber = false;
-    } else if (!calcDisplay.includes('.')) {
-        calcDisplay += '.';
+async function restoreRevision() {
+    const id = historyNoteId;
+    const revision = document.getElementById('historyFrom').value;
+    if (!confirm(`Restore revision #${revision}? The current version stays in the history.`)) return;
+
+    try {
+        const response = await apiFetch(`${API.notes}/${id}/revisions/${revision}/restore`, { method: 'POST' });
+        if (!response.ok) throw new Error('Restore failed');
+        closeNoteHistory();
+        fetchNotes();
+    } catch (error) {
+        console.error('Error restoring revision:', error);
     }
 }
 
-function inputOperator(op) {
-    if (calcOperator && !calcNewNumber) {
-        calculate();
+async function deleteNote(id) {
+    const note = notes.find(n => n.id === id);
+
+    try {
+        const response = await apiFetch(`${API.notes}/${id}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Delete failed');
+        fetchNotes();
+        fetchCurrentUser();
+        showUndoToast(`"${note ? note.title : 'Note'}" moved to Trash`, async () => {
+            await restoreFromTrash('note', id);
+            fetchNotes();
+            fetchCurrentUser();
+        });
+    } catch (error) {
+        console.error('Error deleting note:', error);
     }
-    calcPrevValue = parseFloat(calcDisplay);
-    calcOperator = op;
-    calcHistory = `${calcDisplay} ${getOperatorSymbol(op)}`;
-    calcNewNumber = true;
 }
 
-function calculate() {
-    if (calcOperator === null || calcPrevValue === null) return;
-
-    const current = parseFloat(calcDisplay);
-    let result;
+function renderNotes() {
+    const container = document.getElementById('notesContainer');
+    if (notes.length === 0) {
+        container.innerHTML = '<p class="empty-message"><i class="fas fa-feather"></i> No notes yet. Start composing!</p>';
+        return;
+    }
 
-    switch (calcOperator) {
-        case '+': result = calcPrevValue + current; break;
-        case '-': result = calcPrevValue - current; break;
-        case '*': result = calcPrevValue * current; break;
-        case '/': result = current !== 0 ? calcPrevValue / current : 'Error'; break;
+    const visible = getVisibleNotes();
+    if (visible.length === 0) {
+        container.innerHTML = '<p class="empty-message"><i class="fas fa-filter"></i> No notes in this notebook or tag.</p>';
+        return;
     }
 
-    calcHistory = `${calcPrevValue} ${getOperatorSymbol(calcOperator)} ${current} =`;
-    calcDisplay = typeof result === 'number' ? String(Math.round(result * 100000000) / 100000000) : result;
-    calcOperator = null;
-    calcPrevValue = null;
-    calcNewNumber = true;
-}
+    // Backlinks: normalized title -> notes that link to it
+    const backlinks = new Map();
+    notes.forEach(note => {
+        wikiLinkTitles(note.content).forEach(title => {
+            if (!backlinks.has(title)) backlinks.set(title, []);
+            backlinks.get(title).push(note);
+        });
+    });
 
-function clearCalc() {
-    calcDisplay = '0';
-    calcHistory = '';
-    calcOperator = null;
+    container.innerHTML = visible.map(note => {
+        if (note.id === editingNoteId) {
+            return `
+                <div class="note-card editing">
+                    <div class="form-group">
+                        <input type="text" id="editNoteTitle-${note.id}" value="${escapeAttr(note.title)}">
+                    </div>
+                    <div class="form-group">
+                        <textarea id="editNoteContent-${note.id}" rows="4">${escapeHtml(note.content)}</textarea>
+                    </div>
+                    <div class="form-row note-options">
+                        <input type="text" id="editNoteNotebook-${note.id}" list="notebookOptions" value="${escapeAttr(note.notebook || '')}" placeholder="Notebook (optional)">
+                        <input type="text" id="editNoteTags-${note.id}" value="${escapeAttr((note.tags || []).join(', '))}" placeholder="Tags, comma separated">
+                    </div>
+                    <div class="note-actions">
+                        <button onclick="saveNoteEdit(${note.id})" title="Save"><i class="fas fa-check"></i></button>
+                        <button onclick="cancelNoteEdit()" title="Cancel"><i class="fas fa-times"></i></button>
+                    </div>
+                </div>
+            `;
+        }
+
+        const edited = note.updatedAt && note.updatedAt !== note.createdAt;
+        const manual = noteSort === 'manual' && editingNoteId === null;
+        const tags = note.tags || [];
+        const linkedFrom = (backlinks.get(normalizeNoteTitle(note.title)) || []).filter(n => n.id !== note.id);
+        return `
+            <div class="note-card ${note.pinned ? 'pinned' : ''} ${manual ? 'reorder-item' : ''}" data-id="${note.id}">
+                <div class="note-header">
+                    ${manual ? `<button class="drag-handle" draggable="true" title="Drag, or use the arrow keys, to move" aria-label="Move note"><i class="fas fa-grip-vertical"></i></button>` : ''}
+                    <h4><i class="fas ${note.pinned ? 'fa-thumbtack' : 'fa-bookmark'}"></i> ${escapeHtml(note.title)}</h4>
+                    <div class="note-actions">
+                        <button onclick="toggleNotePin(${note.id})" title="${note.pinned ? 'Unpin' : 'Pin'}" class="${note.pinned ? 'active' : ''}">
+                            <i class="fas fa-thumbtack"></i>
+                        </button>
+                        <button onclick="editNote(${note.id})" title="Edit"><i class="fas fa-pen"></i></button>
+                        <button onclick="openNoteHistory(${note.id})" title="History"><i class="fas fa-clock-rotate-left"></i></button>
+                        <button onclick="deleteNote(${note.id})" title="Delete" class="danger"><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+                ${note.notebook || tags.length ? `
+                    <div class="note-meta">
+                        ${note.notebook ? `<button class="note-notebook" data-notebook="${escapeAttr(note.notebook)}" onclick="filterNotesByNotebook(this.dataset.notebook)"><i class="fas fa-folder"></i> ${escapeHtml(note.notebook)}</button>` : ''}
+                        ${tags.map(tag => `<button class="todo-tag" data-tag="${escapeAttr(tag)}" onclick="filterNotesByTag(this.dataset.tag)">#${escapeHtml(tag)}</button>`).join('')}
+                    </div>
+                ` : ''}
+                <div class="note-content markdown-body">${renderMarkdown(note.content, { resolveLink: noteLinkExists })}</div>
+                ${linkedFrom.length ? `
+                    <div class="note-backlinks">
+                        <i class="fas fa-link"></i> Linked from
+                        ${linkedFrom.map(n => `<a href="#" class="wiki-link" data-note-id="${n.id}">${escapeHtml(n.title)}</a>`).join(', ')}
+                    </div>
+                ` : ''}
+                <div class="note-date">
+                    <i class="fas fa-clock"></i> ${formatDate(note.createdAt)}
+                    ${edited ? `<span class="note-edited">· edited ${formatDate(note.updatedAt)}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// TO-DO LIST MODULE
+// ============================================
+let todos = [];
+let todoFilter = 'all';
+let todoTagFilter = '';
+let todoPriorityFilter = '';
+let todoSort = 'manual';
+let expandedTodos = new Set();
+let todoQueue = JSON.parse(localStorage.getItem('todoQueue') || '[]');
+let todoSyncing = false;
+let todoSyncAgain = false;
+let todoInFlight = null;
+let todoConflicts = 0;
+let todoSyncError = null;
+const REMINDER_POLL_INTERVAL = 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const REMINDER_OPTIONS = { '': 'No reminder', 0: 'At due time', 5: '5 min before', 15: '15 min before', 30: '30 min before', 60: '1 hour before', 1440: '1 day before' };
+
+function initTodos() {
+    const todoForm = document.getElementById('todoForm');
+    todoForm.addEventListener('submit', handleTodoSubmit);
+
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            todoFilter = btn.dataset.filter;
+            renderTodos();
+        });
+    });
+
+    document.getElementById('todoTagFilter').addEventListener('change', e => {
+        todoTagFilter = e.target.value;
+        renderTodos();
+    });
+    document.getElementById('todoPriorityFilter').addEventListener('change', e => {
+        todoPriorityFilter = e.target.value;
+        renderTodos();
+    });
+    document.getElementById('todoSort').addEventListener('change', e => {
+        todoSort = e.target.value;
+        renderTodos();
+    });
+
+    document.getElementById('clearCompleted').addEventListener('click', clearCompletedTodos);
+    enableReordering(document.getElementById('todosContainer'), moveTodo);
+    window.addEventListener('online', syncTodos);
+    window.addEventListener('offline', renderTodoSyncStatus);
+    pollReminders();
+    setInterval(pollReminders, REMINDER_POLL_INTERVAL);
+
+    // Show the cached list straight away; the server copy replaces it once synced
+    todos = JSON.parse(localStorage.getItem('todos') || '[]');
+    renderTodos();
+    syncTodos();
+}
+
+// The server owns the todo list. Changes are applied locally, queued in
+// localStorage and replayed in order; once the queue is empty the list is
+// reloaded from the server so both sides agree.
+async function syncTodos() {
+    if (todoSyncing) {
+        todoSyncAgain = true;
+        return;
+    }
+    if (!navigator.onLine) {
+        renderTodoSyncStatus();
+        return;
+    }
+
+    todoSyncing = true;
+    renderTodoSyncStatus();
+
+    try {
+        while (todoQueue.length > 0) {
+            if (!await sendTodoChange(todoQueue[0])) break;
+        }
+
+        if (todoQueue.length === 0) {
+            const response = await apiFetch(API.todos);
+            if (response.ok) {
+                const serverTodos = await response.json();
+                // A change made while the list was loading is replayed next round
+                if (todoQueue.length === 0) {
+                    todos = serverTodos;
+                    saveTodosLocal();
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error syncing todos:', error);
+    } finally {
+        todoSyncing = false;
+        renderTodos();
+
+        if (todoSyncAgain) {
+            todoSyncAgain = false;
+            syncTodos();
+        }
+    }
+}
+
+// Resolves once the queue has been replayed as far as it can be, including
+// a sync round that was already running
+async function flushTodoQueue() {
+    await syncTodos();
+    while (todoSyncing) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+// Sends one queued change. Returns false if the server could not be reached,
+// leaving the change queued for the next attempt.
+async function sendTodoChange(change) {
+    let response;
+    todoInFlight = change;
+
+    try {
+        if (change.type === 'create') {
+            response = await apiFetch(API.todos, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id: change.id, ...change.data })
+            });
+        } else if (change.type === 'update') {
+            response = await apiFetch(`${API.todos}/${change.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...change.data, version: change.version, updatedAt: change.updatedAt })
+            });
+        } else if (change.type === 'delete') {
+            const params = new URLSearchParams({ updatedAt: change.updatedAt });
+            if (change.version) params.set('version', change.version);
+            response = await apiFetch(`${API.todos}/${change.id}?${params}`, { method: 'DELETE' });
+        } else if (change.type === 'reorder') {
+            response = await apiFetch(`${API.todos}/reorder`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id: change.id, ...change.data })
+            });
+        } else if (change.type === 'restore') {
+            response = await apiFetch(`${API.trash}/todo/${change.id}/restore`, { method: 'POST' });
+        }
+    } catch (error) {
+        console.error('Error sending todo change:', error);
+        return false;
+    } finally {
+        todoInFlight = null;
+    }
+
+    if (response.status >= 500 || response.status === 429) {
+        return false;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    todoQueue = todoQueue.filter(c => c !== change);
+
+    if (response.ok) {
+        if (change.type === 'reorder') {
+            const todo = todos.find(t => t.id === change.id);
+            if (todo) todo.position = data.position;
+        } else if (change.type !== 'delete') {
+            const { nextOccurrence, ...serverTodo } = data;
+            applyServerTodo(serverTodo);
+            // Completing a recurring task created the next one in its place
+            if (nextOccurrence && !todos.some(t => t.id === nextOccurrence.id)) {
+                const index = todos.findIndex(t => t.id === serverTodo.id);
+                todos.splice(Math.max(index, 0), 0, nextOccurrence);
+            }
+        }
+    } else if (response.status === 409 && data.todo) {
+        // Someone else's newer edit wins; drop the rest of ours for this task
+        todoConflicts++;
+        todoQueue = todoQueue.filter(c => c.id !== change.id);
+        applyServerTodo(data.todo);
+    } else if (response.status === 404) {
+        // Deleted on another device
+        todoQueue = todoQueue.filter(c => c.id !== change.id);
+        todos = todos.filter(t => t.id !== change.id);
+    } else {
+        // Invalid change; the reload after the queue drains restores the server copy
+        console.error('Todo change rejected:', data.error);
+        todoSyncError = data.error || 'A change could not be saved';
+    }
+
+    saveTodoQueue();
+    saveTodosLocal();
+    return true;
+}
+
+// Replaces the local copy with the server's and bases any queued edits to the
+// same task on the new version
+function applyServerTodo(serverTodo) {
+    const index = todos.findIndex(t => t.id === serverTodo.id);
+    const pending = todoQueue.filter(c => c.id === serverTodo.id);
+
+    if (index !== -1 && pending.length === 0) {
+        todos[index] = serverTodo;
+    } else if (index !== -1) {
+        todos[index].version = serverTodo.version;
+    }
+    pending.forEach(c => { c.version = serverTodo.version; });
+}
+
+function queueTodoChange(type, todo, data) {
+    const unsent = todoQueue.some(c => c.id === todo.id && c.type === 'create' && c !== todoInFlight);
+
+    if (type === 'delete' && unsent) {
+        // Never reached the server, so there is nothing to delete there
+        todoQueue = todoQueue.filter(c => c.id !== todo.id);
+    } else {
+        todoQueue.push({
+            type,
+            id: todo.id,
+            data,
+            version: todo.version,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    saveTodoQueue();
+    saveTodosLocal();
+    renderTodos();
+    syncTodos();
+}
+
+function handleTodoSubmit(e) {
+    e.preventDefault();
+    const input = document.getElementById('todoInput');
+    const text = input.value.trim();
+
+    if (!text) return;
+
+    const fields = {
+        text,
+        completed: false,
+        dueDate: document.getElementById('todoDueDate').value || null,
+        priority: document.getElementById('todoPriority').value,
+        tags: parseTagInput(document.getElementById('todoTags').value),
+        notes: '',
+        subtasks: [],
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        createdAt: new Date().toISOString()
+    };
+    const newTodo = { id: Date.now(), ...fields };
+
+    todos.unshift(newTodo);
+    e.target.reset();
+    queueTodoChange('create', newTodo, fields);
+}
+
+function toggleTodo(id) {
+    const todo = todos.find(t => t.id === id);
+    if (todo) {
+        todo.completed = !todo.completed;
+        queueTodoChange('update', todo, { completed: todo.completed });
+    }
+}
+
+// Applies a partial change to one task and queues it for the server
+function updateTodoFields(id, changes) {
+    const todo = todos.find(t => t.id === id);
+    if (todo) {
+        Object.assign(todo, changes);
+        queueTodoChange('update', todo, changes);
+    }
+}
+
+// Schedule changes carry the browser's time zone so the server can work out
+// when "9:00 on the due date" is
+function updateTodoSchedule(id, changes) {
+    if (changes.reminderMinutes !== undefined && changes.reminderMinutes !== null) {
+        requestReminderPermission();
+    }
+    updateTodoFields(id, { ...changes, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+}
+
+function setTodoRecurrence(id, type) {
+    const todo = todos.find(t => t.id === id);
+    if (!todo) return;
+
+    let recurrence = type ? { type } : null;
+    if (type === 'weekly') {
+        const start = todo.dueDate ? new Date(`${todo.dueDate}T00:00`) : new Date();
+        recurrence.days = [WEEKDAY_CODES[start.getDay()]];
+    } else if (type === 'rrule') {
+        recurrence.rrule = (todo.recurrence && todo.recurrence.rrule) || 'FREQ=DAILY';
+    }
+    updateTodoFields(id, { recurrence });
+}
+
+function toggleRecurrenceDay(id, day) {
+    const todo = todos.find(t => t.id === id);
+    if (!todo || !todo.recurrence) return;
+
+    const days = getRecurrenceDays(todo.recurrence);
+    const updated = days.includes(day) ? days.filter(d => d !== day) : [...days, day];
+    if (updated.length === 0) return;
+
+    updateTodoFields(id, { recurrence: { type: 'weekly', days: WEEKDAY_CODES.filter(d => updated.includes(d)) } });
+}
+
+function getRecurrenceDays(recurrence) {
+    if (recurrence.days) return recurrence.days;
+    const match = (recurrence.rrule || '').match(/BYDAY=([A-Z,]+)/);
+    return match ? match[1].split(',') : [];
+}
+
+function describeRecurrence(recurrence) {
+    switch (recurrence.type) {
+        case 'daily': return 'Daily';
+        case 'weekdays': return 'Weekdays';
+        case 'weekly': return `Weekly · ${getRecurrenceDays(recurrence).map(d => d[0] + d[1].toLowerCase()).join(' ')}`;
+        case 'monthly': return 'Monthly';
+        default: return 'Custom';
+    }
+}
+
+function updateTodoTags(id, value) {
+    updateTodoFields(id, { tags: parseTagInput(value) });
+}
+
+function toggleTodoDetails(id) {
+    if (expandedTodos.has(id)) {
+        expandedTodos.delete(id);
+    } else {
+        expandedTodos.add(id);
+    }
+    renderTodos();
+}
+
+function addSubtask(e, id) {
+    e.preventDefault();
+    const input = e.target.querySelector('input');
+    const text = input.value.trim();
+    const todo = todos.find(t => t.id === id);
+
+    if (!text || !todo) return;
+
+    const subtask = { id: Date.now().toString(36), text, completed: false };
+    updateTodoFields(id, { subtasks: [...(todo.subtasks || []), subtask] });
+}
+
+function toggleSubtask(id, subtaskId) {
+    const todo = todos.find(t => t.id === id);
+    if (todo) {
+        updateTodoFields(id, {
+            subtasks: todo.subtasks.map(st => st.id === subtaskId ? { ...st, completed: !st.completed } : st)
+        });
+    }
+}
+
+function deleteSubtask(id, subtaskId) {
+    const todo = todos.find(t => t.id === id);
+    if (todo) {
+        updateTodoFields(id, { subtasks: todo.subtasks.filter(st => st.id !== subtaskId) });
+    }
+}
+
+function filterByTag(tag) {
+    todoTagFilter = tag;
+    renderTodos();
+}
+
+// Moves a task in manual order; the server gets the new neighbours and works
+// out the position itself
+function moveTodo(id, beforeId, afterId) {
+    const todo = todos.find(t => t.id === id);
+    if (!todo) return;
+
+    todos = todos.filter(t => t.id !== id);
+    const index = beforeId !== null
+        ? todos.findIndex(t => t.id === beforeId) + 1
+        : todos.findIndex(t => t.id === afterId);
+    todos.splice(Math.max(index, 0), 0, todo);
+
+    queueTodoChange('reorder', todo, { beforeId, afterId });
+}
+
+function deleteTodo(id) {
+    const todo = todos.find(t => t.id === id);
+    if (todo) {
+        deleteTodos([todo], `"${todo.text}" moved to Trash`);
+    }
+}
+
+function clearCompletedTodos() {
+    const completed = todos.filter(t => t.completed);
+    if (completed.length === 0) return;
+
+    deleteTodos(completed, `${completed.length} completed task${completed.length !== 1 ? 's' : ''} moved to Trash`);
+}
+
+// Queues the deletes and offers to undo them. Undo takes back deletes that
+// have not been sent yet and queues a restore for the ones that have.
+function deleteTodos(deleted, message) {
+    const indexes = new Map(deleted.map(todo => [todo.id, todos.indexOf(todo)]));
+    const queueBefore = todoQueue.slice();
+
+    todos = todos.filter(t => !indexes.has(t.id));
+    deleted.forEach(todo => queueTodoChange('delete', todo));
+
+    const deletes = todoQueue.filter(c => c.type === 'delete' && !queueBefore.includes(c));
+    // Changes to tasks that never reached the server are dropped instead
+    const dropped = queueBefore.filter(c => !todoQueue.includes(c));
+
+    showUndoToast(message, () => {
+        const unsent = deletes.filter(c => todoQueue.includes(c) && c !== todoInFlight);
+        todoQueue = todoQueue.filter(c => !unsent.includes(c)).concat(dropped);
+
+        [...deleted].sort((a, b) => indexes.get(a.id) - indexes.get(b.id)).forEach(todo => {
+            if (!todos.some(t => t.id === todo.id)) todos.splice(indexes.get(todo.id), 0, todo);
+            if (deletes.some(c => c.id === todo.id && !unsent.includes(c))) {
+                todoQueue.push({ type: 'restore', id: todo.id, updatedAt: new Date().toISOString() });
+            }
+        });
+
+        saveTodoQueue();
+        saveTodosLocal();
+        renderTodos();
+        syncTodos();
+    });
+}
+
+function saveTodosLocal() {
+    localStorage.setItem('todos', JSON.stringify(todos));
+}
+
+function saveTodoQueue() {
+    localStorage.setItem('todoQueue', JSON.stringify(todoQueue));
+}
+
+function renderTodoSyncStatus() {
+    const status = document.getElementById('todoSyncStatus');
+    const pending = todoQueue.length;
+    const waiting = `${pending} change${pending !== 1 ? 's' : ''}`;
+
+    if (!navigator.onLine) {
+        status.textContent = pending ? `Offline · ${waiting} waiting to sync` : 'Offline';
+        status.className = 'sync-status offline';
+    } else if (pending) {
+        status.textContent = todoSyncing ? 'Syncing…' : `${waiting} waiting to sync`;
+        status.className = 'sync-status pending';
+    } else if (todoConflicts) {
+        status.textContent = `${todoConflicts} task${todoConflicts !== 1 ? 's were' : ' was'} changed elsewhere; kept the newer version`;
+        status.className = 'sync-status conflict';
+        todoConflicts = 0;
+    } else if (todoSyncError) {
+        status.textContent = todoSyncError;
+        status.className = 'sync-status error';
+        todoSyncError = null;
+    } else {
+        status.textContent = '';
+        status.className = 'sync-status';
+    }
+}
+
+// Mirrors the status/due/tag/priority filters and sorts of GET /api/todos so
+// the list still works from the offline cache
+function getVisibleTodos() {
+    const today = localDateKey(new Date());
+    const priorityRank = { high: 3, medium: 2, low: 1, none: 0 };
+    const dueKey = todo => todo.dueDate || '9999-12-31';
+
+    const visible = todos.filter(todo => {
+        if (todoFilter === 'active' && todo.completed) return false;
+        if (todoFilter === 'completed' && !todo.completed) return false;
+        if (todoFilter === 'overdue' && !isTodoOverdue(todo, today)) return false;
+        if (todoFilter === 'today' && todo.dueDate !== today) return false;
+        if (todoTagFilter && !(todo.tags || []).includes(todoTagFilter)) return false;
+        if (todoPriorityFilter && (todo.priority || 'none') !== todoPriorityFilter) return false;
+        return true;
+    });
+
+    const byCreated = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    if (todoSort === 'due') {
+        visible.sort((a, b) => dueKey(a).localeCompare(dueKey(b)) || byCreated(a, b));
+    } else if (todoSort === 'priority') {
+        visible.sort((a, b) => priorityRank[b.priority || 'none'] - priorityRank[a.priority || 'none'] ||
+            dueKey(a).localeCompare(dueKey(b)));
+    } else if (todoSort === 'created') {
+        visible.sort(byCreated);
+    }
+    // 'manual' keeps the list order, which is the server's position order
+    return visible;
+}
+
+function isTodoOverdue(todo, today) {
+    return !!todo.dueDate && todo.dueDate < today && !todo.completed;
+}
+
+function renderTodos() {
+    const container = document.getElementById('todosContainer');
+    const filteredTodos = getVisibleTodos();
+    const today = localDateKey(new Date());
+    const manual = todoSort === 'manual';
+
+    if (filteredTodos.length === 0) {
+        container.innerHTML = '<p class="empty-message"><i class="fas fa-check-circle"></i> No tasks here!</p>';
+    } else {
+        container.innerHTML = filteredTodos.map(todo => {
+            const subtasks = todo.subtasks || [];
+            const doneSubtasks = subtasks.filter(st => st.completed).length;
+            const priority = todo.priority || 'none';
+            const expanded = expandedTodos.has(todo.id);
+
+            return `
+            <div class="todo-item ${todo.completed ? 'completed' : ''} priority-${priority} ${manual ? 'reorder-item' : ''}" data-id="${todo.id}">
+                ${manual ? `<button class="drag-handle" draggable="true" title="Drag, or use the arrow keys, to move" aria-label="Move task"><i class="fas fa-grip-vertical"></i></button>` : ''}
+                <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" onclick="toggleTodo(${todo.id})">
+                    ${todo.completed ? '<i class="fas fa-check"></i>' : ''}
+                </div>
+                <div class="todo-body">
+                    <span class="todo-text">${escapeHtml(todo.text)}</span>
+                    <div class="todo-meta">
+                        ${todo.dueDate ? `<span class="todo-badge ${isTodoOverdue(todo, today) ? 'overdue' : ''}"><i class="fas fa-calendar"></i> ${todo.dueDate === today ? 'Today' : formatDueDate(todo.dueDate)}</span>` : ''}
+                        ${priority !== 'none' ? `<span class="todo-badge priority-badge">${priority}</span>` : ''}
+                        ${todo.recurrence ? `<span class="todo-badge" title="${escapeAttr(todo.recurrence.rrule || '')}"><i class="fas fa-repeat"></i> ${describeRecurrence(todo.recurrence)}</span>` : ''}
+                        ${todo.reminderMinutes !== null && todo.reminderMinutes !== undefined && todo.dueDate ? `<span class="todo-badge" title="${escapeAttr(REMINDER_OPTIONS[todo.reminderMinutes] || `${todo.reminderMinutes} min before`)}"><i class="fas fa-bell"></i> ${todo.dueTime || '09:00'}</span>` : ''}
+                        ${subtasks.length ? `<span class="todo-badge"><i class="fas fa-list-check"></i> ${doneSubtasks}/${subtasks.length}</span>` : ''}
+                        ${(todo.tags || []).map(tag => `<button class="todo-tag" data-tag="${escapeAttr(tag)}" onclick="filterByTag(this.dataset.tag)">#${escapeHtml(tag)}</button>`).join('')}
+                    </div>
+                </div>
+                <button class="todo-expand" onclick="toggleTodoDetails(${todo.id})" title="Details">
+                    <i class="fas fa-chevron-${expanded ? 'up' : 'down'}"></i>
+                </button>
+                <button class="todo-delete" onclick="deleteTodo(${todo.id})">
+                    <i class="fas fa-times"></i>
+                </button>
+                ${expanded ? renderTodoDetails(todo) : ''}
+            </div>
+        `;
+        }).join('');
+    }
+
+    renderTodoTagOptions();
+    document.getElementById('todoTagFilter').value = todoTagFilter;
+
+    const remaining = todos.filter(t => !t.completed).length;
+    document.getElementById('todoCount').textContent = `${remaining} task${remaining !== 1 ? 's' : ''} remaining`;
+    renderTodoSyncStatus();
+}
+
+function renderTodoDetails(todo) {
+    const priority = todo.priority || 'none';
+    const priorityOptions = ['none', 'low', 'medium', 'high'].map(p =>
+        `<option value="${p}" ${p === priority ? 'selected' : ''}>${p === 'none' ? 'No priority' : p}</option>`
+    ).join('');
+    const recurrenceType = todo.recurrence ? todo.recurrence.type : '';
+    const weeklyDays = todo.recurrence ? getRecurrenceDays(todo.recurrence) : [];
+    const recurrenceOptions = [['', 'Does not repeat'], ['daily', 'Daily'], ['weekdays', 'Every weekday'], ['weekly', 'Weekly on…'], ['monthly', 'Monthly'], ['rrule', 'Custom (RRULE)']]
+        .map(([value, label]) => `<option value="${value}" ${value === recurrenceType ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    const reminder = todo.reminderMinutes === null || todo.reminderMinutes === undefined ? '' : String(todo.reminderMinutes);
+    const reminderOptions = Object.entries(REMINDER_OPTIONS)
+        .map(([value, label]) => `<option value="${value}" ${value === reminder ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    return `
+        <div class="todo-details">
+            <div class="form-row">
+                <input type="date" value="${todo.dueDate || ''}" onchange="updateTodoSchedule(${todo.id}, { dueDate: this.value || null })">
+                <input type="time" value="${todo.dueTime || ''}" title="Due time (reminders default to 09:00)" onchange="updateTodoSchedule(${todo.id}, { dueTime: this.value || null })">
+                <select onchange="updateTodoFields(${todo.id}, { priority: this.value })">${priorityOptions}</select>
+                <input type="text" value="${escapeAttr((todo.tags || []).join(', '))}" placeholder="Tags, comma separated" onchange="updateTodoTags(${todo.id}, this.value)">
+            </div>
+            <div class="form-row">
+                <select onchange="setTodoRecurrence(${todo.id}, this.value)" title="Repeat">${recurrenceOptions}</select>
+                <select onchange="updateTodoSchedule(${todo.id}, { reminderMinutes: this.value === '' ? null : Number(this.value) })" title="Reminder" ${todo.dueDate ? '' : 'disabled'}>${reminderOptions}</select>
+            </div>
+            ${recurrenceType === 'weekly' ? `
+                <div class="weekday-picker">
+                    ${WEEKDAY_CODES.map(day => `<button type="button" class="weekday-btn ${weeklyDays.includes(day) ? 'active' : ''}" onclick="toggleRecurrenceDay(${todo.id}, '${day}')">${day[0]}${day[1].toLowerCase()}</button>`).join('')}
+                </div>` : ''}
+            ${recurrenceType === 'rrule' ? `
+                <input type="text" class="rrule-input" value="${escapeAttr(todo.recurrence.rrule || '')}" placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO" onchange="updateTodoFields(${todo.id}, { recurrence: { type: 'rrule', rrule: this.value } })">` : ''}
+            <textarea placeholder="Notes" onchange="updateTodoFields(${todo.id}, { notes: this.value })">${escapeHtml(todo.notes || '')}</textarea>
+            <ul class="subtask-list">
+                ${(todo.subtasks || []).map(st => `
+                    <li class="${st.completed ? 'completed' : ''}">
+                        <input type="checkbox" ${st.completed ? 'checked' : ''} onchange="toggleSubtask(${todo.id}, '${st.id}')">
+                        <span>${escapeHtml(st.text)}</span>
+                        <button class="todo-delete" onclick="deleteSubtask(${todo.id}, '${st.id}')"><i class="fas fa-times"></i></button>
+                    </li>
+                `).join('')}
+            </ul>
+            <form class="form-row" onsubmit="addSubtask(event, ${todo.id})">
+                <input type="text" placeholder="Add a subtask">
+                <button type="submit" class="btn-secondary"><i class="fas fa-plus"></i></button>
+            </form>
+        </div>
+    `;
+}
+
+function renderTodoTagOptions() {
+    const select = document.getElementById('todoTagFilter');
+    const tags = [...new Set(todos.flatMap(t => t.tags || []))].sort();
+    if (todoTagFilter && !tags.includes(todoTagFilter)) tags.unshift(todoTagFilter);
+
+    select.innerHTML = '<option value="">All tags</option>' +
+        tags.map(tag => `<option value="${escapeAttr(tag)}">#${escapeHtml(tag)}</option>`).join('');
+}
+
+function parseTagInput(value) {
+    return [...new Set(value.split(',')
+        .map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean))];
+}
+
+// ============================================
+// REMINDERS
+// ============================================
+function requestReminderPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+// Shows reminders the server scheduled for this browser, as system
+// notifications when allowed and in the task list otherwise
+async function pollReminders() {
+    if (!navigator.onLine) return;
+
+    try {
+        const response = await apiFetch('/api/notifications');
+        if (!response.ok) return;
+
+        for (const reminder of await response.json()) {
+            showReminder(reminder);
+            await apiFetch(`/api/notifications/${encodeURIComponent(reminder.id)}/delivered`, { method: 'POST' });
+        }
+    } catch (error) {
+        console.error('Error fetching reminders:', error);
+    }
+}
+
+function showReminder(reminder) {
+    if ('Notification' in window && Notification.permission === 'granted') {
+        const notification = new Notification(reminder.title, { body: reminder.body, tag: `todo-${reminder.todoId}` });
+        notification.onclick = () => {
+            window.focus();
+            showSection('todos');
+        };
+        return;
+    }
+
+    const container = document.getElementById('todoReminders');
+    const item = document.createElement('div');
+    item.className = 'reminder-banner';
+    item.innerHTML = `
+        <i class="fas fa-bell"></i>
+        <span>${escapeHtml(reminder.body)}</span>
+        <button class="todo-delete" onclick="this.parentElement.remove()"><i class="fas fa-times"></i></button>
+    `;
+    container.appendChild(item);
+}
+
+// ============================================
+// CALCULATOR MODULE
+// ============================================
+let calcDisplay = '0';
+let calcHistory = '';
+let calcOperator = null;
+let calcPrevValue = null;
+let calcNewNumber = true;
+
+function initCalculator() {
+    document.querySelectorAll('.calc-btn').forEach(btn => {
+        btn.addEventListener('click', () => handleCalcButton(btn.dataset.action));
+    });
+
+    document.addEventListener('keydown', handleCalcKeyboard);
+}
+
+function handleCalcButton(action) {
+    if (action >= '0' && action <= '9') {
+        inputNumber(action);
+    } else if (action === '.') {
+        inputDecimal();
+    } else if (['+', '-', '*', '/'].includes(action)) {
+        inputOperator(action);
+    } else if (action === '=') {
+        calculate();
+    } else if (action === 'clear') {
+        clearCalc();
+    } else if (action === 'backspace') {
+        backspace();
+    } else if (action === 'percent') {
+        percent();
+    }
+    updateCalcDisplay();
+}
+
+function handleCalcKeyboard(e) {
+    if (!document.getElementById('calculator').classList.contains('active')) return;
+
+    const key = e.key;
+    if (key >= '0' && key <= '9') handleCalcButton(key);
+    else if (key === '.') handleCalcButton('.');
+    else if (key === '+') handleCalcButton('+');
+    else if (key === '-') handleCalcButton('-');
+    else if (key === '*') handleCalcButton('*');
+    else if (key === '/') handleCalcButton('/');
+    else if (key === 'Enter' || key === '=') handleCalcButton('=');
+    else if (key === 'Escape') handleCalcButton('clear');
+    else if (key === 'Backspace') handleCalcButton('backspace');
+    else if (key === '%') handleCalcButton('percent');
+}
+
+function inputNumber(num) {
+    if (calcNewNumber) {
+        calcDisplay = num;
+        calcNewNumber = false;
+    } else {
+        calcDisplay = calcDisplay === '0' ? num : calcDisplay + num;
+    }
+}
+
+function inputDecimal() {
+    if (calcNewNumber) {
+        calcDisplay = '0.';
+        calcNewNumber = false;
+    } else if (!calcDisplay.includes('.')) {
+        calcDisplay += '.';
+    }
+}
+
+function inputOperator(op) {
+    if (calcOperator && !calcNewNumber) {
+        calculate();
+    }
+    calcPrevValue = parseFloat(calcDisplay);
+    calcOperator = op;
+    calcHistory = `${calcDisplay} ${getOperatorSymbol(op)}`;
+    calcNewNumber = true;
+}
+
+function calculate() {
+    if (calcOperator === null || calcPrevValue === null) return;
+
+    const current = parseFloat(calcDisplay);
+    let result;
+
+    switch (calcOperator) {
+        case '+': result = calcPrevValue + current; break;
+        case '-': result = calcPrevValue - current; break;
+        case '*': result = calcPrevValue * current; break;
+        case '/': result = current !== 0 ? calcPrevValue / current : 'Error'; break;
+    }
+
+    calcHistory = `${calcPrevValue} ${getOperatorSymbol(calcOperator)} ${current} =`;
+    calcDisplay = typeof result === 'number' ? String(Math.round(result * 100000000) / 100000000) : result;
+    calcOperator = null;
     calcPrevValue = null;
     calcNewNumber = true;
 }
 
-function backspace() {
-    if (calcDisplay.length > 1) {
-        calcDisplay = calcDisplay.slice(0, -1);
-    } else {
-        calcDisplay = '0';
-        calcNewNumber = true;
+function clearCalc() {
+    calcDisplay = '0';
+    calcHistory = '';
+    calcOperator = null;
+    calcPrevValue = null;
+    calcNewNumber = true;
+}
+
+function backspace() {
+    if (calcDisplay.length > 1) {
+        calcDisplay = calcDisplay.slice(0, -1);
+    } else {
+        calcDisplay = '0';
+        calcNewNumber = true;
+    }
+}
+
+function percent() {
+    calcDisplay = String(parseFloat(calcDisplay) / 100);
+}
+
+function getOperatorSymbol(op) {
+    const symbols = { '+': '+', '-': '−', '*': '×', '/': '÷' };
+    return symbols[op] || op;
+}
+
+function updateCalcDisplay() {
+    document.getElementById('calcDisplay').textContent = calcDisplay;
+    document.getElementById('calcHistory').textContent = calcHistory;
+}
+
+// ============================================
+// WEATHER MODULE
+// ============================================
+const WEATHER_ICONS = {
+    'Clear': 'fa-sun',
+    'Clouds': 'fa-cloud',
+    'Rain': 'fa-cloud-rain',
+    'Drizzle': 'fa-cloud-rain',
+    'Thunderstorm': 'fa-bolt',
+    'Snow': 'fa-snowflake',
+    'Mist': 'fa-smog',
+    'Fog': 'fa-smog',
+    'Haze': 'fa-smog'
+};
+const PLACE_SUGGEST_DELAY = 250;
+let savedLocations = [];
+let weatherQuery = null;
+let weatherData = null;
+let placeSuggestTimer = null;
+
+function initWeather() {
+    const weatherForm = document.getElementById('weatherForm');
+    weatherForm.addEventListener('submit', handleWeatherSearch);
+
+    const cityInput = document.getElementById('cityInput');
+    cityInput.addEventListener('input', () => {
+        clearTimeout(placeSuggestTimer);
+        placeSuggestTimer = setTimeout(() => fetchPlaceSuggestions(cityInput.value.trim()), PLACE_SUGGEST_DELAY);
+    });
+
+    document.getElementById('weatherUnits').addEventListener('change', e => changeWeatherUnits(e.target.value));
+
+    fetchSavedLocations();
+}
+
+function weatherIcon(weather) {
+    return WEATHER_ICONS[weather] || 'fa-cloud-sun';
+}
+
+function renderWeatherUnits() {
+    if (currentUser) {
+        document.getElementById('weatherUnits').value = currentUser.weatherUnits || 'metric';
+    }
+}
+
+async function fetchPlaceSuggestions(query) {
+    const list = document.getElementById('citySuggestions');
+    if (query.length < 2) {
+        list.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API.weather}/places?q=${encodeURIComponent(query)}`);
+        if (!response.ok) return;
+        const places = await response.json();
+        list.innerHTML = places.map(place => `<option value="${escapeAttr(place.label)}"></option>`).join('');
+    } catch (error) {
+        console.error('Error fetching place suggestions:', error);
+    }
+}
+
+async function handleWeatherSearch(e) {
+    e.preventDefault();
+    const city = document.getElementById('cityInput').value.trim();
+    if (!city) return;
+
+    showWeather({ city });
+}
+
+// query is { city } or { location } (a saved location's id)
+async function showWeather(query) {
+    weatherQuery = query;
+    const display = document.getElementById('weatherDisplay');
+    display.innerHTML = '<div class="weather-placeholder"><i class="fas fa-spinner fa-spin"></i><p>Fetching weather...</p></div>';
+    document.getElementById('weatherForecast').hidden = true;
+
+    try {
+        const response = await apiFetch(`${API.weather}/forecast?${new URLSearchParams(query)}`);
+        const data = await response.json();
+
+        if (response.status === 402 || response.status === 403) {
+            fetchCurrentUser();
+        }
+
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        weatherData = data;
+        renderWeather(data);
+        renderForecast(data);
+    } catch (error) {
+        weatherData = null;
+        display.innerHTML = `<div class="weather-placeholder"><i class="fas fa-exclamation-triangle"></i><p>${escapeHtml(error.message || 'City not found. Please try again.')}</p></div>`;
+    }
+}
+
+function isSavedLocation(data) {
+    return savedLocations.some(location => location.latitude === data.latitude && location.longitude === data.longitude);
+}
+
+function renderWeather(data) {
+    const display = document.getElementById('weatherDisplay');
+    const place = [data.city, data.country].filter(Boolean).join(', ');
+    const saveButton = isSavedLocation(data)
+        ? '<button class="btn-secondary weather-save" disabled><i class="fas fa-star"></i> Saved</button>'
+        : '<button class="btn-secondary weather-save" onclick="saveLocation()"><i class="far fa-star"></i> Save location</button>';
+
+    display.innerHTML = `
+        <div class="weather-info">
+            ${saveButton}
+            <i class="fas ${weatherIcon(data.weather)} weather-icon"></i>
+            <div class="weather-temp">${Math.round(data.temp)}${data.units.temperature}</div>
+            <div class="weather-city">${escapeHtml(place)}</div>
+            <div class="weather-desc">${escapeHtml(data.description)}</div>
+            <div class="weather-details">
+                <div class="weather-detail">
+                    <i class="fas fa-tint"></i> Humidity: ${data.humidity}%
+                </div>
+                <div class="weather-detail">
+                    <i class="fas fa-wind"></i> Wind: ${data.wind} ${data.units.windSpeed}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function forecastDay(date, index) {
+    if (index === 0) return 'Today';
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function renderForecast(data) {
+    const forecast = document.getElementById('weatherForecast');
+    const degrees = data.units.temperature;
+
+    const hours = data.hourly.map(hour => `
+        <div class="forecast-hour" title="${escapeAttr(hour.description)}">
+            <span class="forecast-time">${hour.time.slice(11, 16)}</span>
+            <i class="fas ${weatherIcon(hour.weather)}"></i>
+            <span class="forecast-temp">${Math.round(hour.temp)}${degrees}</span>
+            <span class="forecast-chance"><i class="fas fa-tint"></i> ${hour.precipitationChance || 0}%</span>
+        </div>
+    `).join('');
+
+    const days = data.daily.map((day, i) => `
+        <li class="forecast-day">
+            <span class="forecast-date">${escapeHtml(forecastDay(day.date, i))}</span>
+            <i class="fas ${weatherIcon(day.weather)}"></i>
+            <span class="forecast-desc">${escapeHtml(day.description)}</span>
+            <span class="forecast-chance"><i class="fas fa-tint"></i> ${day.precipitationChance || 0}%</span>
+            <span class="forecast-range">${Math.round(day.high)}${degrees} / ${Math.round(day.low)}${degrees}</span>
+        </li>
+    `).join('');
+
+    forecast.innerHTML = `
+        <h3><i class="fas fa-clock"></i> Next 24 Hours</h3>
+        <div class="forecast-hours">${hours}</div>
+        <h3><i class="fas fa-calendar-alt"></i> 5-Day Forecast</h3>
+        <ul class="forecast-days">${days}</ul>
+    `;
+    forecast.hidden = false;
+}
+
+async function changeWeatherUnits(units) {
+    try {
+        const response = await apiFetch(`${API.weather}/preferences`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ units })
+        });
+        if (!response.ok) throw new Error((await response.json()).error);
+
+        if (currentUser) currentUser.weatherUnits = units;
+        fetchSavedLocations();
+        if (weatherData) showWeather(weatherQuery);
+    } catch (error) {
+        console.error('Error saving weather units:', error);
+        renderWeatherUnits();
+    }
+}
+
+async function fetchSavedLocations() {
+    try {
+        const response = await apiFetch(`${API.weather}/locations`);
+        savedLocations = await response.json();
+        renderSavedLocations();
+        if (weatherData) renderWeather(weatherData);
+    } catch (error) {
+        console.error('Error fetching saved locations:', error);
+    }
+}
+
+async function saveLocation() {
+    try {
+        const response = await apiFetch(`${API.weather}/locations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ city: weatherData.label })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        fetchSavedLocations();
+    } catch (error) {
+        alert(error.message || 'Failed to save location');
+    }
+}
+
+async function removeLocation(id) {
+    try {
+        await apiFetch(`${API.weather}/locations/${id}`, { method: 'DELETE' });
+        savedLocations = savedLocations.filter(location => location.id !== id);
+        renderSavedLocations();
+        if (weatherData) renderWeather(weatherData);
+    } catch (error) {
+        console.error('Error removing location:', error);
+    }
+}
+
+function renderSavedLocations() {
+    const container = document.getElementById('savedLocations');
+
+    container.innerHTML = savedLocations.map(location => {
+        const current = location.current;
+        const conditions = current
+            ? `<i class="fas ${weatherIcon(current.weather)} location-icon"></i>
+               <div class="location-temp">${Math.round(current.temp)}${current.units.temperature}</div>
+               <div class="location-desc">${escapeHtml(current.description)}</div>`
+            : '<i class="fas fa-exclamation-triangle location-icon"></i><div class="location-desc">Unavailable</div>';
+
+        return `
+            <div class="card location-card" onclick="showWeather({ location: ${location.id} })" title="${escapeAttr(location.label)}">
+                <button class="location-remove" onclick="event.stopPropagation(); removeLocation(${location.id})" title="Remove"><i class="fas fa-times"></i></button>
+                ${conditions}
+                <div class="location-name">${escapeHtml(location.name)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// CHAT MODULE
+// ============================================
+let chatBusy = false;
+let conversations = [];
+let currentConversationId = parseInt(localStorage.getItem('chatConversationId')) || null;
+let renamingConversationId = null;
+const CHAT_GREETING = 'Greetings! I am your scholarly assistant. How may I help you today?';
+const CHAT_TOOL_ICONS = {
+    create_todo: 'fa-square-plus',
+    list_todos: 'fa-list-check',
+    create_note: 'fa-file-circle-plus',
+    list_notes: 'fa-book',
+    summarize_notes: 'fa-file-lines',
+    search: 'fa-magnifying-glass'
+};
+
+function initChat() {
+    const chatForm = document.getElementById('chatForm');
+    chatForm.addEventListener('submit', handleChatSubmit);
+
+    renderChatMessages([]);
+    fetchConversations().then(() => {
+        if (conversations.some(c => c.id === currentConversationId)) {
+            openConversation(currentConversationId);
+        } else {
+            setCurrentConversation(null);
+        }
+    });
+}
+
+async function fetchConversations() {
+    try {
+        const response = await apiFetch(`${API.chat}/conversations`);
+        conversations = await response.json();
+        renderConversations();
+    } catch (error) {
+        console.error('Error fetching conversations:', error);
+    }
+}
+
+// Remembered across reloads so the chat reopens where it was left
+function setCurrentConversation(id) {
+    currentConversationId = id;
+    if (id) {
+        localStorage.setItem('chatConversationId', id);
+    } else {
+        localStorage.removeItem('chatConversationId');
+    }
+    renderConversations();
+}
+
+async function openConversation(id) {
+    if (chatBusy) return;
+
+    try {
+        const response = await apiFetch(`${API.chat}/conversations/${id}`);
+        if (!response.ok) {
+            throw new Error('Conversation not found');
+        }
+        const conversation = await response.json();
+        setCurrentConversation(conversation.id);
+        renderChatMessages(conversation.messages);
+    } catch (error) {
+        console.error('Error opening conversation:', error);
+        setCurrentConversation(null);
+        renderChatMessages([]);
+        fetchConversations();
+    }
+}
+
+function startNewConversation() {
+    if (chatBusy) return;
+    setCurrentConversation(null);
+    renderChatMessages([]);
+    document.getElementById('chatInput').focus();
+}
+
+function startRenamingConversation(id) {
+    renamingConversationId = id;
+    renderConversations();
+
+    const input = document.querySelector('.conversation-rename');
+    input.focus();
+    input.select();
+}
+
+async function handleRenameKeydown(e, id) {
+    if (e.key === 'Escape') {
+        renamingConversationId = null;
+        renderConversations();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        await renameConversation(id, e.target.value);
+    }
+}
+
+async function renameConversation(id, title) {
+    if (renamingConversationId !== id) return;
+    renamingConversationId = null;
+
+    const conversation = conversations.find(c => c.id === id);
+    if (!title.trim() || title.trim() === conversation.title) {
+        renderConversations();
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`${API.chat}/conversations/${id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title })
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        conversation.title = data.title;
+    } catch (error) {
+        alert(error.message);
+    }
+    renderConversations();
+}
+
+async function deleteConversation(id) {
+    const conversation = conversations.find(c => c.id === id);
+    if (!confirm(`Delete "${conversation.title}"? This can't be undone.`)) return;
+
+    try {
+        await apiFetch(`${API.chat}/conversations/${id}`, { method: 'DELETE' });
+        conversations = conversations.filter(c => c.id !== id);
+        if (id === currentConversationId) {
+            startNewConversation();
+        } else {
+            renderConversations();
+        }
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+    }
+}
+
+function renderConversations() {
+    const list = document.getElementById('conversationList');
+
+    if (conversations.length === 0) {
+        list.innerHTML = '<li class="empty-message">No conversations yet</li>';
+        return;
+    }
+
+    list.innerHTML = conversations.map(conversation => {
+        const title = conversation.id === renamingConversationId
+            ? `<input type="text" class="conversation-rename" value="${escapeAttr(conversation.title)}" maxlength="80"
+                onkeydown="handleRenameKeydown(event, ${conversation.id})"
+                onblur="renameConversation(${conversation.id}, this.value)"
+                onclick="event.stopPropagation()">`
+            : `<span class="conversation-title">${escapeHtml(conversation.title)}</span>`;
+
+        return `
+            <li class="conversation-item ${conversation.id === currentConversationId ? 'active' : ''}" onclick="openConversation(${conversation.id})">
+                <div class="conversation-info">
+                    ${title}
+                    <span class="conversation-date">${formatDate(conversation.updatedAt)}</span>
+                </div>
+                <div class="conversation-actions">
+                    <button onclick="event.stopPropagation(); startRenamingConversation(${conversation.id})" title="Rename"><i class="fas fa-pen"></i></button>
+                    <button class="danger" onclick="event.stopPropagation(); deleteConversation(${conversation.id})" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+function renderChatMessages(messages) {
+    document.getElementById('chatMessages').innerHTML = '';
+    addChatMessage(CHAT_GREETING, 'bot');
+    messages.forEach(message => {
+        if (message.action) {
+            addActionCard(message);
+        } else {
+            addChatMessage(message.content, message.role === 'user' ? 'user' : 'bot');
+        }
+    });
+}
+
+// Actions the assistant proposes run only once confirmed here
+function addActionCard(message) {
+    const container = document.getElementById('chatMessages');
+    container.appendChild(renderActionCard(message));
+    container.scrollTop = container.scrollHeight;
+}
+
+function renderActionCard({ content, action }) {
+    const card = document.createElement('div');
+    card.className = `chat-message bot action-message ${action.status}`;
+    card.dataset.actionId = action.id;
+
+    let body = '';
+    if (action.status === 'pending') {
+        body = `
+            <div class="action-buttons">
+                <button class="btn-primary" onclick="handleChatAction('${action.id}', 'confirm')"><i class="fas fa-check"></i> Confirm</button>
+                <button class="btn-secondary" onclick="handleChatAction('${action.id}', 'cancel')"><i class="fas fa-times"></i> Cancel</button>
+            </div>
+        `;
+    } else if (action.status === 'done') {
+        const items = action.result.items.map(item => `
+            <li onclick="openItem('${item.type}', ${item.id})">
+                <i class="fas ${SEARCH_ICONS[item.type]}"></i>
+                <div>
+                    <span class="action-item-title">${escapeHtml(item.title)}</span>
+                    ${item.detail ? `<span class="action-item-detail">${escapeHtml(item.detail)}</span>` : ''}
+                </div>
+            </li>
+        `).join('');
+        body = `
+            <p class="action-status">${escapeHtml(action.result.message)}</p>
+            ${items ? `<ul class="action-items">${items}</ul>` : ''}
+        `;
+    } else if (action.status === 'failed') {
+        body = `<p class="action-status error"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(action.error)}</p>`;
+    } else {
+        body = '<p class="action-status">Cancelled</p>';
+    }
+
+    card.innerHTML = `
+        <div class="message-avatar"><i class="fas fa-robot"></i></div>
+        <div class="message-content action-card">
+            <p class="action-title"><i class="fas ${CHAT_TOOL_ICONS[action.tool] || 'fa-bolt'}"></i> ${escapeHtml(content)}</p>
+            ${body}
+        </div>
+    `;
+    return card;
+}
+
+// decision is 'confirm' or 'cancel'
+async function handleChatAction(actionId, decision) {
+    const card = document.querySelector(`.chat-message[data-action-id="${actionId}"]`);
+    card.querySelectorAll('.action-buttons button').forEach(button => { button.disabled = true; });
+
+    try {
+        const response = await apiFetch(`${API.chat}/conversations/${currentConversationId}/actions/${actionId}/${decision}`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        card.replaceWith(renderActionCard(data));
+        scrollChatToBottom();
+
+        if (data.action.status === 'done') {
+            if (data.action.tool === 'create_todo') syncTodos();
+            if (data.action.tool === 'create_note') {
+                fetchNotes();
+                fetchCurrentUser();
+            }
+        }
+    } catch (error) {
+        alert(error.message);
+        card.querySelectorAll('.action-buttons button').forEach(button => { button.disabled = false; });
+    }
+}
+
+// Replies stream in over server-sent events (see POST /api/chat)
+async function handleChatSubmit(e) {
+    e.preventDefault();
+    const input = document.getElementById('chatInput');
+    const message = input.value.trim();
+
+    if (!message || chatBusy) return;
+
+    addChatMessage(message, 'user');
+    input.value = '';
+    setChatBusy(true);
+
+    const reply = addChatMessage('', 'bot');
+    reply.classList.add('typing');
+    const text = reply.querySelector('p');
+
+    try {
+        const response = await apiFetch(API.chat, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+            body: JSON.stringify({
+                message,
+                conversationId: currentConversationId,
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            })
+        });
+
+        if (await handlePlanLimit(response)) {
+            reply.remove();
+            return;
+        }
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'The assistant is unavailable right now.');
+        }
+
+        await readEventStream(response, (event, data) => {
+            if (event === 'conversation') {
+                setCurrentConversation(data.id);
+            } else if (event === 'token') {
+                reply.classList.remove('typing');
+                text.textContent += data.text;
+            } else if (event === 'action') {
+                addActionCard(data);
+            } else if (event === 'done') {
+                text.textContent = data.response;
+            } else if (event === 'error') {
+                throw new Error(data.error);
+            }
+            scrollChatToBottom();
+        });
+    } catch (error) {
+        reply.classList.add('error');
+        text.textContent = error.message;
+    } finally {
+        reply.classList.remove('typing');
+        // Replies that are only action cards leave the text bubble empty
+        if (!text.textContent) reply.remove();
+        setChatBusy(false);
+        input.focus();
+        fetchConversations();
+    }
+}
+
+function setChatBusy(busy) {
+    chatBusy = busy;
+    document.querySelector('#chatForm button[type="submit"]').disabled = busy;
+}
+
+function scrollChatToBottom() {
+    const container = document.getElementById('chatMessages');
+    container.scrollTop = container.scrollHeight;
+}
+
+// Calls onEvent(event, data) for each server-sent event in a fetch response
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        for (const block of events) {
+            let event = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (data) onEvent(event, JSON.parse(data));
+        }
+    }
+}
+
+function addChatMessage(text, sender) {
+    const container = document.getElementById('chatMessages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `chat-message ${sender}`;
+
+    const icon = sender === 'user' ? 'fa-user' : 'fa-robot';
+
+    messageDiv.innerHTML = `
+        <div class="message-avatar"><i class="fas ${icon}"></i></div>
+        <div class="message-content"><p>${escapeHtml(text)}</p></div>
+    `;
+
+    container.appendChild(messageDiv);
+    container.scrollTop = container.scrollHeight;
+    return messageDiv;
+}
+
+// ============================================
+// FILE UPLOAD MODULE
+// ============================================
+let uploadedFiles = [];
+
+function initFileUpload() {
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('fileInput');
+    const browseBtn = document.getElementById('browseBtn');
+
+    browseBtn.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('click', (e) => {
+        if (e.target !== browseBtn && !browseBtn.contains(e.target)) {
+            fileInput.click();
+        }
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('dragover');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        handleFiles(e.dataTransfer.files);
+    });
+
+    fileInput.addEventListener('change', (e) => {
+        handleFiles(e.target.files);
+    });
+
+    fetchFiles();
+}
+
+async function fetchFiles() {
+    try {
+        const [filesResponse, usageResponse] = await Promise.all([
+            apiFetch(API.files),
+            apiFetch(`${API.files}/usage`)
+        ]);
+        uploadedFiles = await filesResponse.json();
+        renderFiles();
+        renderStorageUsage(await usageResponse.json());
+    } catch (error) {
+        console.error('Error fetching files:', error);
+    }
+}
+
+function handleFiles(files) {
+    Array.from(files).forEach(file => {
+        uploadFile(file);
+    });
+}
+
+function uploadFile(file) {
+    const progressContainer = document.getElementById('uploadProgress');
+    const progressId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    const progressHtml = `
+        <div class="progress-item" id="progress-${progressId}">
+            <i class="fas fa-file"></i>
+            <span>${escapeHtml(file.name)}</span>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: 0%"></div>
+            </div>
+        </div>
+    `;
+
+    progressContainer.insertAdjacentHTML('beforeend', progressHtml);
+    const progressItem = document.getElementById(`progress-${progressId}`);
+    const progressFill = progressItem.querySelector('.progress-fill');
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    // XHR rather than fetch: only XHR reports upload progress
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', API.files);
+
+    xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+            progressFill.style.width = `${(e.loaded / e.total) * 100}%`;
+        }
+    });
+
+    xhr.addEventListener('load', () => {
+        if (xhr.status === 401) {
+            window.location.href = '/signin.html';
+            return;
+        }
+
+        if (xhr.status === 201) {
+            progressFill.style.width = '100%';
+            setTimeout(() => progressItem.remove(), 300);
+            fetchFiles();
+            return;
+        }
+
+        if (xhr.status === 402 || xhr.status === 403) {
+            fetchCurrentUser();
+        }
+
+        let message = 'Upload failed';
+        try {
+            message = JSON.parse(xhr.responseText).error || message;
+        } catch (error) {
+            // Non-JSON error body
+        }
+        showUploadError(progressItem, message);
+    });
+
+    xhr.addEventListener('error', () => showUploadError(progressItem, 'Network error'));
+    xhr.send(formData);
+}
+
+function showUploadError(progressItem, message) {
+    progressItem.classList.add('error');
+    progressItem.querySelector('.progress-bar').outerHTML = `<span class="progress-error">${escapeHtml(message)}</span>`;
+    setTimeout(() => progressItem.remove(), 4000);
+}
+
+async function deleteFile(id) {
+    const file = uploadedFiles.find(f => f.id === id);
+
+    try {
+        const response = await apiFetch(`${API.files}/${id}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Delete failed');
+        fetchFiles();
+        showUndoToast(`"${file ? file.name : 'File'}" moved to Trash`, async () => {
+            await restoreFromTrash('file', id);
+            fetchFiles();
+        });
+    } catch (error) {
+        console.error('Error deleting file:', error);
+    }
+}
+
+function isPreviewable(type) {
+    return /^image\/(png|jpe?g|gif|webp)$/.test(type) || type === 'application/pdf';
+}
+
+function previewFile(id) {
+    const file = uploadedFiles.find(f => f.id === id);
+    if (!file) return;
+
+    const url = `${API.files}/${id}/preview`;
+    const body = file.type === 'application/pdf'
+        ? `<iframe src="${url}" title="${escapeAttr(file.name)}"></iframe>`
+        : `<img src="${url}" alt="${escapeAttr(file.name)}">`;
+
+    document.getElementById('filePreviewTitle').textContent = file.name;
+    document.getElementById('filePreviewBody').innerHTML = body;
+    document.getElementById('filePreviewModal').classList.add('open');
+}
+
+function closeFilePreview() {
+    document.getElementById('filePreviewModal').classList.remove('open');
+    document.getElementById('filePreviewBody').innerHTML = '';
+}
+
+function renderStorageUsage(usage) {
+    const percent = Math.min(100, (usage.used / usage.quota) * 100);
+    document.getElementById('storageUsage').innerHTML = `
+        <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+        <span>${formatFileSize(usage.used)} of ${formatFileSize(usage.quota)} used</span>
+    `;
+}
+
+function renderFiles() {
+    const container = document.getElementById('filesContainer');
+
+    if (uploadedFiles.length === 0) {
+        container.innerHTML = '<p class="empty-message"><i class="fas fa-folder-open"></i> No files uploaded yet</p>';
+        return;
+    }
+
+    container.innerHTML = uploadedFiles.map(file => {
+        const icon = getFileIcon(file.type);
+        return `
+            <div class="file-card" data-id="${file.id}">
+                <i class="fas ${icon}"></i>
+                <div class="file-name">${escapeHtml(file.name)}</div>
+                <div class="file-size">${formatFileSize(file.size)}</div>
+                <div class="file-actions">
+                    ${isPreviewable(file.type) ? `
+                    <button onclick="previewFile(${file.id})" title="Preview">
+                        <i class="fas fa-eye"></i>
+                    </button>` : ''}
+                    <a href="${API.files}/${file.id}/download" title="Download">
+                        <i class="fas fa-download"></i>
+                    </a>
+                    <button onclick="deleteFile(${file.id})" title="Delete" class="danger">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function getFileIcon(type) {
+    type = type || '';
+    if (type.startsWith('image/')) return 'fa-file-image';
+    if (type.startsWith('video/')) return 'fa-file-video';
+    if (type.startsWith('audio/')) return 'fa-file-audio';
+    if (type.includes('pdf')) return 'fa-file-pdf';
+    if (type.includes('word') || type.includes('document')) return 'fa-file-word';
+    if (type.includes('excel') || type.includes('spreadsheet')) return 'fa-file-excel';
+    if (type.includes('zip') || type.includes('rar')) return 'fa-file-archive';
+    return 'fa-file';
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    return (bytes / (1024 * 1024 * 1024)).toFixed(1) + ' GB';
+}
+
+// ============================================
+// ACCOUNT MODULE
+// ============================================
+let currentUser = null;
+let entitlements = null;
+
+const LIMIT_NAMES = {
+    notes: 'Notes',
+    storageBytes: 'File storage',
+    chatMessagesPerDay: 'Chat messages today',
+    weatherLookupsPerDay: 'Weather lookups today'
+};
+
+function initAccount() {
+    document.getElementById('passwordForm').addEventListener('submit', handlePasswordSubmit);
+    document.getElementById('importForm').addEventListener('submit', handleImportSubmit);
+    document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+    fetchCurrentUser();
+    fetchBilling();
+}
+
+async function fetchCurrentUser() {
+    try {
+        const response = await apiFetch('/api/me');
+        const data = await response.json();
+        currentUser = data.user;
+        entitlements = data.entitlements;
+        renderAccount();
+        renderUpgradePrompts();
+        renderWeatherUnits();
+    } catch (error) {
+        console.error('Error fetching account:', error);
+    }
+}
+
+function renderAccount() {
+    if (!currentUser) return;
+    document.getElementById('accountEmail').textContent = `Signed in as ${currentUser.email}`;
+    document.getElementById('currentPasswordGroup').hidden = !currentUser.hasPassword;
+
+    if (!entitlements) return;
+    const rows = Object.keys(LIMIT_NAMES).map(name => {
+        const limit = entitlements.limits[name];
+        const used = entitlements.usage[name];
+        const format = name === 'storageBytes' ? formatFileSize : String;
+        const percent = limit ? Math.min(100, (used / limit) * 100) : 0;
+
+        return `
+            <div class="plan-usage">
+                <span>${LIMIT_NAMES[name]}</span>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+                <span>${format(used)} / ${limit === null ? 'Unlimited' : format(limit)}</span>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('planDetails').innerHTML = `
+        <p class="plan-name">${escapeHtml(entitlements.planName)} plan</p>
+        ${rows}
+        ${entitlements.plan === 'free' ? '<a href="/subscribe.html" class="btn-primary"><i class="fas fa-crown"></i> Upgrade to Pro</a>' : ''}
+    `;
+}
+
+function renderUpgradePrompts() {
+    if (!entitlements) return;
+
+    document.querySelectorAll('.upgrade-prompt').forEach(prompt => {
+        const limit = entitlements.limits[prompt.dataset.limit];
+        const used = entitlements.usage[prompt.dataset.limit];
+        prompt.hidden = limit === null || used < limit;
+        prompt.querySelector('.btn-primary').hidden = entitlements.plan !== 'free';
+    });
+}
+
+// Shows the section's upgrade prompt when the server rejects a request for
+// going over a plan limit. Returns true if the response was such a rejection.
+async function handlePlanLimit(response) {
+    if (response.status !== 402 && response.status !== 403) return false;
+
+    const data = await response.json();
+    const prompt = document.querySelector(`.upgrade-prompt[data-limit="${data.limit}"]`);
+    if (prompt) {
+        prompt.querySelector('span').textContent = data.error;
+        prompt.hidden = false;
+    }
+    fetchCurrentUser();
+    return true;
+}
+
+async function handlePasswordSubmit(e) {
+    e.preventDefault();
+    const status = document.getElementById('passwordStatus');
+    const password = document.getElementById('newPassword').value;
+    const currentPassword = document.getElementById('currentPassword').value;
+
+    try {
+        const response = await apiFetch('/api/auth/password', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password, currentPassword })
+        });
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        document.getElementById('passwordForm').reset();
+        status.className = 'form-status success';
+        status.textContent = 'Password saved.';
+        fetchCurrentUser();
+    } catch (error) {
+        status.className = 'form-status error';
+        status.textContent = error.message;
+    }
+}
+
+// ============================================
+// BILLING
+// ============================================
+const INTERVAL_LABELS = { monthly: 'Monthly', yearly: 'Yearly' };
+
+async function fetchBilling() {
+    try {
+        const [billingResponse, invoicesResponse] = await Promise.all([
+            apiFetch('/api/billing'),
+            apiFetch('/api/billing/invoices')
+        ]);
+        renderBilling(await billingResponse.json());
+        renderInvoices(await invoicesResponse.json());
+    } catch (error) {
+        console.error('Error fetching billing:', error);
+    }
+}
+
+function renderBilling(billing) {
+    const container = document.getElementById('billingDetails');
+    const demoNote = billing.demo ? '<p class="card-hint"><i class="fas fa-flask"></i> Demo mode: billing actions are simulated.</p>' : '';
+
+    if (['past_due', 'unpaid'].includes(billing.status)) {
+        container.innerHTML = `
+            ${demoNote}
+            <div class="upgrade-prompt">
+                <i class="fas fa-exclamation-triangle"></i>
+                <span>Your last payment failed, so Pro features are paused. Update your payment method to restore them.</span>
+            </div>
+            <div class="billing-actions">
+                ${billing.demo ? '' : '<button class="btn-primary" onclick="openBillingPortal()"><i class="fas fa-credit-card"></i> Update Payment Method</button>'}
+            </div>
+        `;
+        return;
+    }
+
+    if (billing.plan !== 'pro' || !billing.status) {
+        container.innerHTML = `
+            ${demoNote}
+            <p>You're on the Free plan.</p>
+            <div class="billing-actions">
+                ${billing.availableIntervals.map(interval => `
+                    <button class="btn-primary" onclick="startCheckout('${interval}')">
+                        <i class="fas fa-crown"></i> Upgrade ${INTERVAL_LABELS[interval]}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        return;
+    }
+
+    const otherIntervals = billing.availableIntervals.filter(i => i !== billing.interval);
+    const periodEnd = billing.currentPeriodEnd ? formatDate(billing.currentPeriodEnd) : null;
+    let renewal = billing.cancelAtPeriodEnd
+        ? `Cancels on ${periodEnd}`
+        : (periodEnd ? `Renews on ${periodEnd}` : '');
+    if (billing.status === 'trialing' && billing.trialEnd) {
+        renewal = `Free trial until ${formatDate(billing.trialEnd)}. ${renewal}`;
+    }
+
+    container.innerHTML = `
+        ${demoNote}
+        <p><strong>Pro plan</strong> · ${INTERVAL_LABELS[billing.interval] || 'Custom'} · <span class="billing-status">${escapeHtml(billing.status)}</span></p>
+        <p class="card-hint">${renewal}</p>
+        <div class="billing-actions">
+            ${billing.demo ? '' : '<button class="btn-secondary" onclick="openBillingPortal()"><i class="fas fa-credit-card"></i> Manage Payment Method</button>'}
+            ${otherIntervals.map(interval => `
+                <button class="btn-secondary" onclick="changePlan('${interval}')">
+                    <i class="fas fa-exchange-alt"></i> Switch to ${INTERVAL_LABELS[interval]}
+                </button>
+            `).join('')}
+            ${billing.cancelAtPeriodEnd
+                ? '<button class="btn-primary" onclick="resumeSubscription()"><i class="fas fa-redo"></i> Resume Subscription</button>'
+                : '<button class="btn-secondary danger" onclick="cancelSubscription()"><i class="fas fa-ban"></i> Cancel Subscription</button>'}
+        </div>
+    `;
+}
+
+// Invoice links come from Stripe, which only hands out https: pages
+function isHttpsUrl(url) {
+    try {
+        return new URL(url).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+function renderInvoices(invoices) {
+    const container = document.getElementById('invoicesContainer');
+
+    if (invoices.length === 0) {
+        container.innerHTML = '<p class="empty-message"><i class="fas fa-receipt"></i> No invoices yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="invoice-table">
+            <thead>
+                <tr><th>Date</th><th>Number</th><th>Description</th><th>Amount</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${invoices.map(invoice => `
+                    <tr>
+                        <td>${formatDate(invoice.date)}</td>
+                        <td>${escapeHtml(invoice.number || '')}</td>
+                        <td>${escapeHtml(invoice.description || '')}</td>
+                        <td>${formatMoney(invoice.amount, invoice.currency)}</td>
+                        <td>${escapeHtml(invoice.status || '')}</td>
+                        <td>${isHttpsUrl(invoice.hostedUrl) ? `<a href="${escapeAttr(invoice.hostedUrl)}" target="_blank" rel="noopener">View</a>` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function billingAction(url, body) {
+    const status = document.getElementById('billingStatus');
+    status.textContent = '';
+
+    try {
+        const response = await apiFetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        return data;
+    } catch (error) {
+        status.className = 'form-status error';
+        status.textContent = error.message;
+        return null;
+    }
+}
+
+async function startCheckout(interval) {
+    const data = await billingAction('/create-checkout-session', {
+        email: currentUser.email,
+        name: currentUser.name,
+        interval
+    });
+    if (data && data.url) {
+        window.location.href = data.url;
     }
 }
 
-function percent() {
-    calcDisplay = String(parseFloat(calcDisplay) / 100);
+async function openBillingPortal() {
+    const data = await billingAction('/api/billing/portal');
+    if (data && data.url) {
+        window.location.href = data.url;
+    }
 }
 
-function getOperatorSymbol(op) {
-    const symbols = { '+': '+', '-': '−', '*': '×', '/': '÷' };
-    return symbols[op] || op;
+async function changePlan(interval) {
+    if (!confirm(`Switch to ${INTERVAL_LABELS[interval].toLowerCase()} billing?`)) return;
+    if (await billingAction('/api/billing/change-plan', { interval })) {
+        fetchBilling();
+    }
 }
 
-function updateCalcDisplay() {
-    document.getElementById('calcDisplay').textContent = calcDisplay;
-    document.getElementById('calcHistory').textContent = calcHistory;
+async function cancelSubscription() {
+    if (!confirm('Cancel your subscription at the end of the current period?')) return;
+    if (await billingAction('/api/billing/cancel')) {
+        fetchBilling();
+    }
+}
+
+async function resumeSubscription() {
+    if (await billingAction('/api/billing/resume')) {
+        fetchBilling();
+    }
+}
+
+async function handleLogout() {
+    // Queued todo changes are sent first; any the server can't take now are
+    // lost once the queue is cleared, so that needs the user's say-so
+    if (todoQueue.length > 0) {
+        await flushTodoQueue();
+        const pending = todoQueue.length;
+        if (pending && !confirm(`${pending} todo change${pending !== 1 ? 's have' : ' has'} not synced yet. Log out and discard ${pending !== 1 ? 'them' : 'it'}?`)) {
+            return;
+        }
+    }
+
+    // Cached todos and queued changes belong to this account only
+    localStorage.removeItem('todos');
+    localStorage.removeItem('todoQueue');
+    localStorage.removeItem('chatConversationId');
+
+    try {
+        await fetch('/api/logout', { method: 'POST' });
+    } finally {
+        window.location.href = '/';
+    }
 }
 
 // ============================================
-// WEATHER MODULE
+// BACKUP & IMPORT
 // ============================================
-function initWeather() {
-    const weatherForm = document.getElementById('weatherForm');
-    weatherForm.addEventListener('submit', handleWeatherSearch);
-}
+const IMPORT_TYPE_LABELS = { note: 'Note', todo: 'Todo', file: 'File' };
 
-async function handleWeatherSearch(e) {
+async function handleImportSubmit(e) {
     e.preventDefault();
-    const city = document.getElementById('cityInput').value.trim();
-    if (!city) return;
+    const status = document.getElementById('importStatus');
+    const files = [
+        ...document.getElementById('importFiles').files,
+        ...document.getElementById('importFolder').files
+    ];
+    const mode = document.getElementById('importMode').value;
+
+    if (files.length === 0) {
+        status.className = 'form-status error';
+        status.textContent = 'Choose an export archive, Markdown files or a folder first.';
+        return;
+    }
+    if (mode === 'replace' && !confirm('Move all current notes, todos and files to the trash before importing?')) {
+        return;
+    }
 
-    const display = document.getElementById('weatherDisplay');
-    display.innerHTML = '<div class="weather-placeholder"><i class="fas fa-spinner fa-spin"></i><p>Fetching weather...</p></div>';
+    // Folder uploads send each file's path so subfolders become notebooks
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    formData.append('paths', JSON.stringify(files.map(file => file.webkitRelativePath || file.name)));
+
+    status.className = 'form-status';
+    status.textContent = 'Importing...';
+    document.getElementById('importReport').hidden = true;
 
     try {
-        const response = await fetch(`${API.weather}?city=${encodeURIComponent(city)}`);
+        const response = await apiFetch(`/api/import?mode=${mode}`, { method: 'POST', body: formData });
         const data = await response.json();
 
         if (data.error) {
             throw new Error(data.error);
         }
 
-        renderWeather(data);
+        document.getElementById('importForm').reset();
+        status.className = 'form-status success';
+        status.textContent = `Imported ${data.imported.notes} note(s), ${data.imported.todos} todo(s) and ${data.imported.files} file(s).`;
+        renderImportReport(data);
+
+        fetchNotes();
+        syncTodos();
+        fetchFiles();
+        fetchCurrentUser();
     } catch (error) {
-        display.innerHTML = `<div class="weather-placeholder"><i class="fas fa-exclamation-triangle"></i><p>${error.message || 'City not found. Please try again.'}</p></div>`;
+        status.className = 'form-status error';
+        status.textContent = error.message;
     }
 }
 
-function renderWeather(data) {
-    const display = document.getElementById('weatherDisplay');
-    const iconMap = {
-        'Clear': 'fa-sun',
-        'Clouds': 'fa-cloud',
-        'Rain': 'fa-cloud-rain',
-        'Drizzle': 'fa-cloud-rain',
-        'Thunderstorm': 'fa-bolt',
-        'Snow': 'fa-snowflake',
-        'Mist': 'fa-smog',
-        'Fog': 'fa-smog',
-        'Haze': 'fa-smog'
-    };
-
-    const icon = iconMap[data.weather] || 'fa-cloud-sun';
-
-    display.innerHTML = `
-        <div class="weather-info">
-            <i class="fas ${icon} weather-icon"></i>
-            <div class="weather-temp">${Math.round(data.temp)}°C</div>
-            <div class="weather-city">${data.city}, ${data.country}</div>
-            <div class="weather-desc">${data.description}</div>
-            <div class="weather-details">
-                <div class="weather-detail">
-                    <i class="fas fa-tint"></i> Humidity: ${data.humidity}%
-                </div>
-                <div class="weather-detail">
-                    <i class="fas fa-wind"></i> Wind: ${data.wind} m/s
-                </div>
-            </div>
-        </div>
-    `;
+function renderImportReport({ duplicates, skipped }) {
+    const report = document.getElementById('importReport');
+    const rows = [
+        ...duplicates.map(item => ({ ...item, reason: 'Already exists' })),
+        ...skipped
+    ];
+
+    report.innerHTML = rows.map(item => `
+        <li>
+            <strong>${IMPORT_TYPE_LABELS[item.type]}:</strong> ${escapeHtml(item.title)}
+            <span class="import-reason">${escapeHtml(item.reason)}</span>
+        </li>
+    `).join('');
+    report.hidden = rows.length === 0;
 }
 
 // ============================================
-// CHAT MODULE
+// TRASH MODULE
 // ============================================
-const chatResponses = [
-    "Indeed, that is a most intriguing thought!",
-    "Pray tell, would you like me to elaborate on that matter?",
-    "A splendid observation, if I may say so myself.",
-    "How fascinating! The pursuit of knowledge is truly noble.",
-    "I find your inquiry most stimulating, dear friend.",
-    "Capital! That reminds me of an old proverb...",
-    "Your words carry wisdom beyond measure.",
-    "Allow me to ponder upon this matter with great care.",
-    "Excellent question! The answer lies in careful contemplation.",
-    "How delightful to engage in such scholarly discourse!",
-    "The mysteries of the world are indeed profound.",
-    "Your eloquence is most admirable, I must say.",
-    "A gentleman/lady of fine taste and intellect, I see!",
-    "The Victorian era would have appreciated such discourse.",
-    "Most astute! You have a keen mind for such matters."
-];
+let trashItems = [];
+let undoToastTimer = null;
+let undoToastAction = null;
+const UNDO_TOAST_DURATION = 8000;
+const TRASH_ICONS = { note: 'fa-scroll', todo: 'fa-list-check', file: 'fa-file' };
+const TRASH_LABELS = { note: 'Note', todo: 'Task', file: 'File' };
+
+function initTrash() {
+    document.getElementById('emptyTrash').addEventListener('click', emptyTrash);
+    document.getElementById('undoToastButton').addEventListener('click', undoLastDelete);
+}
 
-function initChat() {
-    const chatForm = document.getElementById('chatForm');
-    chatForm.addEventListener('submit', handleChatSubmit);
+async function fetchTrash() {
+    try {
+        const response = await apiFetch(API.trash);
+        trashItems = await response.json();
+        renderTrash();
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+    }
 }
 
-function handleChatSubmit(e) {
-    e.preventDefault();
-    const input = document.getElementById('chatInput');
-    const message = input.value.trim();
+// Brings a trashed item back; returns the restored record or null
+async function restoreFromTrash(type, id) {
+    const response = await apiFetch(`${API.trash}/${type}/${id}/restore`, { method: 'POST' });
+    if (await handlePlanLimit(response)) return null;
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Restore failed');
+    }
+    return response.json();
+}
 
-    if (!message) return;
+async function restoreTrashItem(type, id) {
+    try {
+        await restoreFromTrash(type, id);
+        refreshAfterTrashChange(type);
+    } catch (error) {
+        console.error('Error restoring item:', error);
+    }
+    fetchTrash();
+}
 
-    addChatMessage(message, 'user');
-    input.value = '';
+async function purgeTrashItem(type, id) {
+    if (!confirm('Delete this permanently? It cannot be restored.')) return;
 
-    // Simulate typing delay
-    setTimeout(() => {
-        const response = chatResponses[Math.floor(Math.random() * chatResponses.length)];
-        addChatMessage(response, 'bot');
-    }, 800 + Math.random() * 1000);
+    try {
+        await apiFetch(`${API.trash}/${type}/${id}`, { method: 'DELETE' });
+        if (type === 'file') fetchFiles();
+    } catch (error) {
+        console.error('Error deleting item:', error);
+    }
+    fetchTrash();
 }
 
-function addChatMessage(text, sender) {
-    const container = document.getElementById('chatMessages');
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `chat-message ${sender}`;
+async function emptyTrash() {
+    if (trashItems.length === 0) return;
+    if (!confirm(`Permanently delete ${trashItems.length} item${trashItems.length !== 1 ? 's' : ''}? This cannot be undone.`)) return;
 
-    const icon = sender === 'user' ? 'fa-user' : 'fa-robot';
-
-    messageDiv.innerHTML = `
-        <div class="message-avatar"><i class="fas ${icon}"></i></div>
-        <div class="message-content"><p>${escapeHtml(text)}</p></div>
-    `;
+    try {
+        await apiFetch(API.trash, { method: 'DELETE' });
+        fetchFiles();
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+    }
+    fetchTrash();
+}
 
-    container.appendChild(messageDiv);
-    container.scrollTop = container.scrollHeight;
+function refreshAfterTrashChange(type) {
+    if (type === 'note') {
+        fetchNotes();
+        fetchCurrentUser();
+    } else if (type === 'todo') {
+        syncTodos();
+    } else if (type === 'file') {
+        fetchFiles();
+    }
 }
 
-// ============================================
-// FILE UPLOAD MODULE
-// ============================================
-let uploadedFiles = [];
+function renderTrash() {
+    const container = document.getElementById('trashContainer');
+    document.getElementById('emptyTrash').disabled = trashItems.length === 0;
 
-function initFileUpload() {
-    const dropZone = document.getElementById('dropZone');
-    const fileInput = document.getElementById('fileInput');
-    const browseBtn = document.getElementById('browseBtn');
+    if (trashItems.length === 0) {
+        container.innerHTML = '<p class="empty-message"><i class="fas fa-trash-can"></i> The trash is empty</p>';
+        return;
+    }
 
-    browseBtn.addEventListener('click', () => fileInput.click());
-    dropZone.addEventListener('click', (e) => {
-        if (e.target !== browseBtn && !browseBtn.contains(e.target)) {
-            fileInput.click();
-        }
-    });
+    container.innerHTML = trashItems.map(item => `
+        <div class="trash-item">
+            <i class="fas ${TRASH_ICONS[item.type]}" title="${TRASH_LABELS[item.type]}"></i>
+            <div class="trash-body">
+                <div class="trash-title">${escapeHtml(item.title)}</div>
+                <div class="trash-meta">${TRASH_LABELS[item.type]} · deleted ${formatDate(item.deletedAt)} · removed for good ${formatDate(item.purgeAt)}</div>
+            </div>
+            <div class="trash-actions">
+                <button class="btn-secondary" onclick="restoreTrashItem('${item.type}', ${item.id})"><i class="fas fa-rotate-left"></i> Restore</button>
+                <button class="btn-secondary danger" onclick="purgeTrashItem('${item.type}', ${item.id})" title="Delete forever"><i class="fas fa-trash"></i></button>
+            </div>
+        </div>
+    `).join('');
+}
 
-    dropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropZone.classList.add('dragover');
-    });
+// Shows `message` with an Undo button for a few seconds; a new toast
+// replaces the previous one, whose undo is then no longer offered
+function showUndoToast(message, onUndo) {
+    clearTimeout(undoToastTimer);
+    undoToastAction = onUndo;
 
-    dropZone.addEventListener('dragleave', () => {
-        dropZone.classList.remove('dragover');
-    });
+    document.getElementById('undoToastMessage').textContent = message;
+    document.getElementById('undoToast').hidden = false;
+    undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION);
+}
 
-    dropZone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        dropZone.classList.remove('dragover');
-        handleFiles(e.dataTransfer.files);
-    });
+function hideUndoToast() {
+    clearTimeout(undoToastTimer);
+    undoToastAction = null;
+    document.getElementById('undoToast').hidden = true;
+}
 
-    fileInput.addEventListener('change', (e) => {
-        handleFiles(e.target.files);
-    });
+async function undoLastDelete() {
+    const action = undoToastAction;
+    hideUndoToast();
+    if (!action) return;
 
-    loadFilesFromStorage();
+    try {
+        await action();
+    } catch (error) {
+        console.error('Error undoing delete:', error);
+    }
 }
 
-function handleFiles(files) {
-    Array.from(files).forEach(file => {
-        simulateUpload(file);
+// ============================================
+// SEARCH MODULE
+// ============================================
+const SEARCH_SECTIONS = { note: 'notes', todo: 'todos', file: 'files' };
+const SEARCH_ICONS = { note: 'fa-scroll', todo: 'fa-tasks', file: 'fa-file' };
+const SEARCH_DELAY = 200;
+let searchResults = [];
+let searchSelection = -1;
+let searchTimer = null;
+
+function initSearch() {
+    const input = document.getElementById('globalSearch');
+
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => runSearch(input.value.trim()), SEARCH_DELAY);
+    });
+    input.addEventListener('keydown', handleSearchKey);
+    input.addEventListener('focus', () => {
+        if (searchResults.length) renderSearchResults();
+    });
+
+    document.addEventListener('click', e => {
+        if (!e.target.closest('.sidebar-search')) closeSearchResults();
     });
 }
 
-function simulateUpload(file) {
-    const progressContainer = document.getElementById('uploadProgress');
-    const progressId = Date.now();
+async function runSearch(query) {
+    if (!query) {
+        searchResults = [];
+        closeSearchResults();
+        return;
+    }
 
-    const progressHtml = `
-        <div class="progress-item" id="progress-${progressId}">
-            <i class="fas fa-file"></i>
-            <span>${escapeHtml(file.name)}</span>
-            <div class="progress-bar">
-                <div class="progress-fill" style="width: 0%"></div>
-            </div>
-        </div>
-    `;
+    try {
+        const response = await apiFetch(`/api/search?q=${encodeURIComponent(query)}`);
+        const data = await response.json();
+        // Ignore answers to queries the user has already typed past
+        if (!response.ok || query !== document.getElementById('globalSearch').value.trim()) return;
 
-    progressContainer.insertAdjacentHTML('beforeend', progressHtml);
+        searchResults = data.results;
+        searchSelection = searchResults.length ? 0 : -1;
+        renderSearchResults();
+    } catch (error) {
+        console.error('Error searching:', error);
+    }
+}
 
-    let progress = 0;
-    const interval = setInterval(() => {
-        progress += Math.random() * 30;
-        if (progress >= 100) {
-            progress = 100;
-            clearInterval(interval);
+function renderSearchResults() {
+    const list = document.getElementById('searchResults');
+    const input = document.getElementById('globalSearch');
 
-            setTimeout(() => {
-                document.getElementById(`progress-${progressId}`).remove();
-                addUploadedFile(file);
-            }, 300);
-        }
+    if (searchResults.length === 0) {
+        list.innerHTML = '<li class="search-empty">No matches</li>';
+    } else {
+        // title and snippet arrive escaped, with matches wrapped in <mark>
+        list.innerHTML = searchResults.map((result, index) => `
+            <li id="search-result-${index}" role="option" class="${index === searchSelection ? 'selected' : ''}"
+                aria-selected="${index === searchSelection}" onmousedown="openSearchResult(${index})">
+                <i class="fas ${SEARCH_ICONS[result.type]}"></i>
+                <div>
+                    <div class="search-title">${result.title}</div>
+                    ${result.snippet ? `<div class="search-snippet">${result.snippet}</div>` : ''}
+                </div>
+            </li>
+        `).join('');
+    }
 
-        document.querySelector(`#progress-${progressId} .progress-fill`).style.width = `${progress}%`;
-    }, 200);
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-activedescendant', searchSelection >= 0 ? `search-result-${searchSelection}` : '');
 }
 
-function addUploadedFile(file) {
-    const fileData = {
-        id: Date.now(),
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        uploadedAt: new Date().toISOString()
-    };
-
-    uploadedFiles.push(fileData);
-    saveFilesToStorage();
-    renderFiles();
+function closeSearchResults() {
+    document.getElementById('searchResults').hidden = true;
+    document.getElementById('globalSearch').setAttribute('aria-expanded', 'false');
 }
 
-function deleteFile(id) {
-    uploadedFiles = uploadedFiles.filter(f => f.id !== id);
-    saveFilesToStorage();
-    renderFiles();
+function handleSearchKey(e) {
+    if (e.key === 'Escape') {
+        closeSearchResults();
+    } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && searchResults.length) {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        searchSelection = (searchSelection + step + searchResults.length) % searchResults.length;
+        renderSearchResults();
+    } else if (e.key === 'Enter' && searchSelection >= 0) {
+        e.preventDefault();
+        openSearchResult(searchSelection);
+    }
 }
 
-function saveFilesToStorage() {
-    localStorage.setItem('uploadedFiles', JSON.stringify(uploadedFiles));
-}
+function openSearchResult(index) {
+    const result = searchResults[index];
+    if (!result) return;
 
-function loadFilesFromStorage() {
-    uploadedFiles = JSON.parse(localStorage.getItem('uploadedFiles') || '[]');
-    renderFiles();
+    closeSearchResults();
+    openItem(result.type, result.id);
 }
 
-function renderFiles() {
-    const container = document.getElementById('filesContainer');
+// Jumps to the item's section and flashes it
+function openItem(type, id) {
+    showSection(SEARCH_SECTIONS[type]);
 
-    if (uploadedFiles.length === 0) {
-        container.innerHTML = '<p class="empty-message"><i class="fas fa-folder-open"></i> No files uploaded yet</p>';
+    if (type === 'note') {
+        openNote(id);
         return;
     }
 
-    container.innerHTML = uploadedFiles.map(file => {
-        const icon = getFileIcon(file.type);
-        return `
-            <div class="file-card">
-                <i class="fas ${icon}"></i>
-                <div class="file-name">${escapeHtml(file.name)}</div>
-                <div class="file-size">${formatFileSize(file.size)}</div>
-                <div class="file-actions">
-                    <button onclick="deleteFile(${file.id})" title="Delete">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-        `;
-    }).join('');
-}
-
-function getFileIcon(type) {
-    if (type.startsWith('image/')) return 'fa-file-image';
-    if (type.startsWith('video/')) return 'fa-file-video';
-    if (type.startsWith('audio/')) return 'fa-file-audio';
-    if (type.includes('pdf')) return 'fa-file-pdf';
-    if (type.includes('word') || type.includes('document')) return 'fa-file-word';
-    if (type.includes('excel') || type.includes('spreadsheet')) return 'fa-file-excel';
-    if (type.includes('zip') || type.includes('rar')) return 'fa-file-archive';
-    return 'fa-file';
-}
+    if (type === 'todo') {
+        // Make sure list filters are not hiding the task
+        todoFilter = 'all';
+        todoTagFilter = '';
+        todoPriorityFilter = '';
+        document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.filter === 'all'));
+        document.getElementById('todoPriorityFilter').value = '';
+        renderTodos();
+    }
 
-function formatFileSize(bytes) {
-    if (bytes < 1024) return bytes + ' B';
-    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    const containerId = { todo: 'todosContainer', file: 'filesContainer' }[type];
+    const item = document.querySelector(`#${containerId} [data-id="${id}"]`);
+    if (item) flashItem(item);
 }
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
+async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        window.location.href = '/signin.html';
+        throw new Error('Authentication required');
+    }
+    return response;
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
+// Drag-and-drop and keyboard reordering for a list of .reorder-item elements
+// with data-id. Items are dragged by their .drag-handle; with the handle
+// focused, the arrow keys (or Alt+arrow anywhere in the item) move it.
+// onMove(id, beforeId, afterId) gets the item's new neighbours.
+function enableReordering(container, onMove) {
+    let draggedId = null;
+
+    const itemIds = () => [...container.querySelectorAll('.reorder-item')].map(item => Number(item.dataset.id));
+    const isAfterMiddle = (e, item) => {
+        const rect = item.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    };
+    const clearMarkers = () => {
+        container.querySelectorAll('.drop-before, .drop-after, .dragging')
+            .forEach(item => item.classList.remove('drop-before', 'drop-after', 'dragging'));
+    };
+    const moveTo = async (id, ids, index) => {
+        const others = ids.filter(other => other !== id);
+        await onMove(id, others[index - 1] ?? null, others[index] ?? null);
+
+        const handle = container.querySelector(`.reorder-item[data-id="${id}"] .drag-handle`);
+        if (handle) handle.focus();
+    };
+
+    container.addEventListener('dragstart', e => {
+        const item = e.target.closest('.reorder-item');
+        if (!item || !e.target.classList.contains('drag-handle')) return;
+
+        draggedId = Number(item.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.dataset.id);
+        e.dataTransfer.setDragImage(item, 20, 20);
+        item.classList.add('dragging');
+    });
+
+    container.addEventListener('dragover', e => {
+        const item = e.target.closest('.reorder-item');
+        if (draggedId === null || !item) return;
+
+        e.preventDefault();
+        container.querySelectorAll('.drop-before, .drop-after')
+            .forEach(marked => marked.classList.remove('drop-before', 'drop-after'));
+        if (Number(item.dataset.id) !== draggedId) {
+            item.classList.add(isAfterMiddle(e, item) ? 'drop-after' : 'drop-before');
+        }
+    });
+
+    container.addEventListener('drop', e => {
+        const item = e.target.closest('.reorder-item');
+        if (draggedId === null || !item) return;
+        e.preventDefault();
+
+        const id = draggedId;
+        const targetId = Number(item.dataset.id);
+        draggedId = null;
+        clearMarkers();
+        if (targetId === id) return;
+
+        const others = itemIds().filter(other => other !== id);
+        moveTo(id, others, others.indexOf(targetId) + (isAfterMiddle(e, item) ? 1 : 0));
+    });
+
+    container.addEventListener('dragend', () => {
+        draggedId = null;
+        clearMarkers();
+    });
+
+    container.addEventListener('keydown', e => {
+        const item = e.target.closest('.reorder-item');
+        if (!item || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        if (!e.altKey && !e.target.classList.contains('drag-handle')) return;
+        e.preventDefault();
+
+        const ids = itemIds();
+        const id = Number(item.dataset.id);
+        const index = ids.indexOf(id) + (e.key === 'ArrowUp' ? -1 : 1);
+        if (index < 0 || index >= ids.length) return;
+
+        moveTo(id, ids, index);
+    });
+}
+
+// YYYY-MM-DD in the browser's time zone, the format used for due dates
+function localDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function formatDueDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// Scrolls to a list item and highlights it briefly
+function flashItem(item) {
+    item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    item.classList.add('search-hit');
+    setTimeout(() => item.classList.remove('search-hit'), 2000);
+}
+
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+function formatMoney(cents, currency) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: (currency || 'usd').toUpperCase()
+    }).format((cents || 0) / 100);
+}
+
 function formatDate(dateString) {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
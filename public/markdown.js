@@ -0,0 +1,263 @@
+// ============================================
+// THE GILDED DESK - Markdown
+// ============================================
+// A small Markdown renderer for notes: headings, paragraphs, bullet and
+// numbered lists (nested by indentation), `- [ ]` checklists, blockquotes,
+// fenced code blocks, rules, and inline code, bold, italic, strikethrough
+// and links. All text is escaped before any markup is added and links only
+// accept http(s), mailto and relative URLs, so the output is safe to insert
+// as HTML.
+//
+// Checklist boxes are numbered in document order (data-task="0", "1", ...)
+// and toggleChecklistItem() flips the matching `[ ]` in the source.
+//
+// [[Note title]] and [[Note title|text]] become links to other notes
+// (a.wiki-link with data-note-link set to the title). Pass
+// options.resolveLink(title) to mark links whose note doesn't exist.
+
+const MD_FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const MD_HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const MD_QUOTE = /^\s*>\s?/;
+// Numbered items also accept "1.Item" without a space, as people type it
+const MD_LIST_ITEM = /^(\s*)(?:([-*+])\s+|(\d{1,9})[.)](?!\d)\s*)(.*)$/;
+const MD_TASK = /^\[([ xX])\]\s+(.*)$/;
+const MD_TASK_SOURCE = /^((?:\s*>)*\s*(?:[-*+]\s+|\d{1,9}[.)](?!\d)\s*))\[([ xX])\]/;
+const MD_SAFE_URL = /^(https?:\/\/|mailto:|\/|#|\.{0,2}\/)/i;
+const MD_WIKI_LINK = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g;
+
+function escapeMarkdownHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderInlineMarkdown(text, state = {}) {
+    // Code spans and wiki links are set aside first so nothing inside them
+    // is formatted
+    const setAside = [];
+    const placeholder = html => {
+        setAside.push(html);
+        return `\u0000${setAside.length - 1}\u0000`;
+    };
+
+    let html = text
+        .replace(/`([^`]+)`/g, (match, code) => placeholder(`<code>${escapeMarkdownHtml(code)}</code>`))
+        .replace(MD_WIKI_LINK, (match, title, label) => {
+            const target = title.trim();
+            const missing = state.resolveLink && !state.resolveLink(target);
+            return placeholder(`<a href="#" class="wiki-link${missing ? ' missing' : ''}" data-note-link="${escapeMarkdownHtml(target)}">${escapeMarkdownHtml((label || title).trim())}</a>`);
+        });
+    html = escapeMarkdownHtml(html);
+
+    // Link tags are set aside too, so emphasis can't reach into a URL; a
+    // link's label stays in place and is formatted as usual
+    html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const href = url.replace(/&amp;/g, '&');
+        if (!MD_SAFE_URL.test(href)) return label;
+        return placeholder(`<a href="${url}" target="_blank" rel="noopener noreferrer">`) + label + placeholder('</a>');
+    });
+    html = html.replace(/(^|[\s(])(https?:\/\/[^\s<\u0000]+[^\s<\u0000.,;:!?)])/g,
+        (match, before, url) => before + placeholder(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+    html = html
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => setAside[index]);
+}
+
+function isMarkdownBlockStart(line) {
+    return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line) ||
+        MD_QUOTE.test(line) || MD_LIST_ITEM.test(line);
+}
+
+function indentOf(line) {
+    return line.replace(/\t/g, '    ').match(/^ */)[0].length;
+}
+
+function renderMarkdown(source, options = {}) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    const state = { taskIndex: 0, resolveLink: options.resolveLink };
+    return renderMarkdownBlocks(lines, state);
+}
+
+function renderMarkdownBlocks(lines, state) {
+    let html = '';
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(MD_FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && MD_FENCE.test(lines[i]))) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            const language = fence[2] ? ` class="language-${escapeMarkdownHtml(fence[2])}"` : '';
+            html += `<pre><code${language}>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`;
+            continue;
+        }
+
+        const heading = line.match(MD_HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            html += `<h${level}>${renderInlineMarkdown(heading[2], state)}</h${level}>`;
+            i++;
+            continue;
+        }
+
+        if (MD_RULE.test(line)) {
+            html += '<hr>';
+            i++;
+            continue;
+        }
+
+        if (MD_QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && MD_QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(MD_QUOTE, ''));
+                i++;
+            }
+            html += `<blockquote>${renderMarkdownBlocks(quoted, state)}</blockquote>`;
+            continue;
+        }
+
+        if (MD_LIST_ITEM.test(line)) {
+            const list = renderMarkdownList(lines, i, state);
+            html += list.html;
+            i = list.next;
+            continue;
+        }
+
+        // Paragraph: single line breaks are kept, as people write notes that way
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines[i])) {
+            paragraph.push(renderInlineMarkdown(lines[i].trim(), state));
+            i++;
+        }
+        html += `<p>${paragraph.join('<br>')}</p>`;
+    }
+
+    return html;
+}
+
+// Renders the list starting at lines[start]; items indented further than
+// the first one become nested lists. Returns the HTML and the next line.
+function renderMarkdownList(lines, start, state) {
+    const first = lines[start].match(MD_LIST_ITEM);
+    const baseIndent = indentOf(first[1]);
+    const ordered = !first[2];
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && parseInt(first[3]) !== 1 ? ` start="${parseInt(first[3])}"` : '';
+
+    let html = '';
+    let item = null;
+    let i = start;
+
+    const closeItem = () => {
+        if (item !== null) html += `${item}</li>`;
+        item = null;
+    };
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const match = line.match(MD_LIST_ITEM);
+
+        if (match) {
+            const indent = indentOf(match[1]);
+            if (indent < baseIndent) break;
+
+            if (indent > baseIndent && item !== null) {
+                const nested = renderMarkdownList(lines, i, state);
+                item += nested.html;
+                i = nested.next;
+                continue;
+            }
+
+            // A different kind of list at this level starts a new list
+            if (!match[2] !== ordered) break;
+
+            closeItem();
+            const task = match[4].match(MD_TASK);
+            if (task) {
+                const checked = task[1] !== ' ';
+                item = `<li class="task-item"><input type="checkbox" data-task="${state.taskIndex++}" ${checked ? 'checked' : ''}> <span class="${checked ? 'task-done' : ''}">${renderInlineMarkdown(task[2], state)}</span>`;
+            } else {
+                item = `<li>${renderInlineMarkdown(match[4], state)}`;
+            }
+            i++;
+            continue;
+        }
+
+        // Indented text continues the current item; anything else ends the list
+        if (item !== null && line.trim() && indentOf(line) > baseIndent && !isMarkdownBlockStart(line)) {
+            item += `<br>${renderInlineMarkdown(line.trim(), state)}`;
+            i++;
+            continue;
+        }
+        break;
+    }
+
+    closeItem();
+    return { html: `<${tag}${startAttr}>${html}</${tag}>`, next: i };
+}
+
+// Returns the source with checklist item `index` set to checked/unchecked,
+// counting items the same way renderMarkdown numbers them
+function toggleChecklistItem(source, index, checked) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    let fence = null;
+    let count = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        const fenceMatch = lines[i].match(MD_FENCE);
+        if (fenceMatch && (!fence || lines[i].trim().startsWith(fence))) {
+            fence = fence ? null : fenceMatch[1];
+            continue;
+        }
+        if (fence) continue;
+
+        const task = lines[i].match(MD_TASK_SOURCE);
+        if (!task || !MD_TASK.test(lines[i].slice(task[1].length))) continue;
+
+        if (count === index) {
+            lines[i] = `${task[1]}[${checked ? 'x' : ' '}]${lines[i].slice(task[0].length)}`;
+            return lines.join('\n');
+        }
+        count++;
+    }
+    return source;
+}
+
+// Titles the source links to with [[...]], lowercased with whitespace
+// collapsed, as notes are matched by title
+function wikiLinkTitles(source) {
+    const titles = new Set();
+    for (const match of String(source || '').matchAll(MD_WIKI_LINK)) {
+        titles.add(normalizeNoteTitle(match[1]));
+    }
+    return [...titles];
+}
+
+function normalizeNoteTitle(title) {
+    return String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { renderMarkdown, toggleChecklistItem, wikiLinkTitles, normalizeNoteTitle };
+}
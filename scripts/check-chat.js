@@ -0,0 +1,135 @@
+// ============================================
+// CHAT ACTIONS CHECK
+// ============================================
+// Checks the local intent parser and tool-call validation in-process, then
+// boots the server with CHAT_PROVIDER=local against a throwaway data
+// directory and walks proposed actions through confirm and cancel. Needs no
+// model and no network access.
+//
+//   npm run check:chat
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseIntent, validateToolCall } = require('../lib/chat-tools');
+const { startApp, signIn, request } = require('./check-helpers');
+
+const USER_EMAIL = 'chat-check@example.com';
+
+// Wednesday 21 October 2026
+const TODAY = '2026-10-21';
+
+const PHRASINGS = [
+    ['add a task to call the bank tomorrow', { name: 'create_todo', arguments: { text: 'call the bank', dueDate: '2026-10-22' } }],
+    ['Add a todo: renew passport next friday, high priority', { name: 'create_todo', arguments: { text: 'renew passport', dueDate: '2026-10-23', priority: 'high' } }],
+    ['remind me to water the plants in 3 days', { name: 'create_todo', arguments: { text: 'water the plants', dueDate: '2026-10-24' } }],
+    ['create task buy milk urgently', { name: 'create_todo', arguments: { text: 'buy milk', priority: 'high' } }],
+    ['summarize my notes from this week', { name: 'summarize_notes', arguments: { since: '2026-10-19' } }],
+    ['summarise notes last week', { name: 'summarize_notes', arguments: { since: '2026-10-12', until: '2026-10-18' } }],
+    ['recap my notes from the past 3 days', { name: 'summarize_notes', arguments: { since: '2026-10-18' } }],
+    ['show me my overdue tasks', { name: 'list_todos', arguments: { filter: 'overdue' } }],
+    ['list my todos due today', { name: 'list_todos', arguments: { filter: 'today' } }],
+    ['what are my completed tasks?', { name: 'list_todos', arguments: { filter: 'completed' } }],
+    ['list my notes from yesterday', { name: 'list_notes', arguments: { since: '2026-10-20', until: '2026-10-20' } }],
+    ['create a note called Groceries: eggs, milk', { name: 'create_note', arguments: { title: 'Groceries', content: 'eggs, milk' } }],
+    ['new note "Ideas" saying try the new café', { name: 'create_note', arguments: { title: 'Ideas', content: 'try the new café' } }],
+    ['search my notes for quarterly report', { name: 'search', arguments: { query: 'quarterly report' } }],
+    ['summarize my notes from the moon', null],
+    ['hello there', null]
+];
+
+function checkParser() {
+    for (const [message, expected] of PHRASINGS) {
+        assert.deepStrictEqual(parseIntent(message, { today: TODAY }), expected, message);
+    }
+
+    // What a model might send instead of proper arguments
+    const invalid = [
+        { name: 'create_todo', arguments: null },
+        { name: 'create_todo', arguments: [] },
+        { name: 'create_todo', arguments: { text: 5 } },
+        { name: 'create_todo', arguments: { text: 'pay rent', dueDate: 20261101 } },
+        { name: 'create_todo', arguments: { text: 'pay rent', dueDate: '2026-02-30' } },
+        { name: 'list_todos', arguments: { filter: 'someday' } },
+        { name: 'drop_tables', arguments: {} }
+    ];
+    for (const call of invalid) {
+        assert.strictEqual(validateToolCall(call), null, JSON.stringify(call));
+    }
+    assert.deepStrictEqual(
+        validateToolCall({ name: 'create_todo', arguments: { text: ' pay rent ', priority: 'low', colour: 'red' } }),
+        { name: 'create_todo', arguments: { text: 'pay rent', priority: 'low' } }
+    );
+}
+
+// Sends a chat message and returns { conversationId, action } for the one
+// action it should have proposed
+async function propose(baseUrl, cookie, message, conversationId) {
+    const reply = await request(baseUrl, cookie, 'POST', '/api/chat', { message, conversationId, timeZone: 'UTC' });
+    assert.strictEqual(reply.status, 200, JSON.stringify(reply.body));
+    assert.strictEqual(reply.body.actions.length, 1, `"${message}" should propose one action`);
+    return { conversationId: reply.body.conversationId, action: reply.body.actions[0].action };
+}
+
+async function checkActions(dataDir) {
+    const { baseUrl, child } = await startApp(dataDir, { CHAT_PROVIDER: 'local' });
+
+    try {
+        const cookie = await signIn(baseUrl, dataDir, USER_EMAIL);
+
+        // Proposing does nothing until confirmed
+        const { conversationId, action } = await propose(baseUrl, cookie, 'add a task to call the bank tomorrow, high priority');
+        assert.strictEqual(action.tool, 'create_todo');
+        assert.strictEqual(action.status, 'pending');
+        assert.deepStrictEqual(Object.keys(action.arguments).sort(), ['dueDate', 'priority', 'text']);
+        assert.strictEqual((await request(baseUrl, cookie, 'GET', '/api/todos')).body.length, 0);
+
+        const actionUrl = id => `/api/chat/conversations/${conversationId}/actions/${id}`;
+        const confirmed = await request(baseUrl, cookie, 'POST', `${actionUrl(action.id)}/confirm`);
+        assert.strictEqual(confirmed.status, 200, JSON.stringify(confirmed.body));
+        assert.strictEqual(confirmed.body.action.status, 'done');
+
+        const todos = (await request(baseUrl, cookie, 'GET', '/api/todos')).body;
+        assert.strictEqual(todos.length, 1);
+        assert.strictEqual(todos[0].text, 'call the bank');
+        assert.strictEqual(todos[0].priority, 'high');
+
+        // Each action runs once
+        assert.strictEqual((await request(baseUrl, cookie, 'POST', `${actionUrl(action.id)}/confirm`)).status, 409);
+        assert.strictEqual((await request(baseUrl, cookie, 'POST', `${actionUrl(action.id)}/cancel`)).status, 409);
+
+        const second = await propose(baseUrl, cookie, 'create a note called Groceries: eggs, milk', conversationId);
+        const cancelled = await request(baseUrl, cookie, 'POST', `${actionUrl(second.action.id)}/cancel`);
+        assert.strictEqual(cancelled.status, 200, JSON.stringify(cancelled.body));
+        assert.strictEqual(cancelled.body.action.status, 'cancelled');
+        assert.strictEqual((await request(baseUrl, cookie, 'POST', `${actionUrl(second.action.id)}/confirm`)).status, 409);
+        assert.strictEqual((await request(baseUrl, cookie, 'GET', '/api/notes')).body.length, 0);
+
+        // The outcome is kept with the conversation
+        const conversation = (await request(baseUrl, cookie, 'GET', `/api/chat/conversations/${conversationId}`)).body;
+        const statuses = conversation.messages.filter(m => m.action).map(m => m.action.status);
+        assert.deepStrictEqual(statuses, ['done', 'cancelled']);
+
+        assert.strictEqual((await request(baseUrl, cookie, 'POST', `${actionUrl('0123456789abcdef')}/confirm`)).status, 404);
+        assert.strictEqual((await request(baseUrl, cookie, 'POST', `${actionUrl('0123456789abcdef')}/cancel`)).status, 404);
+    } finally {
+        child.kill();
+    }
+}
+
+async function check() {
+    checkParser();
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gilded-desk-chat-'));
+    try {
+        await checkActions(dataDir);
+        console.log(`✅ Chat check passed (${PHRASINGS.length} phrasings)`);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+check().catch(error => {
+    console.error('❌ Chat check failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,105 @@
+// ============================================
+// CHECK SCRIPT HELPERS
+// ============================================
+// Shared by the check:* scripts: boots server.js on a free port against a
+// throwaway data directory, with mail written to an outbox there, and signs
+// in through the emailed link.
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const STARTUP_TIMEOUT = 15000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitForServer(baseUrl, child) {
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`Server exited with code ${child.exitCode}`);
+        }
+        try {
+            await fetch(`${baseUrl}/signin.html`);
+            return;
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error('Server did not start in time');
+}
+
+// Boots the server on dataDir with the given extra environment and resolves
+// with { baseUrl, child } once it answers. The caller kills the child.
+async function startApp(dataDir, env = {}) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const port = await getFreePort();
+    const baseUrl = `http://localhost:${port}`;
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT_DIR,
+        stdio: ['ignore', 'ignore', 'inherit'],
+        env: {
+            ...process.env,
+            PORT: String(port),
+            APP_URL: baseUrl,
+            STORAGE_BACKEND: 'json',
+            DATA_DIR: dataDir,
+            UPLOADS_DIR: path.join(dataDir, 'uploads'),
+            MAILER: 'outbox',
+            OUTBOX_DIR: path.join(dataDir, 'outbox'),
+            ADMIN_EMAIL: '',
+            ...env
+        }
+    });
+
+    try {
+        await waitForServer(baseUrl, child);
+    } catch (error) {
+        child.kill();
+        throw error;
+    }
+    return { baseUrl, child };
+}
+
+// Signs in through the emailed link and returns the session cookie
+async function signIn(baseUrl, dataDir, email) {
+    const response = await fetch(`${baseUrl}/signin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+    });
+    assert.strictEqual(response.status, 200, 'sign-in request failed');
+
+    const outbox = path.join(dataDir, 'outbox');
+    const latest = fs.readdirSync(outbox).sort().pop();
+    const { text } = JSON.parse(fs.readFileSync(path.join(outbox, latest), 'utf8'));
+    const link = text.match(/https?:\/\/\S+\/auth\/verify\?token=\S+/)[0];
+
+    const verified = await fetch(link, { redirect: 'manual' });
+    const cookie = verified.headers.get('set-cookie');
+    assert.ok(cookie, 'sign-in link should start a session');
+    return cookie.split(';')[0];
+}
+
+async function request(baseUrl, cookie, method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+module.exports = { ROOT_DIR, STARTUP_TIMEOUT, getFreePort, startApp, signIn, request };
@@ -0,0 +1,136 @@
+// ============================================
+// STRIPE WEBHOOK INTEGRATION CHECK
+// ============================================
+// Boots the server against a throwaway data directory, posts locally signed
+// fixture events to /webhook and asserts that the user record follows along.
+// Guards against the webhook body being parsed before signature verification.
+// Then runs scripts/replay-stripe-events.js itself (--twice) against a
+// fresh server and expects every delivery to succeed.
+//
+//   npm run check:webhook
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { FIXTURE_CUSTOMER, listFixtures, loadFixture, send } = require('./replay-stripe-events');
+const { ROOT_DIR, STARTUP_TIMEOUT, startApp } = require('./check-helpers');
+
+const WEBHOOK_SECRET = 'whsec_integration_check';
+const USER_EMAIL = 'webhook-check@example.com';
+
+function readUser(dataDir) {
+    const users = JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8'));
+    return users.find(user => user.email === USER_EMAIL);
+}
+
+// Seeds the fixture customer's user and boots the server on dataDir
+async function startServer(dataDir) {
+    fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify([{
+        email: USER_EMAIL,
+        name: 'Webhook Check',
+        stripeCustomerId: FIXTURE_CUSTOMER,
+        subscriptionId: null,
+        activeSubscription: false,
+        createdAt: new Date().toISOString()
+    }], null, 2));
+
+    const { baseUrl, child } = await startApp(dataDir, {
+        STRIPE_SECRET_KEY: 'sk_test_integration_check',
+        STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET
+    });
+    return { url: `${baseUrl}/webhook`, child };
+}
+
+// Resolves with the replay script's output, rejects if it exits non-zero
+function runReplay(url) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, 'replay-stripe-events.js'), '--url', url, '--twice'], {
+            cwd: ROOT_DIR,
+            env: { ...process.env, STRIPE_SECRET_KEY: 'sk_test_integration_check', STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET },
+            timeout: STARTUP_TIMEOUT * 2
+        }, (error, stdout, stderr) => {
+            if (error) return reject(new Error(`replay-stripe-events.js failed: ${stderr || stdout || error.message}`));
+            resolve(stdout);
+        });
+    });
+}
+
+async function checkWebhook(dataDir) {
+    const { url, child } = await startServer(dataDir);
+
+    try {
+        const fixtures = listFixtures();
+
+        // A tampered signature must still be rejected
+        const first = loadFixture(fixtures[0]);
+        const rejected = await send(url, first, WEBHOOK_SECRET, 't=1,v1=deadbeef');
+        assert.strictEqual(rejected.status, 400, 'bad signature should be rejected');
+
+        // checkout → created (trialing) → trial_will_end → updated (active)
+        for (const file of fixtures.slice(0, 4)) {
+            const result = await send(url, loadFixture(file), WEBHOOK_SECRET);
+            assert.strictEqual(result.status, 200, `${path.basename(file)}: ${result.body}`);
+        }
+
+        let user = readUser(dataDir);
+        assert.strictEqual(user.subscriptionStatus, 'active');
+        assert.strictEqual(user.activeSubscription, true);
+        assert.strictEqual(user.subscriptionId, 'sub_fixture_001');
+        assert.ok(user.trialEnd, 'trialEnd should be recorded');
+
+        // Redelivery of an already processed event is acknowledged, not re-run
+        const duplicate = await send(url, loadFixture(fixtures[3]), WEBHOOK_SECRET);
+        assert.strictEqual(duplicate.status, 200);
+        assert.strictEqual(JSON.parse(duplicate.body).duplicate, true);
+
+        for (const file of fixtures.slice(4)) {
+            const result = await send(url, loadFixture(file), WEBHOOK_SECRET);
+            assert.strictEqual(result.status, 200, `${path.basename(file)}: ${result.body}`);
+        }
+
+        user = readUser(dataDir);
+        assert.strictEqual(user.subscriptionStatus, 'canceled');
+        assert.strictEqual(user.activeSubscription, false);
+        assert.strictEqual(user.subscriptionId, null);
+    } finally {
+        child.kill();
+    }
+}
+
+// The replay script as run by hand, every event delivered twice
+async function checkReplay(dataDir) {
+    const { url, child } = await startServer(dataDir);
+
+    try {
+        const output = await runReplay(url);
+        const delivered = output.split('\n').filter(line => line.startsWith('✅'));
+        assert.strictEqual(delivered.length, listFixtures().length * 2, output);
+
+        const user = readUser(dataDir);
+        assert.strictEqual(user.subscriptionStatus, 'canceled');
+        assert.strictEqual(user.activeSubscription, false);
+        assert.strictEqual(user.subscriptionId, null);
+    } finally {
+        child.kill();
+    }
+}
+
+async function check() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gilded-desk-webhook-'));
+
+    try {
+        fs.mkdirSync(path.join(dataDir, 'webhook'));
+        fs.mkdirSync(path.join(dataDir, 'replay'));
+        await checkWebhook(path.join(dataDir, 'webhook'));
+        await checkReplay(path.join(dataDir, 'replay'));
+        console.log(`✅ Webhook check passed (${listFixtures().length} events)`);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+check().catch(error => {
+    console.error('❌ Webhook check failed:', error.message);
+    process.exit(1);
+});
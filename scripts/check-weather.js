@@ -0,0 +1,188 @@
+// ============================================
+// WEATHER INTEGRATION CHECK
+// ============================================
+// Boots the server twice against throwaway data directories, without
+// network access:
+//   1. WEATHER_PROVIDER=open-meteo pointed at a stand-in Open-Meteo server,
+//      to check the adapter, that repeat lookups are served from cache and
+//      that imperial units are converted
+//   2. WEATHER_PROVIDER=fixture, to check lookups, "city, country", the 404
+//      for unknown places, autocomplete, saved locations and the forecast
+//
+//   npm run check:weather
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { getFreePort, startApp, signIn, request } = require('./check-helpers');
+
+const USER_EMAIL = 'weather-check@example.com';
+
+// Answers /v1/search and /v1/forecast like Open-Meteo, counting requests
+function startStandInApi(port) {
+    const requests = { search: 0, forecast: 0 };
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        res.setHeader('Content-Type', 'application/json');
+
+        if (url.pathname === '/v1/search') {
+            requests.search++;
+            const results = url.searchParams.get('name').toLowerCase() === 'lisbon'
+                ? [{ id: 2267057, name: 'Lisbon', country: 'Portugal', country_code: 'PT', admin1: 'Lisbon', latitude: 38.71667, longitude: -9.13333, timezone: 'Europe/Lisbon' }]
+                : undefined;
+            return res.end(JSON.stringify({ results }));
+        }
+        if (url.pathname === '/v1/forecast' && url.searchParams.has('hourly')) {
+            requests.forecast++;
+            return res.end(JSON.stringify({
+                hourly: {
+                    time: ['2026-10-19T13:00', '2026-10-19T14:00'],
+                    temperature_2m: [21.9, 22.3],
+                    precipitation_probability: [40, 55],
+                    weather_code: [3, 61],
+                    wind_speed_10m: [3.4, 3.9]
+                },
+                daily: {
+                    time: ['2026-10-19', '2026-10-20'],
+                    weather_code: [61, 1],
+                    temperature_2m_max: [22.8, 24],
+                    temperature_2m_min: [15.1, 14.6],
+                    precipitation_probability_max: [70, 5]
+                }
+            }));
+        }
+        if (url.pathname === '/v1/forecast') {
+            requests.forecast++;
+            return res.end(JSON.stringify({
+                current: { time: '2026-10-19T12:00', temperature_2m: 21.4, relative_humidity_2m: 64, wind_speed_10m: 3.2, weather_code: 61 }
+            }));
+        }
+        res.statusCode = 404;
+        res.end('{}');
+    });
+    return new Promise(resolve => server.listen(port, () => resolve({ server, requests })));
+}
+
+function startWeatherApp(dataDir, env) {
+    return startApp(dataDir, { FREE_WEATHER_LOOKUPS_PER_DAY: '100', ...env });
+}
+
+function getWeather(baseUrl, cookie, city) {
+    return request(baseUrl, cookie, 'GET', `/api/weather?city=${encodeURIComponent(city)}`);
+}
+
+async function checkOpenMeteo(dataDir) {
+    const apiPort = await getFreePort();
+    const { server, requests } = await startStandInApi(apiPort);
+    const { baseUrl, child } = await startWeatherApp(dataDir, {
+        WEATHER_PROVIDER: 'open-meteo',
+        WEATHER_API_BASE_URL: `http://localhost:${apiPort}`,
+        WEATHER_GEOCODING_URL: `http://localhost:${apiPort}/`
+    });
+
+    try {
+        const cookie = await signIn(baseUrl, dataDir, USER_EMAIL);
+
+        const first = await getWeather(baseUrl, cookie, 'Lisbon');
+        assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+        assert.strictEqual(first.body.city, 'Lisbon');
+        assert.strictEqual(first.body.country, 'Portugal');
+        assert.strictEqual(first.body.temp, 21.4);
+        assert.strictEqual(first.body.weather, 'Rain');
+
+        // Same city again, in other spelling: no new requests upstream
+        const second = await getWeather(baseUrl, cookie, '  lisbon ');
+        assert.deepStrictEqual(second.body, first.body);
+        assert.deepStrictEqual(requests, { search: 1, forecast: 1 });
+
+        const unknown = await getWeather(baseUrl, cookie, 'Atlantis');
+        assert.strictEqual(unknown.status, 404);
+        assert.strictEqual(requests.forecast, 1, 'unknown places should not fetch a forecast');
+
+        const forecast = await request(baseUrl, cookie, 'GET', '/api/weather/forecast?city=Lisbon');
+        assert.strictEqual(forecast.status, 200, JSON.stringify(forecast.body));
+        assert.strictEqual(forecast.body.temp, 21.4);
+        assert.deepStrictEqual(forecast.body.hourly[1], {
+            time: '2026-10-19T14:00', temp: 22.3, weather: 'Rain', description: 'Slight rain', precipitationChance: 55, wind: 3.9
+        });
+        assert.deepStrictEqual(forecast.body.daily[1], {
+            date: '2026-10-20', high: 24, low: 14.6, weather: 'Clear', description: 'Mainly clear', precipitationChance: 5
+        });
+
+        // Units are the user's and applied to cached readings too
+        assert.strictEqual((await request(baseUrl, cookie, 'PATCH', '/api/weather/preferences', { units: 'imperial' })).status, 200);
+        const imperial = await request(baseUrl, cookie, 'GET', '/api/weather/forecast?city=Lisbon');
+        assert.strictEqual(imperial.body.temp, 70.5);
+        assert.strictEqual(imperial.body.wind, 7.2);
+        assert.strictEqual(imperial.body.daily[1].high, 75.2);
+        assert.strictEqual(imperial.body.units.temperature, '°F');
+        assert.deepStrictEqual(requests, { search: 2, forecast: 2 });
+    } finally {
+        child.kill();
+        server.close();
+    }
+}
+
+async function checkFixture(dataDir) {
+    const { baseUrl, child } = await startWeatherApp(dataDir, { WEATHER_PROVIDER: 'fixture' });
+
+    try {
+        const cookie = await signIn(baseUrl, dataDir, USER_EMAIL);
+
+        const london = await getWeather(baseUrl, cookie, 'london');
+        assert.strictEqual(london.status, 200, JSON.stringify(london.body));
+        assert.strictEqual(london.body.city, 'London');
+        assert.strictEqual(london.body.description, 'Overcast');
+
+        // The bigger Paris wins unless the country says otherwise
+        assert.strictEqual((await getWeather(baseUrl, cookie, 'Paris')).body.country, 'France');
+        assert.strictEqual((await getWeather(baseUrl, cookie, 'Paris, US')).body.region, 'Texas');
+        assert.strictEqual((await getWeather(baseUrl, cookie, 'Bangalore')).body.city, 'Bengaluru');
+
+        const unknown = await getWeather(baseUrl, cookie, 'Atlantis');
+        assert.strictEqual(unknown.status, 404);
+        assert.ok(unknown.body.error);
+
+        assert.strictEqual((await getWeather(baseUrl, cookie, '')).status, 400);
+
+        const places = await request(baseUrl, cookie, 'GET', '/api/weather/places?q=par');
+        assert.deepStrictEqual(places.body.map(place => place.label), ['Paris, Île-de-France, France', 'Paris, Texas, United States']);
+        assert.strictEqual((await getWeather(baseUrl, cookie, places.body[1].label)).body.region, 'Texas');
+
+        const saved = await request(baseUrl, cookie, 'POST', '/api/weather/locations', { city: 'Tokyo' });
+        assert.strictEqual(saved.status, 201, JSON.stringify(saved.body));
+        assert.strictEqual((await request(baseUrl, cookie, 'POST', '/api/weather/locations', { city: 'tokyo' })).status, 409);
+
+        const locations = await request(baseUrl, cookie, 'GET', '/api/weather/locations');
+        assert.strictEqual(locations.body.length, 1);
+        assert.strictEqual(locations.body[0].current.temp, 22);
+
+        const forecast = await request(baseUrl, cookie, 'GET', `/api/weather/forecast?location=${saved.body.id}`);
+        assert.strictEqual(forecast.body.city, 'Tokyo');
+        assert.strictEqual(forecast.body.hourly.length, 24);
+        assert.strictEqual(forecast.body.daily.length, 5);
+
+        assert.strictEqual((await request(baseUrl, cookie, 'DELETE', `/api/weather/locations/${saved.body.id}`)).status, 200);
+        assert.strictEqual((await request(baseUrl, cookie, 'GET', `/api/weather/forecast?location=${saved.body.id}`)).status, 404);
+    } finally {
+        child.kill();
+    }
+}
+
+async function check() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gilded-desk-weather-'));
+
+    try {
+        await checkOpenMeteo(path.join(dataDir, 'open-meteo'));
+        await checkFixture(path.join(dataDir, 'fixture'));
+        console.log('✅ Weather check passed');
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+check().catch(error => {
+    console.error('❌ Weather check failed:', error.message);
+    process.exit(1);
+});
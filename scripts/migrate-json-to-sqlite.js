@@ -0,0 +1,39 @@
+// ============================================
+// ONE-SHOT JSON -> SQLITE MIGRATION
+// ============================================
+// Copies every collection from the JSON files in DATA_DIR into SQLITE_FILE.
+// Refuses to touch a collection that already has rows unless --force is
+// given, in which case the SQLite copy is replaced.
+//
+//   node scripts/migrate-json-to-sqlite.js [--force]
+require('dotenv').config();
+const { createStore, COLLECTIONS } = require('../lib/storage');
+
+async function migrate() {
+    const force = process.argv.includes('--force');
+    const source = createStore({ backend: 'json' });
+    const target = createStore({ backend: 'sqlite' });
+
+    try {
+        for (const collection of COLLECTIONS) {
+            const records = await source.list(collection);
+            const existing = await target.list(collection);
+
+            if (existing.length > 0 && !force) {
+                console.log(`⏭️  ${collection}: SQLite already has ${existing.length} record(s), skipping (use --force to replace)`);
+                continue;
+            }
+
+            await target.replaceAll(collection, records);
+            console.log(`✅ ${collection}: copied ${records.length} record(s)`);
+        }
+    } finally {
+        await target.close();
+        await source.close();
+    }
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,100 @@
+// ============================================
+// REPLAY STRIPE WEBHOOK FIXTURES
+// ============================================
+// Signs fixture events with STRIPE_WEBHOOK_SECRET and posts them to a running
+// server's /webhook, the same way Stripe would. The server needs
+// STRIPE_SECRET_KEY set (any test key; verification happens locally) and the
+// same STRIPE_WEBHOOK_SECRET.
+//
+//   node scripts/replay-stripe-events.js --customer cus_123 [--url http://localhost:3000/webhook] [--twice] [fixture.json ...]
+//
+// --customer  rewrites the fixtures' customer ID so they hit an existing user
+// --twice     delivers every event twice to exercise duplicate handling
+// With no files, every fixture in scripts/fixtures/stripe-events is sent in order.
+// Exits non-zero if any delivery is not answered with 200 (npm test runs it
+// this way from check-stripe-webhook.js).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe-events');
+const FIXTURE_CUSTOMER = 'cus_fixture_001';
+
+function listFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(FIXTURES_DIR, name));
+}
+
+function loadFixture(file, customer) {
+    const payload = fs.readFileSync(file, 'utf8');
+    return customer ? payload.split(FIXTURE_CUSTOMER).join(customer) : payload;
+}
+
+function parseArgs(argv) {
+    const args = { url: `http://localhost:${process.env.PORT || 80}/webhook`, customer: null, twice: false, files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') args.url = argv[++i];
+        else if (argv[i] === '--customer') args.customer = argv[++i];
+        else if (argv[i] === '--twice') args.twice = true;
+        else args.files.push(argv[i]);
+    }
+
+    if (args.files.length === 0) {
+        args.files = listFixtures();
+    }
+    return args;
+}
+
+async function send(url, payload, secret, signature) {
+    if (!signature) {
+        const stripe = Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_replay');
+        signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+        body: payload
+    });
+    return { status: response.status, body: await response.text() };
+}
+
+async function replay() {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is required to sign events');
+    }
+
+    const args = parseArgs(process.argv.slice(2));
+    let deliveries = 0;
+    let failures = 0;
+
+    for (const file of args.files) {
+        const payload = loadFixture(file, args.customer);
+        const event = JSON.parse(payload);
+
+        for (let i = 0; i < (args.twice ? 2 : 1); i++) {
+            const { status, body } = await send(args.url, payload, secret);
+            console.log(`${status === 200 ? '✅' : '❌'} ${event.id} ${event.type} → ${status} ${body}`);
+            deliveries++;
+            if (status !== 200) failures++;
+        }
+    }
+
+    if (failures > 0) {
+        throw new Error(`${failures} of ${deliveries} deliveries failed`);
+    }
+}
+
+if (require.main === module) {
+    replay().catch(error => {
+        console.error('❌ Replay failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { FIXTURE_CUSTOMER, listFixtures, loadFixture, send };
@@ -2,7 +2,27 @@ require('dotenv').config();
 const express = require('express');
 const session = require('express-session');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const bcrypt = require('bcryptjs');
+const { createStore } = require('./lib/storage');
+const { createMailer } = require('./lib/mailer');
+const { getPlan, isWithinLimit, limitExceeded } = require('./lib/entitlements');
+const { RECURRENCE_TYPES, buildRecurrence, anchorRecurrence, nextOccurrence } = require('./lib/recurrence');
+const { TIME_REGEX, isValidTimeZone, computeRemindAt, createReminderScheduler } = require('./lib/reminders');
+const { keyBetween, keysInOrder, comparePositions } = require('./lib/fractional-index');
+const { SearchIndex } = require('./lib/search-index');
+const { normalizeTitle, extractLinks, linksTo, renameLinks } = require('./lib/wiki-links');
+const { createNoteHistory } = require('./lib/note-history');
+const { diffLines } = require('./lib/text-diff');
+const { createTrashPurger } = require('./lib/trash-purger');
+const { writeArchive, readArchive, markdownFilesToNotes } = require('./lib/archive');
+const { createChatProvider } = require('./lib/chat-providers');
+const { CHAT_TOOLS, validateToolCall, describeToolCall } = require('./lib/chat-tools');
+const { createWeatherProvider, describeWeatherCode } = require('./lib/weather-providers');
+const { TtlCache } = require('./lib/ttl-cache');
 
 // Initialize Stripe (only if key exists)
 let stripe = null;
@@ -13,14 +33,32 @@ if (process.env.STRIPE_SECRET_KEY) {
 const app = express();
 const PORT = process.env.PORT || 80;
 
-// Data files
-const NOTES_FILE = path.join(__dirname, 'notes.json');
-const TODOS_FILE = path.join(__dirname, 'todos.json');
-const FILES_FILE = path.join(__dirname, 'files.json');
-const USERS_FILE = path.join(__dirname, 'users.json');
+// Data store (JSON files or SQLite, see lib/storage)
+const store = createStore();
+
+// Outgoing mail (file outbox or SMTP, see lib/mailer)
+const mailer = createMailer();
+
+// Authentication
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAGIC_LINK_TTL = (parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15) * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const LOGIN_MAX_PER_IP = parseInt(process.env.LOGIN_MAX_PER_IP) || 20;
+const LOGIN_MAX_PER_EMAIL = parseInt(process.env.LOGIN_MAX_PER_EMAIL) || 5;
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+// SVG is left out: served inline from this origin its scripts would run
+// with the user's session
+const PREVIEWABLE_TYPES = /^(image\/(png|jpe?g|gif|webp)|application\/pdf)$/;
 
 // Middleware
-app.use(express.json());
+// The Stripe webhook must see the untouched request body to verify its
+// signature, so JSON parsing is skipped there and the route parses raw.
+const jsonParser = express.json();
+app.use((req, res, next) => {
+    if (req.path === '/webhook') return next();
+    jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 // Session middleware
@@ -37,46 +75,110 @@ app.use(session({
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
-function readJsonFile(filePath) {
-    try {
-        if (!fs.existsSync(filePath)) {
-            fs.writeFileSync(filePath, '[]');
+function findUserByEmail(email) {
+    return store.get('users', email.toLowerCase());
+}
+
+function findUserByCustomerId(customerId) {
+    return store.findOne('users', { stripeCustomerId: customerId });
+}
+
+function updateUser(email, updates) {
+    return store.update('users', email.toLowerCase(), updates);
+}
+
+// Never let the password hash leave the server in API responses
+function publicUser(user) {
+    if (!user) return null;
+    const { passwordHash, ...rest } = user;
+    return { ...rest, hasPassword: !!passwordHash };
+}
+
+function getSessionEmail(req) {
+    return req.user ? req.user.email : null;
+}
+
+// Records written before per-user ownership existed have no `owner`.
+// Hand them to ADMIN_EMAIL on startup so they stay reachable by someone.
+async function migrateUnownedRecords() {
+    const adminEmail = process.env.ADMIN_EMAIL ? process.env.ADMIN_EMAIL.trim().toLowerCase() : null;
+
+    for (const collection of ['notes', 'todos', 'files']) {
+        const unowned = await store.list(collection, { owner: null });
+        if (unowned.length === 0) continue;
+
+        if (!adminEmail) {
+            console.warn(`⚠️  ${unowned.length} unowned record(s) in ${collection} - set ADMIN_EMAIL to claim them`);
+            continue;
         }
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filePath}:`, error);
-        return [];
+
+        for (const record of unowned) {
+            await store.update(collection, record.id, { owner: adminEmail });
+        }
+        console.log(`📦 Assigned ${unowned.length} record(s) in ${collection} to ${adminEmail}`);
     }
 }
 
-function writeJsonFile(filePath, data) {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+// Manual ordering: ascending `position` keys (see lib/fractional-index).
+// Records created before ordering existed have no position and sort after
+// the rest, newest first.
+function byPosition(a, b) {
+    if (a.position && b.position) {
+        return comparePositions(a.position, b.position) || new Date(b.createdAt) - new Date(a.createdAt);
+    }
+    if (a.position || b.position) return a.position ? -1 : 1;
+    return new Date(b.createdAt) - new Date(a.createdAt);
 }
 
-function findUserByEmail(email) {
-    const users = readJsonFile(USERS_FILE);
-    return users.find(u => u.email === email.toLowerCase());
+// Position for a new record at the top of the owner's list
+async function topPosition(collection, owner) {
+    const records = (await store.list(collection, { owner, deletedAt: null })).filter(r => r.position);
+    if (records.length === 0) return keyBetween(null, null);
+    return keyBetween(null, records.sort(byPosition)[0].position);
 }
 
-function findUserByCustomerId(customerId) {
-    const users = readJsonFile(USERS_FILE);
-    return users.find(u => u.stripeCustomerId === customerId);
-}
+// Moves a record to sit right after beforeId (or, without one, right before
+// afterId). Only the moved record is written, unless the list still has
+// records without a position or with duplicate positions, in which case the
+// whole list is numbered once in its current order. Returns null if the
+// record is not the owner's.
+async function moveRecord(collection, owner, { id, beforeId, afterId }) {
+    const records = (await store.list(collection, { owner, deletedAt: null })).sort(byPosition);
+    const moved = records.find(r => String(r.id) === String(id));
+    if (!moved) return null;
+
+    let others = records.filter(r => r !== moved);
+    const needsNumbering = others.some((r, i) => !r.position || (i > 0 && r.position <= others[i - 1].position));
+    if (needsNumbering) {
+        const keys = keysInOrder(others.length);
+        others = others.map((r, i) => ({ ...r, position: keys[i] }));
+        for (const record of others) {
+            await store.update(collection, record.id, { position: record.position });
+        }
+    }
 
-function updateUser(email, updates) {
-    const users = readJsonFile(USERS_FILE);
-    const index = users.findIndex(u => u.email === email.toLowerCase());
-    if (index !== -1) {
-        users[index] = { ...users[index], ...updates };
-        writeJsonFile(USERS_FILE, users);
-        return users[index];
+    const beforeIndex = others.findIndex(r => String(r.id) === String(beforeId));
+    const afterIndex = others.findIndex(r => String(r.id) === String(afterId));
+    let index;
+    if (beforeIndex !== -1) {
+        index = beforeIndex + 1;
+    } else if (afterIndex !== -1) {
+        index = afterIndex;
+    } else if (!beforeId && !afterId) {
+        index = 0;
+    } else {
+        // Neighbours no longer exist; leave the record where it is
+        return moved;
     }
-    return null;
+
+    const position = keyBetween(
+        index > 0 ? others[index - 1].position : null,
+        index < others.length ? others[index].position : null
+    );
+    return store.update(collection, moved.id, { position });
 }
 
 function createUser(userData) {
-    const users = readJsonFile(USERS_FILE);
     const newUser = {
         email: userData.email.toLowerCase(),
         name: userData.name,
@@ -85,23 +187,180 @@ function createUser(userData) {
         activeSubscription: userData.activeSubscription || false,
         createdAt: new Date().toISOString()
     };
-    users.push(newUser);
-    writeJsonFile(USERS_FILE, users);
-    return newUser;
+    return store.insert('users', newUser);
 }
 
 // ============================================
 // AUTH MIDDLEWARE
 // ============================================
+// Sessions only hold the signed-in email. The user record is loaded fresh
+// from the store on every request, so subscription changes made by the
+// webhook apply on the user's next request instead of at next sign-in.
+async function loadSessionUser(req, res, next) {
+    req.user = null;
+    const email = req.session && req.session.userEmail;
+    if (!email) return next();
+
+    try {
+        req.user = await findUserByEmail(email);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
 function requireAuth(req, res, next) {
     // Allow any signed-in user (free or subscribed)
-    if (req.session && req.session.user) {
+    if (req.user) {
         next();
     } else {
         res.redirect('/signin.html');
     }
 }
 
+function requireApiAuth(req, res, next) {
+    if (req.user) {
+        next();
+    } else {
+        res.status(401).json({ error: 'Authentication required' });
+    }
+}
+
+// Fixed-window, in-memory rate limiter. `keyFn` picks what is being limited
+// (client IP, submitted email, ...); requests without a key pass through.
+function rateLimit({ windowMs, max, keyFn, message }) {
+    const hits = new Map();
+
+    setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const key = keyFn(req);
+        if (!key) return next();
+
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count++;
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ error: message });
+        }
+        next();
+    };
+}
+
+const loginLimiters = [
+    rateLimit({
+        windowMs: LOGIN_WINDOW,
+        max: LOGIN_MAX_PER_IP,
+        keyFn: req => req.ip,
+        message: 'Too many sign-in attempts. Please try again later.'
+    }),
+    rateLimit({
+        windowMs: LOGIN_WINDOW,
+        max: LOGIN_MAX_PER_EMAIL,
+        keyFn: req => {
+            // req.body is undefined when the request has no body
+            const { email } = req.body || {};
+            return typeof email === 'string' ? email.trim().toLowerCase() : null;
+        },
+        message: 'Too many sign-in attempts for this email. Please try again later.'
+    })
+];
+
+// ============================================
+// ENTITLEMENTS
+// ============================================
+function todayKey(email) {
+    return `${email}:${new Date().toISOString().slice(0, 10)}`;
+}
+
+async function getDailyUsage(email) {
+    const usage = await store.get('usage', todayKey(email));
+    return usage || { chatMessages: 0, weatherLookups: 0 };
+}
+
+async function incrementDailyUsage(email, counter) {
+    const id = todayKey(email);
+    const usage = await store.get('usage', id);
+
+    if (usage) {
+        return store.update('usage', id, { [counter]: (usage[counter] || 0) + 1 });
+    }
+    return store.insert('usage', {
+        id,
+        owner: email,
+        date: id.slice(email.length + 1),
+        chatMessages: 0,
+        weatherLookups: 0,
+        [counter]: 1
+    });
+}
+
+// Counts one use of `counter` against today's plan limit, or rejects the
+// request with 402/403 once the limit is reached
+function enforceDailyLimit(counter, limitName) {
+    return async (req, res, next) => {
+        try {
+            const email = getSessionEmail(req);
+            const usage = await getDailyUsage(email);
+
+            if (!isWithinLimit(getPlan(req.user).limits[limitName], usage[counter] || 0)) {
+                const { status, body } = limitExceeded(req.user, limitName);
+                return res.status(status).json(body);
+            }
+
+            await incrementDailyUsage(email, counter);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+async function getEntitlements(user) {
+    const email = user.email;
+    const plan = getPlan(user);
+    const [notes, storageUsed, daily] = await Promise.all([
+        store.list('notes', { owner: email, deletedAt: null }),
+        getStorageUsed(email),
+        getDailyUsage(email)
+    ]);
+
+    return {
+        plan: plan.id,
+        planName: plan.name,
+        limits: plan.limits,
+        usage: {
+            notes: notes.length,
+            storageBytes: storageUsed,
+            chatMessagesPerDay: daily.chatMessages || 0,
+            weatherLookupsPerDay: daily.weatherLookups || 0
+        }
+    };
+}
+
+// Regenerate the session id on sign-in so a pre-login cookie can't be reused
+function establishSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(err => {
+            if (err) return reject(err);
+            req.session.userEmail = user.email;
+            req.user = user;
+            resolve();
+        });
+    });
+}
+
 // ============================================
 // STATIC FILES & ROUTES
 // ============================================
@@ -111,6 +370,9 @@ app.use(express.static(path.join(__dirname, 'public'), {
     index: 'index.html'
 }));
 
+// Resolve the signed-in user for everything below
+app.use(loadSessionUser);
+
 // Landing page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -129,21 +391,130 @@ app.get('/success', (req, res) => {
 // ============================================
 // AUTH API
 // ============================================
-app.post('/api/login', (req, res) => {
-    const { email } = req.body;
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getAppUrl(req) {
+    return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// `extra` is kept on the token, e.g. { checkout } for a demo subscription
+// that /auth/verify completes
+async function sendMagicLink(req, email, extra = {}) {
+    const now = Date.now();
+
+    // Drop this address's spent or expired links before issuing a new one
+    const tokens = await store.list('login_tokens', { email });
+    for (const token of tokens) {
+        if (token.usedAt || new Date(token.expiresAt).getTime() <= now) {
+            await store.remove('login_tokens', token.id);
+        }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await store.insert('login_tokens', {
+        id: hashToken(token),
+        email,
+        expiresAt: new Date(now + MAGIC_LINK_TTL).toISOString(),
+        usedAt: null,
+        createdAt: new Date(now).toISOString(),
+        ...extra
+    });
+
+    const link = `${getAppUrl(req)}/auth/verify?token=${token}`;
+    const minutes = Math.round(MAGIC_LINK_TTL / 60000);
+
+    await mailer.send({
+        to: email,
+        subject: 'Your sign-in link for The Gilded Desk',
+        text: `Click the link below to sign in. It can be used once and expires in ${minutes} minutes.\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Click the link below to sign in. It can be used once and expires in ${minutes} minutes.</p><p><a href="${link}">Sign in to The Gilded Desk</a></p><p>If you did not request this, you can ignore this email.</p>`
+    });
+}
+
+// Shared by /signin and /api/login: with a password, verify it and sign in;
+// without one, email a single-use sign-in link.
+async function handleSignIn(req, res) {
+    const { email, password } = req.body || {};
 
-    if (!email || !email.trim()) {
+    if (typeof email !== 'string' || !email.trim()) {
         return res.status(400).json({ error: 'Email is required' });
     }
 
-    let user = findUserByEmail(email);
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+        return res.status(400).json({ error: 'Password must be text' });
+    }
 
-    if (!user) {
-        user = createUser({ email, name: email.split('@')[0] });
+    if (!EMAIL_REGEX.test(email.trim())) {
+        return res.status(400).json({ error: 'Please enter a valid email' });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    try {
+        if (password) {
+            const user = await findUserByEmail(normalizedEmail);
+            const valid = user && user.passwordHash && await bcrypt.compare(password, user.passwordHash);
+
+            if (!valid) {
+                return res.status(401).json({ error: 'Invalid email or password' });
+            }
+
+            await establishSession(req, user);
+            return res.json({ success: true, user: publicUser(user) });
+        }
+
+        await sendMagicLink(req, normalizedEmail);
+        res.json({ success: true, magicLinkSent: true });
+    } catch (error) {
+        console.error('Sign-in error:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
     }
+}
+
+app.post('/api/login', loginLimiters, handleSignIn);
+
+// Free Sign In
+app.post('/signin', loginLimiters, handleSignIn);
+
+app.get('/auth/verify', async (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+    try {
+        const record = token ? await store.get('login_tokens', hashToken(token)) : null;
+
+        if (!record || record.usedAt || new Date(record.expiresAt).getTime() <= Date.now()) {
+            return res.redirect('/signin.html?error=link-invalid');
+        }
 
-    req.session.user = user;
-    res.json({ success: true, user });
+        // Only the request that marks the token used may sign in with it
+        const claimed = await store.update('login_tokens', record.id, { usedAt: new Date().toISOString() }, { usedAt: null });
+        if (!claimed) {
+            return res.redirect('/signin.html?error=link-invalid');
+        }
+
+        let user = await findUserByEmail(record.email);
+        if (!user) {
+            // Create new free user
+            user = await createUser({
+                email: record.email,
+                name: record.email.split('@')[0],
+                activeSubscription: false // Free user
+            });
+        }
+
+        await establishSession(req, user);
+
+        if (record.checkout && !stripe) {
+            await startDemoSubscription(user.email, record.checkout.name, record.checkout.interval);
+            return res.redirect('/success');
+        }
+        res.redirect('/app');
+    } catch (error) {
+        console.error('Magic link error:', error);
+        res.redirect('/signin.html?error=link-invalid');
+    }
 });
 
 app.post('/api/logout', (req, res) => {
@@ -151,38 +522,41 @@ app.post('/api/logout', (req, res) => {
     res.json({ success: true });
 });
 
-// Free Sign In
-app.post('/signin', (req, res) => {
-    const { email } = req.body;
+app.post('/api/auth/password', requireApiAuth, async (req, res) => {
+    const { password, currentPassword } = req.body || {};
 
-    if (!email || !email.trim()) {
-        return res.status(400).json({ error: 'Email is required' });
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
     }
-
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-        return res.status(400).json({ error: 'Please enter a valid email' });
+    if (currentPassword != null && typeof currentPassword !== 'string') {
+        return res.status(400).json({ error: 'Current password must be text' });
     }
 
-    let user = findUserByEmail(email);
+    try {
+        const user = req.user;
 
-    if (!user) {
-        // Create new free user
-        user = createUser({
-            email,
-            name: email.split('@')[0],
-            activeSubscription: false // Free user
-        });
-    }
+        if (user.passwordHash && !(currentPassword && await bcrypt.compare(currentPassword, user.passwordHash))) {
+            return res.status(403).json({ error: 'Current password is incorrect' });
+        }
 
-    req.session.user = user;
-    res.json({ success: true, user });
+        await updateUser(user.email, { passwordHash: await bcrypt.hash(password, 12) });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Set password error:', error);
+        res.status(500).json({ error: 'Failed to set password' });
+    }
 });
 
-app.get('/api/me', (req, res) => {
-    if (req.session && req.session.user) {
-        res.json({ user: req.session.user });
+app.get('/api/me', async (req, res) => {
+    if (req.user) {
+        try {
+            res.json({
+                user: publicUser(req.user),
+                entitlements: await getEntitlements(req.user)
+            });
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to fetch account' });
+        }
     } else {
         res.json({ user: null });
     }
@@ -191,42 +565,112 @@ app.get('/api/me', (req, res) => {
 // ============================================
 // STRIPE CHECKOUT
 // ============================================
+// Price IDs per billing interval. STRIPE_PRICE_ID stays the monthly default
+// so existing deployments keep working.
+const PRICE_IDS = {
+    monthly: process.env.STRIPE_PRICE_ID_MONTHLY || process.env.STRIPE_PRICE_ID,
+    yearly: process.env.STRIPE_PRICE_ID_YEARLY
+};
+
+// Demo mode (no Stripe key) prices in cents and period lengths
+const DEMO_PRICES = { monthly: 900, yearly: 9000 };
+const INTERVAL_DAYS = { monthly: 30, yearly: 365 };
+
+function getAvailableIntervals() {
+    return stripe
+        ? Object.keys(PRICE_IDS).filter(interval => PRICE_IDS[interval])
+        : Object.keys(DEMO_PRICES);
+}
+
+function intervalForPrice(priceId) {
+    return Object.keys(PRICE_IDS).find(interval => PRICE_IDS[interval] === priceId) || null;
+}
+
+function demoPeriodEnd(interval) {
+    return new Date(Date.now() + INTERVAL_DAYS[interval] * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function demoInvoice(user, interval) {
+    const count = (user && user.demoInvoices ? user.demoInvoices.length : 0) + 1;
+    return {
+        id: `demo_in_${Date.now()}`,
+        number: `DEMO-${String(count).padStart(4, '0')}`,
+        date: new Date().toISOString(),
+        amount: DEMO_PRICES[interval],
+        currency: 'usd',
+        status: 'paid',
+        description: `Pro plan (${interval})`,
+        hostedUrl: null,
+        pdfUrl: null
+    };
+}
+
+// Demo mode (no Stripe key): puts the account on Pro straight away
+async function startDemoSubscription(email, name, interval) {
+    let user = await findUserByEmail(email);
+    if (!user) {
+        user = await createUser({
+            email,
+            name,
+            stripeCustomerId: 'demo_' + Date.now()
+        });
+    }
+
+    return updateUser(email, {
+        name,
+        activeSubscription: true,
+        subscriptionStatus: 'active',
+        billingInterval: interval,
+        cancelAtPeriodEnd: false,
+        currentPeriodEnd: demoPeriodEnd(interval),
+        demoInvoices: [demoInvoice(user, interval), ...(user.demoInvoices || [])]
+    });
+}
+
 app.post('/create-checkout-session', async (req, res) => {
-    const { email, name } = req.body;
+    const { email, name, interval = 'monthly' } = req.body || {};
 
-    if (!email || !email.trim()) {
+    if (typeof email !== 'string' || !email.trim()) {
         return res.status(400).json({ error: 'Email is required' });
     }
 
-    if (!name || !name.trim()) {
+    if (typeof name !== 'string' || !name.trim()) {
         return res.status(400).json({ error: 'Name is required' });
     }
 
+    if (!EMAIL_REGEX.test(email.trim())) {
+        return res.status(400).json({ error: 'Please enter a valid email' });
+    }
+
+    if (!getAvailableIntervals().includes(interval)) {
+        return res.status(400).json({ error: 'Unknown billing interval' });
+    }
+
+    // Same normalization as sign-in, so " A@x.com" is the a@x.com account
+    const normalizedEmail = email.trim().toLowerCase();
+
     // Check if Stripe is configured
     if (!stripe) {
-        // Demo mode - simulate successful subscription
-        let user = findUserByEmail(email);
-        if (!user) {
-            user = createUser({
-                email,
-                name,
-                activeSubscription: true,
-                stripeCustomerId: 'demo_' + Date.now()
-            });
-        } else {
-            user = updateUser(email, {
-                name,
-                activeSubscription: true
-            });
-        }
+        // Demo mode - simulate a successful subscription, but only for the
+        // signed-in owner of the address. Anyone else gets a sign-in link
+        // that completes the upgrade once they have proved they own it.
+        try {
+            if (getSessionEmail(req) === normalizedEmail) {
+                await startDemoSubscription(normalizedEmail, name.trim(), interval);
+                return res.json({ url: '/success' });
+            }
 
-        req.session.user = user;
-        return res.json({ url: '/success' });
+            await sendMagicLink(req, normalizedEmail, { checkout: { name: name.trim(), interval } });
+            return res.json({ magicLinkSent: true });
+        } catch (error) {
+            console.error('Demo checkout error:', error);
+            return res.status(500).json({ error: 'Failed to start subscription' });
+        }
     }
 
     try {
         // Find or create user
-        let user = findUserByEmail(email);
+        let user = await findUserByEmail(normalizedEmail);
         let customerId;
 
         if (user && user.stripeCustomerId) {
@@ -234,17 +678,17 @@ app.post('/create-checkout-session', async (req, res) => {
         } else {
             // Create Stripe customer
             const customer = await stripe.customers.create({
-                email: email,
-                name: name
+                email: normalizedEmail,
+                name: name.trim()
             });
             customerId = customer.id;
 
             if (user) {
-                updateUser(email, { stripeCustomerId: customerId, name });
+                await updateUser(normalizedEmail, { stripeCustomerId: customerId, name: name.trim() });
             } else {
-                user = createUser({
-                    email,
-                    name,
+                user = await createUser({
+                    email: normalizedEmail,
+                    name: name.trim(),
                     stripeCustomerId: customerId
                 });
             }
@@ -255,12 +699,12 @@ app.post('/create-checkout-session', async (req, res) => {
             customer: customerId,
             payment_method_types: ['card'],
             line_items: [{
-                price: process.env.STRIPE_PRICE_ID,
+                price: PRICE_IDS[interval],
                 quantity: 1
             }],
             mode: 'subscription',
-            success_url: `${req.protocol}://${req.get('host')}/success?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${req.protocol}://${req.get('host')}/subscribe.html`,
+            success_url: `${getAppUrl(req)}/success?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${getAppUrl(req)}/subscribe.html`,
             subscription_data: {
                 trial_period_days: 7
             }
@@ -274,320 +718,2718 @@ app.post('/create-checkout-session', async (req, res) => {
 });
 
 // ============================================
-// STRIPE WEBHOOK
+// BILLING API
 // ============================================
-app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+async function getStripeSubscription(user) {
+    if (!user.subscriptionId) return null;
+    return stripe.subscriptions.retrieve(user.subscriptionId);
+}
+
+function toIsoDate(unixSeconds) {
+    return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+// A cancelled demo subscription lapses once its period is over
+async function expireDemoSubscription(user) {
+    if (user.cancelAtPeriodEnd && user.currentPeriodEnd && new Date(user.currentPeriodEnd) <= new Date()) {
+        return updateUser(user.email, {
+            activeSubscription: false,
+            subscriptionStatus: 'canceled',
+            cancelAtPeriodEnd: false,
+            billingInterval: null
+        });
+    }
+    return user;
+}
+
+// Both modes read the subscription state kept on the user record: the webhook
+// keeps it in sync with Stripe, the demo flow writes it directly.
+app.get('/api/billing', requireApiAuth, async (req, res) => {
+    try {
+        const user = stripe ? req.user : await expireDemoSubscription(req.user);
+
+        res.json({
+            demo: !stripe,
+            plan: getPlan(user).id,
+            availableIntervals: getAvailableIntervals(),
+            interval: user.billingInterval || null,
+            status: user.subscriptionStatus || (user.activeSubscription ? 'active' : null),
+            cancelAtPeriodEnd: !!user.cancelAtPeriodEnd,
+            currentPeriodEnd: user.currentPeriodEnd || null,
+            trialEnd: user.trialEnd || null
+        });
+    } catch (error) {
+        console.error('Billing error:', error);
+        res.status(500).json({ error: 'Failed to fetch billing details' });
+    }
+});
+
+app.get('/api/billing/invoices', requireApiAuth, async (req, res) => {
+    try {
+        if (!stripe) {
+            return res.json(req.user.demoInvoices || []);
+        }
+
+        if (!req.user.stripeCustomerId) {
+            return res.json([]);
+        }
+
+        const invoices = await stripe.invoices.list({ customer: req.user.stripeCustomerId, limit: 24 });
+        res.json(invoices.data.map(invoice => ({
+            id: invoice.id,
+            number: invoice.number,
+            date: toIsoDate(invoice.created),
+            amount: invoice.amount_paid || invoice.amount_due,
+            currency: invoice.currency,
+            status: invoice.status,
+            description: invoice.lines && invoice.lines.data[0] ? invoice.lines.data[0].description : null,
+            hostedUrl: invoice.hosted_invoice_url,
+            pdfUrl: invoice.invoice_pdf
+        })));
+    } catch (error) {
+        console.error('Billing error:', error);
+        res.status(500).json({ error: 'Failed to fetch invoices' });
+    }
+});
+
+// Stripe's hosted Billing Portal handles card updates, cancellation and
+// plan changes. Demo mode has no portal, so the in-app billing area stands in.
+app.post('/api/billing/portal', requireApiAuth, async (req, res) => {
     if (!stripe) {
-        return res.status(200).json({ received: true });
+        return res.json({ url: '/app#account', demo: true });
     }
 
-    const sig = req.headers['stripe-signature'];
-    let event;
+    if (!req.user.stripeCustomerId) {
+        return res.status(400).json({ error: 'No billing account yet. Subscribe first.' });
+    }
 
     try {
-        event = stripe.webhooks.constructEvent(
-            req.body,
-            sig,
-            process.env.STRIPE_WEBHOOK_SECRET
-        );
-    } catch (err) {
-        console.error('Webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+        const session = await stripe.billingPortal.sessions.create({
+            customer: req.user.stripeCustomerId,
+            return_url: `${getAppUrl(req)}/app#account`
+        });
+        res.json({ url: session.url });
+    } catch (error) {
+        console.error('Billing error:', error);
+        res.status(500).json({ error: error.message || 'Failed to open billing portal' });
     }
+});
 
-    // Handle events
-    switch (event.type) {
-        case 'checkout.session.completed': {
-            const session = event.data.object;
-            const customerId = session.customer;
-            const subscriptionId = session.subscription;
+async function setCancelAtPeriodEnd(req, res, cancelAtPeriodEnd) {
+    const user = req.user;
 
-            const user = findUserByCustomerId(customerId);
-            if (user) {
-                updateUser(user.email, {
-                    subscriptionId,
-                    activeSubscription: true
-                });
-                console.log(`✅ Subscription activated for ${user.email}`);
+    if (!user.activeSubscription) {
+        return res.status(400).json({ error: 'No active subscription' });
+    }
+
+    try {
+        if (!stripe) {
+            await updateUser(user.email, { cancelAtPeriodEnd });
+        } else {
+            if (!user.subscriptionId) {
+                return res.status(400).json({ error: 'No active subscription' });
             }
-            break;
+            const subscription = await stripe.subscriptions.update(user.subscriptionId, { cancel_at_period_end: cancelAtPeriodEnd });
+            await updateUser(user.email, subscriptionFields(subscription));
         }
+        res.json({ success: true, cancelAtPeriodEnd });
+    } catch (error) {
+        console.error('Billing error:', error);
+        res.status(500).json({ error: error.message || 'Failed to update subscription' });
+    }
+}
 
-        case 'invoice.payment_succeeded': {
-            const invoice = event.data.object;
-            const customerId = invoice.customer;
+app.post('/api/billing/cancel', requireApiAuth, (req, res) => setCancelAtPeriodEnd(req, res, true));
 
-            const user = findUserByCustomerId(customerId);
-            if (user) {
-                updateUser(user.email, { activeSubscription: true });
-                console.log(`✅ Payment succeeded for ${user.email}`);
-            }
-            break;
-        }
+app.post('/api/billing/resume', requireApiAuth, (req, res) => setCancelAtPeriodEnd(req, res, false));
 
-        case 'invoice.payment_failed': {
-            const invoice = event.data.object;
-            const customerId = invoice.customer;
+app.post('/api/billing/change-plan', requireApiAuth, async (req, res) => {
+    const { interval } = req.body || {};
+    const user = req.user;
 
-            const user = findUserByCustomerId(customerId);
-            if (user) {
-                updateUser(user.email, { activeSubscription: false });
-                console.log(`❌ Payment failed for ${user.email}`);
-            }
-            break;
-        }
+    if (!getAvailableIntervals().includes(interval)) {
+        return res.status(400).json({ error: 'Unknown billing interval' });
+    }
 
-        case 'customer.subscription.deleted': {
-            const subscription = event.data.object;
-            const customerId = subscription.customer;
+    if (!user.activeSubscription) {
+        return res.status(400).json({ error: 'No active subscription' });
+    }
 
-            const user = findUserByCustomerId(customerId);
-            if (user) {
-                updateUser(user.email, {
-                    activeSubscription: false,
-                    subscriptionId: null
+    try {
+        if (!stripe) {
+            if (user.billingInterval !== interval) {
+                await updateUser(user.email, {
+                    billingInterval: interval,
+                    currentPeriodEnd: demoPeriodEnd(interval),
+                    demoInvoices: [demoInvoice(user, interval), ...(user.demoInvoices || [])]
                 });
-                console.log(`🚫 Subscription canceled for ${user.email}`);
             }
-            break;
+            return res.json({ success: true, interval });
         }
 
-        default:
-            console.log(`Unhandled event type: ${event.type}`);
-    }
+        const subscription = await getStripeSubscription(user);
+        if (!subscription) {
+            return res.status(400).json({ error: 'No active subscription' });
+        }
 
-    res.json({ received: true });
+        const updated = await stripe.subscriptions.update(subscription.id, {
+            items: [{ id: subscription.items.data[0].id, price: PRICE_IDS[interval] }],
+            proration_behavior: 'create_prorations'
+        });
+        await updateUser(user.email, subscriptionFields(updated));
+        res.json({ success: true, interval });
+    } catch (error) {
+        console.error('Billing error:', error);
+        res.status(500).json({ error: error.message || 'Failed to change plan' });
+    }
 });
 
 // ============================================
-// NOTES API
+// STRIPE WEBHOOK
 // ============================================
-app.get('/api/notes', (req, res) => {
-    try {
-        const notes = readJsonFile(NOTES_FILE);
-        notes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        res.json(notes);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch notes' });
+// Subscription statuses that grant Pro access. past_due and unpaid lose
+// access until a payment succeeds; canceled, incomplete and paused never had
+// or no longer have it.
+const ACCESS_STATUSES = ['trialing', 'active'];
+const STRIPE_INTERVALS = { month: 'monthly', year: 'yearly' };
+
+// Flattens a Stripe subscription into the fields kept on the user record
+function subscriptionFields(subscription) {
+    const item = subscription.items && subscription.items.data[0];
+    const interval = item
+        ? intervalForPrice(item.price.id) || STRIPE_INTERVALS[item.price.recurring && item.price.recurring.interval] || null
+        : null;
+
+    return {
+        subscriptionId: subscription.status === 'canceled' ? null : subscription.id,
+        subscriptionStatus: subscription.status,
+        activeSubscription: ACCESS_STATUSES.includes(subscription.status),
+        billingInterval: interval,
+        currentPeriodEnd: toIsoDate(subscription.current_period_end || (item && item.current_period_end)),
+        trialEnd: toIsoDate(subscription.trial_end),
+        cancelAtPeriodEnd: !!subscription.cancel_at_period_end
+    };
+}
+
+// Applies a subscription snapshot unless a newer event already did; Stripe
+// does not guarantee delivery order.
+async function applySubscriptionEvent(user, subscription, event) {
+    if (user.subscriptionEventAt && event.created < user.subscriptionEventAt) {
+        return 'ignored';
     }
-});
 
-app.post('/api/notes', (req, res) => {
-    try {
-        const { title, content } = req.body;
+    await updateUser(user.email, {
+        ...subscriptionFields(subscription),
+        subscriptionEventAt: event.created
+    });
+    return 'processed';
+}
 
-        if (!title || !title.trim()) {
-            return res.status(400).json({ error: 'Title is required' });
+// Returns 'processed' or 'ignored'; throws to have Stripe retry the event
+async function processStripeEvent(event) {
+    const object = event.data.object;
+    const user = object.customer ? await findUserByCustomerId(object.customer) : null;
+
+    if (!user) {
+        console.log(`Webhook ${event.type}: no user for customer ${object.customer}`);
+        return 'ignored';
+    }
+
+    switch (event.type) {
+        case 'checkout.session.completed': {
+            const updates = { subscriptionId: object.subscription };
+
+            // customer.subscription.created may arrive first and already
+            // carry the real status (e.g. trialing); don't overwrite it
+            if (!user.subscriptionStatus || user.subscriptionStatus === 'canceled') {
+                updates.subscriptionStatus = 'active';
+                updates.activeSubscription = true;
+            }
+
+            await updateUser(user.email, updates);
+            console.log(`✅ Subscription activated for ${user.email}`);
+            return 'processed';
+        }
+
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.paused':
+        case 'customer.subscription.resumed': {
+            const outcome = await applySubscriptionEvent(user, object, event);
+            console.log(`🔄 Subscription ${object.status} for ${user.email}`);
+            return outcome;
+        }
+
+        case 'customer.subscription.deleted': {
+            const outcome = await applySubscriptionEvent(user, { ...object, status: 'canceled' }, event);
+            console.log(`🚫 Subscription canceled for ${user.email}`);
+            return outcome;
+        }
+
+        case 'customer.subscription.trial_will_end': {
+            const trialEnd = toIsoDate(object.trial_end);
+            await mailer.send({
+                to: user.email,
+                subject: 'Your Gilded Desk trial is ending soon',
+                text: `Your free trial ends on ${new Date(trialEnd).toDateString()}. Your subscription will start automatically unless you cancel from the Account section of the app.`
+            });
+            await updateUser(user.email, { trialEnd });
+            console.log(`⏳ Trial ending notice sent to ${user.email}`);
+            return 'processed';
+        }
+
+        case 'invoice.paid':
+        case 'invoice.payment_succeeded': {
+            // The $0 invoice that opens a trial must not end the trial
+            if (user.subscriptionStatus !== 'trialing') {
+                await updateUser(user.email, { activeSubscription: true, subscriptionStatus: 'active' });
+            }
+            console.log(`✅ Payment succeeded for ${user.email}`);
+            return 'processed';
+        }
+
+        case 'invoice.payment_failed': {
+            await updateUser(user.email, { activeSubscription: false, subscriptionStatus: 'past_due' });
+            await mailer.send({
+                to: user.email,
+                subject: 'Payment failed for your Gilded Desk subscription',
+                text: 'We could not charge your card for your Pro subscription. Please update your payment method from the Account section of the app to keep your Pro features.'
+            });
+            console.log(`❌ Payment failed for ${user.email}`);
+            return 'processed';
+        }
+
+        default:
+            console.log(`Unhandled event type: ${event.type}`);
+            return 'ignored';
+    }
+}
+
+// Claims the event in the event log before processing it, so a duplicate
+// delivery (even a concurrent one) is acknowledged without running twice.
+// Returns false if the event was already handled.
+async function claimStripeEvent(event) {
+    const existing = await store.get('webhook_events', event.id);
+    const record = {
+        id: event.id,
+        type: event.type,
+        customer: event.data.object.customer || null,
+        created: toIsoDate(event.created),
+        receivedAt: new Date().toISOString(),
+        status: 'processing',
+        error: null
+    };
+
+    if (existing) {
+        if (existing.status !== 'failed') return false;
+        await store.update('webhook_events', event.id, { ...record, attempts: (existing.attempts || 1) + 1 });
+        return true;
+    }
+
+    try {
+        await store.insert('webhook_events', { ...record, attempts: 1 });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+    if (!stripe) {
+        return res.status(200).json({ received: true });
+    }
+
+    const sig = req.headers['stripe-signature'];
+    let event;
+
+    try {
+        event = stripe.webhooks.constructEvent(
+            req.body,
+            sig,
+            process.env.STRIPE_WEBHOOK_SECRET
+        );
+    } catch (err) {
+        console.error('Webhook signature verification failed:', err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    if (!await claimStripeEvent(event)) {
+        console.log(`Duplicate webhook event ${event.id} ignored`);
+        return res.json({ received: true, duplicate: true });
+    }
+
+    try {
+        const status = await processStripeEvent(event);
+        await store.update('webhook_events', event.id, { status, processedAt: new Date().toISOString() });
+        res.json({ received: true });
+    } catch (error) {
+        console.error(`Webhook ${event.id} failed:`, error);
+        await store.update('webhook_events', event.id, { status: 'failed', error: error.message });
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+});
+
+// ============================================
+// SEARCH API
+// ============================================
+// Index over note titles and content, todo text (with its notes, tags and
+// subtasks) and file names. Built once at startup, then kept current by
+// indexRecord()/searchIndex.remove() wherever those records are written.
+const searchIndex = new SearchIndex();
+const SEARCH_TYPES = ['note', 'todo', 'file'];
+const MAX_SEARCH_LENGTH = 200;
+
+function indexRecord(type, record) {
+    const document = { type, id: record.id, owner: record.owner };
+
+    if (type === 'note') {
+        searchIndex.add({
+            ...document,
+            title: record.title,
+            body: [
+                record.content,
+                record.notebook,
+                ...(record.tags || []).map(tag => `#${tag}`)
+            ].filter(Boolean).join('\n')
+        });
+    } else if (type === 'todo') {
+        searchIndex.add({
+            ...document,
+            title: record.text,
+            body: [
+                record.notes,
+                ...(record.tags || []).map(tag => `#${tag}`),
+                ...(record.subtasks || []).map(subtask => subtask.text)
+            ].filter(Boolean).join('\n'),
+            completed: !!record.completed
+        });
+    } else if (type === 'file') {
+        searchIndex.add({ ...document, title: record.name, body: '' });
+    }
+}
+
+async function buildSearchIndex() {
+    const collections = { note: 'notes', todo: 'todos', file: 'files' };
+    let count = 0;
+
+    for (const [type, collection] of Object.entries(collections)) {
+        for (const record of await store.list(collection, { deletedAt: null })) {
+            indexRecord(type, record);
+            count++;
+        }
+    }
+    console.log(`🔎 Search index built (${count} records)`);
+}
+
+// GET /api/search?q=&types=note,todo,file&limit=20
+app.get('/api/search', requireApiAuth, (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+        return res.json({ query, results: [] });
+    }
+    if (query.length > MAX_SEARCH_LENGTH) {
+        return res.status(400).json({ error: `Search is limited to ${MAX_SEARCH_LENGTH} characters` });
+    }
+
+    const types = req.query.types
+        ? String(req.query.types).split(',').filter(type => SEARCH_TYPES.includes(type))
+        : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    res.json({
+        query,
+        results: searchIndex.search(getSessionEmail(req), query, { types, limit })
+    });
+});
+
+// ============================================
+// NOTES API
+// ============================================
+// Revisions of every note (see lib/note-history)
+const noteHistory = createNoteHistory({ store });
+const MAX_NOTEBOOK_LENGTH = 60;
+
+// Validates the notebook and tags of a note body, if present. Returns
+// { fields } or { error }.
+function parseNoteFields(body) {
+    const fields = {};
+
+    if (body.notebook !== undefined) {
+        const notebook = String(body.notebook || '').trim().replace(/\s+/g, ' ');
+        if (notebook.length > MAX_NOTEBOOK_LENGTH) {
+            return { error: `Notebook names must be at most ${MAX_NOTEBOOK_LENGTH} characters` };
+        }
+        fields.notebook = notebook || null;
+    }
+    if (body.tags !== undefined) {
+        fields.tags = parseTags(body.tags);
+        if (!fields.tags) return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    return { fields };
+}
+
+// Notebooks are just names on notes. Reuse the spelling of an existing one
+// so "work" and "Work" don't become two notebooks.
+function matchNotebook(notes, notebook) {
+    if (!notebook) return notebook;
+    const existing = notes.find(n => n.notebook && n.notebook.toLowerCase() === notebook.toLowerCase());
+    return existing ? existing.notebook : notebook;
+}
+
+// Writes a change to a note: updates the search index, records a revision
+// and, if the title changed, rewrites links to it in other notes. Returns
+// the updated note with the number of notes whose links were rewritten.
+async function saveNote(note, updates, { author, action, restoredFrom }) {
+    const updated = await store.update('notes', note.id, updates);
+    indexRecord('note', updated);
+    await noteHistory.recordChange(note, updated, { author, action, restoredFrom });
+
+    const linksUpdated = await updateLinksToRenamedNote(updated, note.title, author);
+    return { ...updated, linksUpdated };
+}
+
+// Points [[links]] at a renamed note's new title. Links stay as they are
+// while another note still has the old title, since they still resolve.
+// Returns the number of notes rewritten.
+async function updateLinksToRenamedNote(note, oldTitle, author) {
+    if (normalizeTitle(oldTitle) === normalizeTitle(note.title)) return 0;
+
+    const notes = await store.list('notes', { owner: note.owner, deletedAt: null });
+    if (notes.some(n => n.id !== note.id && normalizeTitle(n.title) === normalizeTitle(oldTitle))) {
+        return 0;
+    }
+
+    let count = 0;
+    for (const other of notes) {
+        if (!linksTo(other.content, oldTitle)) continue;
+        await saveNote(other, { content: renameLinks(other.content, oldTitle, note.title) }, {
+            author,
+            action: 'links'
+        });
+        count++;
+    }
+    return count;
+}
+
+// GET /api/notes?sort=manual|created&notebook=&tag=
+app.get('/api/notes', requireApiAuth, async (req, res) => {
+    try {
+        // sort=manual (default) or created; pinned notes always come first
+        let notes = await store.list('notes', { owner: getSessionEmail(req), deletedAt: null });
+        if (req.query.notebook) {
+            const notebook = String(req.query.notebook).toLowerCase();
+            notes = notes.filter(n => n.notebook && n.notebook.toLowerCase() === notebook);
+        }
+        if (req.query.tag) {
+            const tag = String(req.query.tag).replace(/^#/, '').toLowerCase();
+            notes = notes.filter(n => (n.tags || []).includes(tag));
+        }
+
+        const byCreated = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+        notes.sort((a, b) => {
+            if (!!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+            return req.query.sort === 'created' ? byCreated(a, b) : byPosition(a, b);
+        });
+        res.json(notes);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch notes' });
+    }
+});
+
+// [{ name, count }] by name
+app.get('/api/notes/notebooks', requireApiAuth, async (req, res) => {
+    try {
+        const counts = new Map();
+        for (const note of await store.list('notes', { owner: getSessionEmail(req), deletedAt: null })) {
+            if (note.notebook) counts.set(note.notebook, (counts.get(note.notebook) || 0) + 1);
+        }
+        const notebooks = [...counts].map(([name, count]) => ({ name, count }));
+        res.json(notebooks.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch notebooks' });
+    }
+});
+
+// [{ tag, count }], most used first
+app.get('/api/notes/tags', requireApiAuth, async (req, res) => {
+    try {
+        const counts = new Map();
+        for (const note of await store.list('notes', { owner: getSessionEmail(req), deletedAt: null })) {
+            for (const tag of note.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+        const tags = [...counts].map(([tag, count]) => ({ tag, count }));
+        res.json(tags.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+});
+
+// Notes whose content links to this one: [{ id, title }]
+app.get('/api/notes/:id/backlinks', requireApiAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const owner = getSessionEmail(req);
+        const note = await store.findOne('notes', { id, owner, deletedAt: null });
+
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const title = normalizeTitle(note.title);
+        const backlinks = (await store.list('notes', { owner, deletedAt: null }))
+            .filter(n => n.id !== id && extractLinks(n.content).includes(title))
+            .map(n => ({ id: n.id, title: n.title }));
+        res.json(backlinks);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch backlinks' });
+    }
+});
+
+app.post('/api/notes', requireApiAuth, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { title, content } = body;
+
+        if (typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'Content is required' });
+        }
+
+        const { fields, error } = parseNoteFields(body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const newNote = await createNote(req.user, { ...fields, title, content });
+        if (!newNote) {
+            const { status, body } = limitExceeded(req.user, 'notes');
+            return res.status(status).json(body);
+        }
+        res.status(201).json(newNote);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create note' });
+    }
+});
+
+// Adds a note with already validated fields at the top of the user's list.
+// Returns null if the user's plan allows no more notes.
+async function createNote(user, { title, content, notebook, tags }) {
+    const owner = user.email;
+    const existing = await store.list('notes', { owner, deletedAt: null });
+
+    if (!isWithinLimit(getPlan(user).limits.notes, existing.length)) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    const newNote = {
+        id: Date.now(),
+        owner,
+        title: title.trim(),
+        content: content.trim(),
+        notebook: matchNotebook(existing, notebook || null),
+        tags: tags || [],
+        pinned: false,
+        position: await topPosition('notes', owner),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await store.insert('notes', newNote);
+    indexRecord('note', newNote);
+    await noteHistory.recordChange(null, newNote, { author: owner, action: 'create' });
+    return newNote;
+}
+
+// Body: { id, beforeId, afterId } - the moved note and its new neighbours
+// (either may be null at the ends of the list)
+app.post('/api/notes/reorder', requireApiAuth, async (req, res) => {
+    try {
+        const note = await moveRecord('notes', getSessionEmail(req), req.body);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        res.json({ id: note.id, position: note.position });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to reorder notes' });
+    }
+});
+
+function revisionSummary(revision) {
+    const { content, owner, noteId, ...summary } = revision;
+    return { ...summary, length: content.length };
+}
+
+// Newest first, without content
+app.get('/api/notes/:id/revisions', requireApiAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!await store.findOne('notes', { id, owner: getSessionEmail(req), deletedAt: null })) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const revisions = await noteHistory.list(id);
+        res.json(revisions.reverse().map(revisionSummary));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+});
+
+// Line diff between two revisions: ?from=<revision>&to=<revision>. `to`
+// defaults to the latest revision and `from` to the one before `to`.
+app.get('/api/notes/:id/diff', requireApiAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!await store.findOne('notes', { id, owner: getSessionEmail(req), deletedAt: null })) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const revisions = await noteHistory.list(id);
+        const find = number => revisions.find(r => r.revision === parseInt(number));
+        const to = req.query.to ? find(req.query.to) : revisions[revisions.length - 1];
+        const from = req.query.from ? find(req.query.from) : revisions[revisions.indexOf(to) - 1] || to;
+
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const fields = ['title', 'notebook', 'tags']
+            .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+            .map(field => ({ field, before: from[field], after: to[field] }));
+
+        res.json({
+            from: revisionSummary(from),
+            to: revisionSummary(to),
+            fields,
+            changes: diffLines(from.content, to.content)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to compare revisions' });
+    }
+});
+
+// Makes an earlier revision the current note; recorded as a new revision
+app.post('/api/notes/:id/revisions/:revision/restore', requireApiAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const owner = getSessionEmail(req);
+        const note = await store.findOne('notes', { id, owner, deletedAt: null });
+
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const revision = await noteHistory.get(id, parseInt(req.params.revision));
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const { title, content, notebook, tags } = revision;
+        res.json(await saveNote(note, {
+            title,
+            content,
+            notebook,
+            tags,
+            updatedAt: new Date().toISOString()
+        }, { author: owner, action: 'restore', restoredFrom: revision.revision }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+app.put('/api/notes/:id', requireApiAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const owner = getSessionEmail(req);
+        const body = req.body || {};
+        const { title, content, pinned } = body;
+
+        if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+            return res.status(400).json({ error: 'Content is required' });
+        }
+
+        const { fields, error } = parseNoteFields(body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const note = await store.findOne('notes', { id, owner, deletedAt: null });
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const updates = { ...fields, updatedAt: new Date().toISOString() };
+        if (title !== undefined) updates.title = title.trim();
+        if (content !== undefined) updates.content = content.trim();
+        if (pinned !== undefined) updates.pinned = !!pinned;
+        if (updates.notebook) {
+            const others = (await store.list('notes', { owner, deletedAt: null })).filter(n => n.id !== id);
+            updates.notebook = matchNotebook(others, updates.notebook);
+        }
+
+        res.json(await saveNote(note, updates, { author: owner, action: 'update' }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update note' });
+    }
+});
+
+app.delete('/api/notes/:id', requireApiAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const owner = getSessionEmail(req);
+
+        const note = await store.findOne('notes', { id, owner, deletedAt: null });
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        await moveToTrash('note', note);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete note' });
+    }
+});
+
+// ============================================
+// TO-DO LIST API
+// ============================================
+const TODO_PRIORITIES = ['none', 'low', 'medium', 'high'];
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1, none: 0 };
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TAG_LENGTH = 30;
+const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+
+// Todos carry a version that increments on every write. Clients send the
+// version their edit was based on plus the time they made it; a write based
+// on an old version is still accepted if it is newer than the stored copy
+// (last writer wins), otherwise the client gets a 409 with the current todo.
+function normalizeTodo(todo) {
+    return {
+        ...todo,
+        dueDate: todo.dueDate || null,
+        priority: todo.priority || 'none',
+        tags: todo.tags || [],
+        notes: todo.notes || '',
+        subtasks: todo.subtasks || [],
+        recurrence: todo.recurrence || null,
+        dueTime: todo.dueTime || null,
+        reminderMinutes: todo.reminderMinutes ?? null,
+        version: todo.version || 1,
+        updatedAt: todo.updatedAt || todo.createdAt
+    };
+}
+
+function clientTimestamp(value) {
+    const time = Date.parse(value);
+    if (isNaN(time)) return new Date().toISOString();
+    return new Date(Math.min(time, Date.now())).toISOString();
+}
+
+function isStaleWrite(existing, baseVersion, clientUpdatedAt) {
+    const current = normalizeTodo(existing);
+    if (baseVersion === undefined || baseVersion === null || parseInt(baseVersion) === current.version) {
+        return false;
+    }
+    return !clientUpdatedAt || new Date(clientUpdatedAt) <= new Date(current.updatedAt);
+}
+
+function todoConflict(res, existing) {
+    return res.status(409).json({
+        error: 'This task was changed elsewhere',
+        code: 'conflict',
+        todo: normalizeTodo(existing)
+    });
+}
+
+function isValidDate(value) {
+    return DATE_ONLY_REGEX.test(value) && !isNaN(Date.parse(value));
+}
+
+// Accepts an array or a comma-separated string; tags are stored lowercase
+// without a leading '#'
+function parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const parsed = list
+        .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean);
+
+    if (parsed.some(tag => tag.length > MAX_TAG_LENGTH)) return null;
+    return [...new Set(parsed)];
+}
+
+function parseSubtasks(subtasks) {
+    if (!Array.isArray(subtasks)) return null;
+
+    const parsed = [];
+    for (const subtask of subtasks) {
+        const text = subtask && String(subtask.text || '').trim();
+        if (!text) return null;
+        parsed.push({
+            id: String(subtask.id || crypto.randomBytes(4).toString('hex')),
+            text,
+            completed: !!subtask.completed
+        });
+    }
+    return parsed;
+}
+
+// Validates whichever editable fields are present in the body and returns
+// only those, so the result works for both creates and partial updates
+function parseTodoFields(body) {
+    const fields = {};
+
+    if (body.text !== undefined) {
+        if (!String(body.text).trim()) return { error: 'Task text is required' };
+        fields.text = String(body.text).trim();
+    }
+    if (body.completed !== undefined) {
+        fields.completed = !!body.completed;
+    }
+    if (body.dueDate !== undefined) {
+        if (body.dueDate && !isValidDate(body.dueDate)) return { error: 'Due date must be YYYY-MM-DD' };
+        fields.dueDate = body.dueDate || null;
+    }
+    if (body.priority !== undefined) {
+        if (!TODO_PRIORITIES.includes(body.priority)) {
+            return { error: `Priority must be one of: ${TODO_PRIORITIES.join(', ')}` };
+        }
+        fields.priority = body.priority;
+    }
+    if (body.tags !== undefined) {
+        fields.tags = parseTags(body.tags);
+        if (!fields.tags) return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    if (body.notes !== undefined) {
+        fields.notes = String(body.notes || '');
+    }
+    if (body.subtasks !== undefined) {
+        fields.subtasks = parseSubtasks(body.subtasks);
+        if (!fields.subtasks) return { error: 'Subtasks must be a list of items with text' };
+    }
+    if (body.recurrence !== undefined) {
+        try {
+            fields.recurrence = buildRecurrence(body.recurrence);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+    if (body.dueTime !== undefined) {
+        if (body.dueTime && !TIME_REGEX.test(body.dueTime)) return { error: 'Due time must be HH:MM' };
+        fields.dueTime = body.dueTime || null;
+    }
+    if (body.reminderMinutes !== undefined) {
+        const minutes = body.reminderMinutes === null || body.reminderMinutes === '' ? null : Number(body.reminderMinutes);
+        if (minutes !== null && !(Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_REMINDER_MINUTES)) {
+            return { error: `Reminder must be between 0 and ${MAX_REMINDER_MINUTES} minutes before the due time` };
+        }
+        fields.reminderMinutes = minutes;
+    }
+    if (body.timeZone !== undefined) {
+        if (!isValidTimeZone(body.timeZone)) return { error: 'Unknown time zone' };
+        fields.timeZone = body.timeZone;
+    }
+
+    return { fields };
+}
+
+// Recomputes the fields derived from the schedule: the monthly recurrence
+// anchor and the reminder time (a moved reminder may fire again)
+function withSchedule(todo) {
+    const remindAt = computeRemindAt(todo);
+    return {
+        ...todo,
+        recurrence: anchorRecurrence(todo.recurrence, todo.dueDate),
+        remindAt,
+        reminderSentAt: remindAt === todo.remindAt ? todo.reminderSentAt || null : null
+    };
+}
+
+// Completing a recurring task creates its next occurrence, once
+async function createNextOccurrence(todo) {
+    if (!todo.recurrence || todo.nextOccurrenceId) return null;
+
+    const occurrence = todo.occurrence || 1;
+    const fromDate = todo.dueDate || new Date().toISOString().slice(0, 10);
+    const dueDate = nextOccurrence(todo.recurrence, fromDate, occurrence);
+    if (!dueDate) return null;
+
+    const now = new Date().toISOString();
+    const next = normalizeTodo(withSchedule({
+        id: Date.now(),
+        owner: todo.owner,
+        text: todo.text,
+        completed: false,
+        dueDate,
+        priority: todo.priority,
+        tags: todo.tags,
+        notes: todo.notes,
+        subtasks: (todo.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+        recurrence: todo.recurrence,
+        dueTime: todo.dueTime,
+        reminderMinutes: todo.reminderMinutes,
+        timeZone: todo.timeZone,
+        // Takes the completed task's place; a later move renumbers the tie
+        position: todo.position,
+        seriesId: todo.seriesId || todo.id,
+        occurrence: occurrence + 1,
+        createdAt: now,
+        updatedAt: now,
+        version: 1
+    }));
+
+    await store.insert('todos', next);
+    await store.update('todos', todo.id, { nextOccurrenceId: next.id });
+    indexRecord('todo', next);
+    return next;
+}
+
+// Query parameters for GET /api/todos:
+//   status=active|completed, due=overdue|today (today=YYYY-MM-DD sets the
+//   client's date), tag=, priority=, sort=manual|created|due|priority
+//   (default manual), order=asc|desc
+function filterTodos(todos, query) {
+    const today = isValidDate(query.today) ? query.today : new Date().toISOString().slice(0, 10);
+
+    return todos.filter(todo => {
+        if (query.status === 'active' && todo.completed) return false;
+        if (query.status === 'completed' && !todo.completed) return false;
+        if (query.due === 'overdue' && !(todo.dueDate && todo.dueDate < today && !todo.completed)) return false;
+        if (query.due === 'today' && todo.dueDate !== today) return false;
+        if (query.tag && !todo.tags.includes(String(query.tag).toLowerCase())) return false;
+        if (query.priority && todo.priority !== query.priority) return false;
+        return true;
+    });
+}
+
+// Each sort has a natural direction (list order, newest, soonest due, most
+// important first); order= only flips it
+function sortTodos(todos, sort, order) {
+    const byCreated = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    // Undated tasks go last
+    const byDue = (a, b) => (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31');
+    const sorts = {
+        manual: { compare: byPosition, order: 'asc' },
+        created: { compare: byCreated, order: 'desc' },
+        due: { compare: (a, b) => byDue(a, b) || byCreated(a, b), order: 'asc' },
+        priority: { compare: (a, b) => PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority] || byDue(a, b), order: 'desc' }
+    };
+    const { compare, order: naturalOrder } = sorts[sort] || sorts.manual;
+
+    todos.sort(compare);
+    if (order && order !== naturalOrder) todos.reverse();
+    return todos;
+}
+
+app.get('/api/todos', requireApiAuth, async (req, res) => {
+    try {
+        const todos = (await store.list('todos', { owner: getSessionEmail(req), deletedAt: null })).map(normalizeTodo);
+        res.json(sortTodos(filterTodos(todos, req.query), req.query.sort, req.query.order));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch todos' });
+    }
+});
+
+app.post('/api/todos', requireApiAuth, async (req, res) => {
+    try {
+        const { id, createdAt } = req.body;
+        const owner = getSessionEmail(req);
+
+        const { fields, error } = parseTodoFields(req.body);
+        if (error || !fields.text) {
+            return res.status(400).json({ error: error || 'Task text is required' });
+        }
+
+        // Offline clients create todos with their own IDs and may replay the
+        // same create after a dropped response
+        if (id) {
+            const existing = await store.get('todos', parseInt(id));
+            if (existing && existing.owner === owner) {
+                return res.json(normalizeTodo(existing));
+            }
+            if (existing) {
+                return res.status(409).json({ error: 'Todo ID already in use', code: 'id_taken' });
+            }
+        }
+
+        const newTodo = await createTodo(owner, fields, {
+            id: id ? parseInt(id) : undefined,
+            createdAt: createdAt ? clientTimestamp(createdAt) : undefined
+        });
+        res.status(201).json(newTodo);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create todo' });
+    }
+});
+
+// Adds a todo with already validated fields at the top of the owner's list
+async function createTodo(owner, fields, { id, createdAt } = {}) {
+    const now = new Date().toISOString();
+    const newTodo = normalizeTodo(withSchedule({
+        id: id || Date.now(),
+        owner,
+        completed: false,
+        ...fields,
+        position: await topPosition('todos', owner),
+        createdAt: createdAt || now,
+        updatedAt: now,
+        version: 1
+    }));
+
+    await store.insert('todos', newTodo);
+    indexRecord('todo', newTodo);
+    return newTodo;
+}
+
+// Partial update: only the fields present in the body change. PUT is kept
+// for older clients and behaves the same way.
+async function updateTodo(req, res) {
+    try {
+        const id = parseInt(req.params.id);
+        const owner = getSessionEmail(req);
+        const { version, updatedAt } = req.body;
+
+        const existing = await store.findOne('todos', { id, owner, deletedAt: null });
+        if (!existing) {
+            return res.status(404).json({ error: 'Todo not found' });
+        }
+
+        if (isStaleWrite(existing, version, updatedAt)) {
+            return todoConflict(res, existing);
+        }
+
+        const { fields, error } = parseTodoFields(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const scheduled = withSchedule({ ...existing, ...fields });
+        const updated = await store.update('todos', id, {
+            ...fields,
+            recurrence: scheduled.recurrence,
+            remindAt: scheduled.remindAt,
+            reminderSentAt: scheduled.reminderSentAt,
+            version: normalizeTodo(existing).version + 1,
+            updatedAt: updatedAt ? clientTimestamp(updatedAt) : new Date().toISOString()
+        });
+        indexRecord('todo', updated);
+
+        if (updated.completed && !existing.completed) {
+            const next = await createNextOccurrence(updated);
+            if (next) {
+                return res.json({ ...normalizeTodo(updated), nextOccurrenceId: next.id, nextOccurrence: next });
+            }
+        }
+        res.json(normalizeTodo(updated));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update todo' });
+    }
+}
+
+// Body: { id, beforeId, afterId } - the moved todo and its new neighbours
+// (either may be null at the ends of the list). Positions are not versioned:
+// the latest move wins without conflicting with edits to the task.
+app.post('/api/todos/reorder', requireApiAuth, async (req, res) => {
+    try {
+        const todo = await moveRecord('todos', getSessionEmail(req), req.body);
+        if (!todo) {
+            return res.status(404).json({ error: 'Todo not found' });
+        }
+        res.json({ id: todo.id, position: todo.position });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to reorder todos' });
+    }
+});
+
+app.patch('/api/todos/:id', requireApiAuth, updateTodo);
+app.put('/api/todos/:id', requireApiAuth, updateTodo);
+
+// Moves the todo to the trash. Accepts ?version=&updatedAt= so a stale
+// offline delete does not discard a newer edit made on another device;
+// deleting a todo that is already in the trash succeeds.
+app.delete('/api/todos/:id', requireApiAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const owner = getSessionEmail(req);
+
+        const existing = await store.findOne('todos', { id, owner });
+        if (!existing) {
+            return res.status(404).json({ error: 'Todo not found' });
+        }
+        if (existing.deletedAt) {
+            return res.json({ success: true });
+        }
+
+        if (isStaleWrite(existing, req.query.version, req.query.updatedAt)) {
+            return todoConflict(res, existing);
+        }
+
+        await moveToTrash('todo', existing, {
+            version: normalizeTodo(existing).version + 1,
+            updatedAt: new Date().toISOString()
+        });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete todo' });
+    }
+});
+
+// ============================================
+// REMINDER NOTIFICATIONS
+// ============================================
+// Reminders produced by the scheduler for the browser channel; the open app
+// polls for them, shows them and marks them delivered.
+const reminderScheduler = createReminderScheduler({
+    store,
+    mailer,
+    findUser: findUserByEmail,
+    appUrl: process.env.APP_URL || `http://localhost:${PORT}`
+});
+
+app.get('/api/notifications', requireApiAuth, async (req, res) => {
+    try {
+        const notifications = await store.list('notifications', { owner: getSessionEmail(req), deliveredAt: null });
+        notifications.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        res.json(notifications);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+app.post('/api/notifications/:id/delivered', requireApiAuth, async (req, res) => {
+    try {
+        const notification = await store.findOne('notifications', { id: req.params.id, owner: getSessionEmail(req) });
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.json(await store.update('notifications', notification.id, { deliveredAt: new Date().toISOString() }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update notification' });
+    }
+});
+
+// ============================================
+// WEATHER API
+// ============================================
+// GET /api/weather?city=Paris (or "Paris, US" / "Paris, Texas, United
+// States" to pick a country or region) answers with the current conditions
+// from the configured provider (see lib/weather-providers);
+// GET /api/weather/forecast adds the next 24 hours and 5 days. Either can
+// take ?location=<id> for a saved location instead of a city. Both count as
+// one weather lookup. Place lookups are cached for a day and conditions and
+// forecasts for WEATHER_CACHE_MINUTES (default 10) per place, so repeated
+// searches don't reach the provider. Unknown places are a 404.
+//
+// Providers answer in metric; responses are converted to the user's
+// weatherUnits (metric or imperial, see PATCH /api/weather/preferences)
+// here, and say which units they are in.
+//
+// Saved locations (GET/POST/DELETE /api/weather/locations, at most
+// MAX_SAVED_LOCATIONS each) come back with their current conditions. Those,
+// and the autocomplete behind GET /api/weather/places?q=, don't count
+// against the daily limit: both are served from the caches above.
+const weatherProvider = createWeatherProvider();
+const MAX_CITY_LENGTH = 100;
+const MIN_PLACE_QUERY_LENGTH = 2;
+const MAX_PLACE_SUGGESTIONS = 5;
+const MAX_SAVED_LOCATIONS = 10;
+const WEATHER_CACHE_MS = (parseInt(process.env.WEATHER_CACHE_MINUTES) || 10) * 60 * 1000;
+const locationCache = new TtlCache({ ttlMs: 24 * 60 * 60 * 1000 });
+const conditionsCache = new TtlCache({ ttlMs: WEATHER_CACHE_MS });
+const forecastCache = new TtlCache({ ttlMs: WEATHER_CACHE_MS });
+
+const WEATHER_UNITS = {
+    metric: { system: 'metric', temperature: '°C', windSpeed: 'm/s' },
+    imperial: { system: 'imperial', temperature: '°F', windSpeed: 'mph' }
+};
+
+function weatherUnits(user) {
+    return WEATHER_UNITS[user.weatherUnits] || WEATHER_UNITS.metric;
+}
+
+function convertTemperature(celsius, units) {
+    if (units.system !== 'imperial' || typeof celsius !== 'number') return celsius;
+    return Math.round((celsius * 9 / 5 + 32) * 10) / 10;
+}
+
+function convertWindSpeed(metersPerSecond, units) {
+    if (units.system !== 'imperial' || typeof metersPerSecond !== 'number') return metersPerSecond;
+    return Math.round(metersPerSecond * 2.23694 * 10) / 10;
+}
+
+function normalizePlaceQuery(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Best match for "name" or "name, region, country" (every qualifier has to
+// match the place's country, country code or region); null if there is none
+function findLocation(query) {
+    const [name, ...qualifiers] = query.split(',').map(part => normalizePlaceQuery(part)).filter(Boolean);
+    const key = [name, ...qualifiers].join('|');
+
+    return locationCache.getOrLoad(key, async () => {
+        const locations = await weatherProvider.geocode(name, { limit: qualifiers.length ? 10 : 1 });
+        const match = !qualifiers.length ? locations[0] : locations.find(location => {
+            const values = [location.country, location.countryCode, location.admin1]
+                .filter(Boolean).map(value => value.toLowerCase());
+            return qualifiers.every(qualifier => values.includes(qualifier));
+        });
+        return match || null;
+    });
+}
+
+// "Paris, Texas, United States" - also what findLocation reads back
+function placeLabel(location) {
+    return [location.name, location.admin1, location.country]
+        .filter((part, i, parts) => part && parts.indexOf(part) === i)
+        .join(', ');
+}
+
+function placeKey(location) {
+    return `${location.latitude},${location.longitude}`;
+}
+
+async function getCurrentWeather(location, units) {
+    const current = await conditionsCache.getOrLoad(placeKey(location), () => weatherProvider.current(location));
+    return {
+        city: location.name,
+        country: location.country,
+        region: location.admin1,
+        label: placeLabel(location),
+        latitude: location.latitude,
+        longitude: location.longitude,
+        timezone: location.timezone,
+        temp: convertTemperature(current.temperature, units),
+        ...describeWeatherCode(current.weatherCode),
+        humidity: current.humidity,
+        wind: convertWindSpeed(current.windSpeed, units),
+        observedAt: current.time,
+        units
+    };
+}
+
+async function getForecast(location, units) {
+    const forecast = await forecastCache.getOrLoad(placeKey(location), () => weatherProvider.forecast(location));
+    return {
+        hourly: forecast.hourly.map(hour => ({
+            time: hour.time,
+            temp: convertTemperature(hour.temperature, units),
+            ...describeWeatherCode(hour.weatherCode),
+            precipitationChance: hour.precipitationProbability,
+            wind: convertWindSpeed(hour.windSpeed, units)
+        })),
+        daily: forecast.daily.map(day => ({
+            date: day.date,
+            high: convertTemperature(day.temperatureMax, units),
+            low: convertTemperature(day.temperatureMin, units),
+            ...describeWeatherCode(day.weatherCode),
+            precipitationChance: day.precipitationProbability
+        }))
+    };
+}
+
+// Checked before the daily limit so a rejected lookup isn't counted
+function validateWeatherQuery(req, res, next) {
+    if (req.query.location !== undefined) {
+        if (!parseInt(req.query.location)) {
+            return res.status(400).json({ error: 'Invalid location' });
+        }
+        return next();
+    }
+
+    const city = String(req.query.city || '').trim();
+    if (!city) {
+        return res.status(400).json({ error: 'City name is required' });
+    }
+    if (city.length > MAX_CITY_LENGTH) {
+        return res.status(400).json({ error: `City names must be at most ${MAX_CITY_LENGTH} characters` });
+    }
+    next();
+}
+
+// { location } for ?location=<saved id> or ?city=, or { error } for a 404
+async function resolveWeatherQuery(req) {
+    if (req.query.location !== undefined) {
+        const saved = await store.findOne('weather_locations', { id: parseInt(req.query.location), owner: getSessionEmail(req) });
+        return saved ? { location: saved } : { error: 'Saved location not found' };
+    }
+
+    const city = String(req.query.city).trim();
+    const location = await findLocation(city);
+    return location ? { location } : { error: `No place called "${city}" was found` };
+}
+
+function weatherProviderFailed(res, error) {
+    console.error(`Weather provider "${weatherProvider.name}" failed:`, error.message);
+    res.status(502).json({ error: 'The weather service is unavailable right now. Please try again shortly.' });
+}
+
+app.get('/api/weather', requireApiAuth, validateWeatherQuery, enforceDailyLimit('weatherLookups', 'weatherLookupsPerDay'), async (req, res) => {
+    try {
+        const { location, error } = await resolveWeatherQuery(req);
+        if (!location) {
+            return res.status(404).json({ error });
+        }
+
+        res.json(await getCurrentWeather(location, weatherUnits(req.user)));
+    } catch (error) {
+        weatherProviderFailed(res, error);
+    }
+});
+
+app.get('/api/weather/forecast', requireApiAuth, validateWeatherQuery, enforceDailyLimit('weatherLookups', 'weatherLookupsPerDay'), async (req, res) => {
+    try {
+        const { location, error } = await resolveWeatherQuery(req);
+        if (!location) {
+            return res.status(404).json({ error });
+        }
+
+        const units = weatherUnits(req.user);
+        const [current, forecast] = await Promise.all([getCurrentWeather(location, units), getForecast(location, units)]);
+        res.json({ ...current, ...forecast });
+    } catch (error) {
+        weatherProviderFailed(res, error);
+    }
+});
+
+// Autocomplete: a few places whose name starts with q, labelled so the
+// label searches back to the same place
+app.get('/api/weather/places', requireApiAuth, async (req, res) => {
+    const query = normalizePlaceQuery(String(req.query.q || ''));
+    if (query.length < MIN_PLACE_QUERY_LENGTH || query.length > MAX_CITY_LENGTH) {
+        return res.json([]);
+    }
+
+    try {
+        const places = await locationCache.getOrLoad(`places|${query}`,
+            () => weatherProvider.geocode(query, { limit: MAX_PLACE_SUGGESTIONS }));
+        res.json(places.map(place => ({
+            name: place.name,
+            region: place.admin1,
+            country: place.country,
+            label: placeLabel(place)
+        })));
+    } catch (error) {
+        weatherProviderFailed(res, error);
+    }
+});
+
+app.patch('/api/weather/preferences', requireApiAuth, async (req, res) => {
+    const { units } = req.body || {};
+    if (typeof units !== 'string' || !Object.hasOwn(WEATHER_UNITS, units)) {
+        return res.status(400).json({ error: 'Units must be "metric" or "imperial"' });
+    }
+
+    try {
+        await updateUser(req.user.email, { weatherUnits: units });
+        res.json({ units });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to save weather preferences' });
+    }
+});
+
+function savedLocationSummary({ owner, ...location }) {
+    return { ...location, label: placeLabel(location) };
+}
+
+// A provider failure for one place leaves that card without conditions
+// rather than failing the whole list
+app.get('/api/weather/locations', requireApiAuth, async (req, res) => {
+    try {
+        const units = weatherUnits(req.user);
+        const locations = await store.list('weather_locations', { owner: getSessionEmail(req) });
+        locations.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        res.json(await Promise.all(locations.map(async location => ({
+            ...savedLocationSummary(location),
+            current: await getCurrentWeather(location, units).catch(error => {
+                console.error(`Weather provider "${weatherProvider.name}" failed:`, error.message);
+                return null;
+            })
+        }))));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load saved locations' });
+    }
+});
+
+app.post('/api/weather/locations', requireApiAuth, async (req, res) => {
+    const { city: input } = req.body || {};
+    const city = typeof input === 'string' ? input.trim() : '';
+    if (!city) {
+        return res.status(400).json({ error: 'City name is required' });
+    }
+    if (city.length > MAX_CITY_LENGTH) {
+        return res.status(400).json({ error: `City names must be at most ${MAX_CITY_LENGTH} characters` });
+    }
+
+    let location;
+    try {
+        location = await findLocation(city);
+    } catch (error) {
+        return weatherProviderFailed(res, error);
+    }
+    if (!location) {
+        return res.status(404).json({ error: `No place called "${city}" was found` });
+    }
+
+    try {
+        const owner = getSessionEmail(req);
+        const saved = await store.list('weather_locations', { owner });
+        if (saved.some(s => placeKey(s) === placeKey(location))) {
+            return res.status(409).json({ error: `${location.name} is already saved` });
+        }
+        if (saved.length >= MAX_SAVED_LOCATIONS) {
+            return res.status(400).json({ error: `You can save at most ${MAX_SAVED_LOCATIONS} locations` });
+        }
+
+        const record = await store.insert('weather_locations', {
+            id: Date.now(),
+            owner,
+            name: location.name,
+            country: location.country,
+            countryCode: location.countryCode,
+            admin1: location.admin1,
+            latitude: location.latitude,
+            longitude: location.longitude,
+            timezone: location.timezone,
+            createdAt: new Date().toISOString()
+        });
+        res.status(201).json(savedLocationSummary(record));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to save location' });
+    }
+});
+
+app.delete('/api/weather/locations/:id', requireApiAuth, async (req, res) => {
+    try {
+        const location = await store.findOne('weather_locations', { id: parseInt(req.params.id), owner: getSessionEmail(req) });
+        if (!location) {
+            return res.status(404).json({ error: 'Saved location not found' });
+        }
+        await store.remove('weather_locations', location.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to remove location' });
+    }
+});
+
+// ============================================
+// FILES API
+// ============================================
+const uploadStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+        cb(null, UPLOADS_DIR);
+    },
+    filename: (req, file, cb) => {
+        cb(null, crypto.randomBytes(16).toString('hex'));
+    }
+});
+
+function getStorageQuota(user) {
+    return getPlan(user).limits.storageBytes;
+}
+
+// Uploads that are written to disk but not recorded yet, by stored name.
+// They count towards the quota so concurrent uploads can't each see room
+// for themselves.
+const pendingUploads = new Map();
+
+// Trashed files stay on disk, so they count until they are purged
+async function getStorageUsed(email) {
+    const files = await store.list('files', { owner: email });
+    const recorded = new Set(files.map(f => f.storedName));
+    let used = files.reduce((total, f) => total + (f.size || 0), 0);
+    for (const [storedName, upload] of pendingUploads) {
+        if (upload.owner === email && !recorded.has(storedName)) used += upload.size;
+    }
+    return used;
+}
+
+function findOwnedFile(req) {
+    return store.findOne('files', { id: parseInt(req.params.id), owner: getSessionEmail(req), deletedAt: null });
+}
+
+function getStoredFilePath(file) {
+    if (!file || !file.storedName) return null;
+    const filePath = path.join(UPLOADS_DIR, file.storedName);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+app.get('/api/files', requireApiAuth, async (req, res) => {
+    try {
+        const files = await store.list('files', { owner: getSessionEmail(req), deletedAt: null });
+        files.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+        res.json(files);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch files' });
+    }
+});
+
+app.get('/api/files/usage', requireApiAuth, async (req, res) => {
+    try {
+        const owner = getSessionEmail(req);
+        res.json({ used: await getStorageUsed(owner), quota: getStorageQuota(req.user) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch storage usage' });
+    }
+});
+
+app.post('/api/files', requireApiAuth, async (req, res) => {
+    const owner = getSessionEmail(req);
+    const remaining = getStorageQuota(req.user) - await getStorageUsed(owner);
+
+    if (remaining <= 0) {
+        const { status, body } = limitExceeded(req.user, 'storageBytes');
+        return res.status(status).json(body);
+    }
+
+    const upload = multer({
+        storage: uploadStorage,
+        limits: { fileSize: remaining, files: 1 }
+    }).single('file');
+
+    upload(req, res, async (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                const { status, body } = limitExceeded(req.user, 'storageBytes');
+                return res.status(status).json(body);
+            }
+            console.error('Upload error:', err);
+            return res.status(400).json({ error: err.message || 'Upload failed' });
         }
-        if (!content || !content.trim()) {
-            return res.status(400).json({ error: 'Content is required' });
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'A file is required' });
         }
 
-        const notes = readJsonFile(NOTES_FILE);
-        const newNote = {
-            id: Date.now(),
-            title: title.trim(),
-            content: content.trim(),
-            createdAt: new Date().toISOString()
-        };
+        // Other uploads may have finished while this one was being written,
+        // so the quota is checked again now that the size is known
+        try {
+            if (await getStorageUsed(owner) + req.file.size > getStorageQuota(req.user)) {
+                fs.unlink(req.file.path, () => {});
+                const { status, body } = limitExceeded(req.user, 'storageBytes');
+                return res.status(status).json(body);
+            }
+            pendingUploads.set(req.file.filename, { owner, size: req.file.size });
+
+            const fileData = {
+                id: Date.now(),
+                owner,
+                name: req.file.originalname,
+                size: req.file.size,
+                type: req.file.mimetype || 'application/octet-stream',
+                storedName: req.file.filename,
+                uploadedAt: new Date().toISOString()
+            };
+
+            await store.insert('files', fileData);
+            indexRecord('file', fileData);
+            res.status(201).json(fileData);
+        } catch (error) {
+            fs.unlink(req.file.path, () => {});
+            res.status(500).json({ error: 'Failed to save file info' });
+        } finally {
+            pendingUploads.delete(req.file.filename);
+        }
+    });
+});
 
-        notes.push(newNote);
-        writeJsonFile(NOTES_FILE, notes);
-        res.status(201).json(newNote);
+app.get('/api/files/:id/download', requireApiAuth, async (req, res) => {
+    const file = await findOwnedFile(req);
+    const filePath = getStoredFilePath(file);
+
+    if (!filePath) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.download(filePath, file.name, { headers: { 'Content-Type': file.type } });
+});
+
+app.get('/api/files/:id/preview', requireApiAuth, async (req, res) => {
+    const file = await findOwnedFile(req);
+    const filePath = getStoredFilePath(file);
+
+    if (!filePath) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    if (!PREVIEWABLE_TYPES.test(file.type)) {
+        return res.status(415).json({ error: 'Preview is only available for images and PDFs' });
+    }
+
+    res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.type(file.type).sendFile(filePath);
+});
+
+app.delete('/api/files/:id', requireApiAuth, async (req, res) => {
+    try {
+        const file = await findOwnedFile(req);
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        await moveToTrash('file', file);
+        res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create note' });
+        res.status(500).json({ error: 'Failed to delete file' });
     }
 });
 
 // ============================================
-// TO-DO LIST API
+// TRASH
 // ============================================
-app.get('/api/todos', (req, res) => {
+// Deleting a note, todo or file only sets its deletedAt: it drops out of
+// every list and the search index but can be restored until the purge job
+// removes it for good (see lib/trash-purger).
+const TRASH_TYPES = {
+    note: { collection: 'notes', title: note => note.title },
+    todo: { collection: 'todos', title: todo => todo.text },
+    file: { collection: 'files', title: file => file.name }
+};
+
+async function moveToTrash(type, record, updates = {}) {
+    const trashed = await store.update(TRASH_TYPES[type].collection, record.id, {
+        ...updates,
+        deletedAt: new Date().toISOString()
+    });
+    searchIndex.remove(type, record.id);
+    return trashed;
+}
+
+// Removes a record and everything kept alongside it
+async function purgeRecord(type, record) {
+    await store.remove(TRASH_TYPES[type].collection, record.id);
+    searchIndex.remove(type, record.id);
+
+    if (type === 'note') {
+        await noteHistory.removeAll(record.id);
+    } else if (type === 'file') {
+        const filePath = getStoredFilePath(record);
+        if (filePath) await fs.promises.unlink(filePath);
+    }
+}
+
+const trashPurger = createTrashPurger({
+    store,
+    collections: Object.fromEntries(Object.entries(TRASH_TYPES).map(([type, { collection }]) => [type, collection])),
+    purge: purgeRecord
+});
+
+async function findTrashedRecord(req) {
+    const trashType = TRASH_TYPES[req.params.type];
+    if (!trashType) return null;
+
+    const record = await store.findOne(trashType.collection, {
+        id: parseInt(req.params.id),
+        owner: getSessionEmail(req)
+    });
+    return record && record.deletedAt ? record : null;
+}
+
+// [{ type, id, title, deletedAt, purgeAt }], most recently deleted first
+app.get('/api/trash', requireApiAuth, async (req, res) => {
     try {
-        const todos = readJsonFile(TODOS_FILE);
-        todos.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        res.json(todos);
+        const owner = getSessionEmail(req);
+        const items = [];
+
+        for (const [type, { collection, title }] of Object.entries(TRASH_TYPES)) {
+            for (const record of await store.list(collection, { owner })) {
+                if (!record.deletedAt) continue;
+                items.push({
+                    type,
+                    id: record.id,
+                    title: title(record),
+                    deletedAt: record.deletedAt,
+                    purgeAt: trashPurger.purgeAt(record)
+                });
+            }
+        }
+
+        items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        res.json(items);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch todos' });
+        res.status(500).json({ error: 'Failed to fetch trash' });
     }
 });
 
-app.post('/api/todos', (req, res) => {
+// Returns the restored record
+app.post('/api/trash/:type/:id/restore', requireApiAuth, async (req, res) => {
     try {
-        const { id, text, completed, createdAt } = req.body;
+        const { type } = req.params;
+        const record = await findTrashedRecord(req);
+        if (!record) {
+            return res.status(404).json({ error: 'Item not found in trash' });
+        }
 
-        if (!text || !text.trim()) {
-            return res.status(400).json({ error: 'Task text is required' });
+        if (type === 'note') {
+            const notes = await store.list('notes', { owner: record.owner, deletedAt: null });
+            if (!isWithinLimit(getPlan(req.user).limits.notes, notes.length)) {
+                const { status, body } = limitExceeded(req.user, 'notes');
+                return res.status(status).json(body);
+            }
         }
 
-        const todos = readJsonFile(TODOS_FILE);
-        const newTodo = {
-            id: id || Date.now(),
-            text: text.trim(),
-            completed: completed || false,
-            createdAt: createdAt || new Date().toISOString()
-        };
+        const updates = { deletedAt: null };
+        if (type === 'todo') {
+            // Other devices pick the task up again on their next sync
+            updates.version = normalizeTodo(record).version + 1;
+            updates.updatedAt = new Date().toISOString();
+        }
 
-        todos.push(newTodo);
-        writeJsonFile(TODOS_FILE, todos);
-        res.status(201).json(newTodo);
+        const restored = await store.update(TRASH_TYPES[type].collection, record.id, updates);
+        indexRecord(type, restored);
+        res.json(type === 'todo' ? normalizeTodo(restored) : restored);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create todo' });
+        res.status(500).json({ error: 'Failed to restore item' });
     }
 });
 
-app.put('/api/todos/:id', (req, res) => {
+// Deletes one trashed item permanently
+app.delete('/api/trash/:type/:id', requireApiAuth, async (req, res) => {
     try {
-        const id = parseInt(req.params.id);
-        const { text, completed } = req.body;
-
-        const todos = readJsonFile(TODOS_FILE);
-        const todoIndex = todos.findIndex(t => t.id === id);
-
-        if (todoIndex === -1) {
-            return res.status(404).json({ error: 'Todo not found' });
+        const record = await findTrashedRecord(req);
+        if (!record) {
+            return res.status(404).json({ error: 'Item not found in trash' });
         }
 
-        todos[todoIndex] = { ...todos[todoIndex], text, completed };
-        writeJsonFile(TODOS_FILE, todos);
-        res.json(todos[todoIndex]);
+        await purgeRecord(req.params.type, record);
+        res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to update todo' });
+        res.status(500).json({ error: 'Failed to delete item' });
     }
 });
 
-app.delete('/api/todos/:id', (req, res) => {
+// Empties the trash
+app.delete('/api/trash', requireApiAuth, async (req, res) => {
     try {
-        const id = parseInt(req.params.id);
-        let todos = readJsonFile(TODOS_FILE);
-        todos = todos.filter(t => t.id !== id);
-        writeJsonFile(TODOS_FILE, todos);
-        res.json({ success: true });
+        const owner = getSessionEmail(req);
+        let purged = 0;
+
+        for (const [type, { collection }] of Object.entries(TRASH_TYPES)) {
+            for (const record of await store.list(collection, { owner })) {
+                if (!record.deletedAt) continue;
+                await purgeRecord(type, record);
+                purged++;
+            }
+        }
+        res.json({ purged });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to delete todo' });
+        res.status(500).json({ error: 'Failed to empty trash' });
     }
 });
 
 // ============================================
-// WEATHER API (Mock Data)
+// EXPORT & IMPORT
 // ============================================
-const weatherData = {
-    'london': { city: 'London', country: 'UK', temp: 12, weather: 'Clouds', description: 'Overcast clouds', humidity: 78, wind: 5.2 },
-    'paris': { city: 'Paris', country: 'France', temp: 15, weather: 'Clear', description: 'Clear sky', humidity: 65, wind: 3.1 },
-    'new york': { city: 'New York', country: 'USA', temp: 18, weather: 'Clear', description: 'Sunny', humidity: 55, wind: 4.5 },
-    'tokyo': { city: 'Tokyo', country: 'Japan', temp: 22, weather: 'Clouds', description: 'Scattered clouds', humidity: 70, wind: 2.8 },
-    'sydney': { city: 'Sydney', country: 'Australia', temp: 25, weather: 'Clear', description: 'Bright sunshine', humidity: 60, wind: 6.2 },
-    'mumbai': { city: 'Mumbai', country: 'India', temp: 32, weather: 'Clouds', description: 'Partly cloudy', humidity: 75, wind: 4.0 },
-    'chennai': { city: 'Chennai', country: 'India', temp: 34, weather: 'Clear', description: 'Hot and sunny', humidity: 70, wind: 3.5 },
-    'bangalore': { city: 'Bangalore', country: 'India', temp: 28, weather: 'Clouds', description: 'Pleasant weather', humidity: 65, wind: 2.5 },
-    'delhi': { city: 'Delhi', country: 'India', temp: 30, weather: 'Haze', description: 'Hazy conditions', humidity: 55, wind: 3.8 },
-    'dubai': { city: 'Dubai', country: 'UAE', temp: 38, weather: 'Clear', description: 'Hot and dry', humidity: 40, wind: 5.0 },
-    'singapore': { city: 'Singapore', country: 'Singapore', temp: 31, weather: 'Rain', description: 'Light rain', humidity: 85, wind: 2.2 },
-    'berlin': { city: 'Berlin', country: 'Germany', temp: 10, weather: 'Clouds', description: 'Cloudy', humidity: 72, wind: 4.8 },
-    'moscow': { city: 'Moscow', country: 'Russia', temp: -5, weather: 'Snow', description: 'Light snow', humidity: 88, wind: 3.0 },
-    'cairo': { city: 'Cairo', country: 'Egypt', temp: 28, weather: 'Clear', description: 'Sunny and warm', humidity: 35, wind: 4.2 },
-    'rome': { city: 'Rome', country: 'Italy', temp: 20, weather: 'Clear', description: 'Beautiful day', humidity: 58, wind: 2.9 }
-};
+// GET /api/export downloads every live note, todo and file as a ZIP (see
+// lib/archive for the layout). POST /api/import takes that archive, a ZIP of
+// Markdown files or Markdown files from a folder upload.
+//   mode=merge (default) adds what is not already there
+//   mode=replace moves current notes, todos and files to the trash first
+// Anything matching an existing item - a note with the same title and
+// content, a todo with the same text and due date, a file with the same
+// name and size - or an earlier item in the same import is skipped and
+// reported as a duplicate.
+const IMPORT_MAX_BYTES = (parseInt(process.env.IMPORT_MAX_MB) || 200) * 1024 * 1024;
+const IMPORT_MODES = ['merge', 'replace'];
+
+const importUpload = multer({
+    dest: path.join(os.tmpdir(), 'gilded-desk-import'),
+    limits: { fileSize: IMPORT_MAX_BYTES, files: 1000 }
+}).array('files');
+
+function withoutOwner({ owner, deletedAt, ...record }) {
+    return record;
+}
 
-app.get('/api/weather', (req, res) => {
+app.get('/api/export', requireApiAuth, async (req, res) => {
     try {
-        const city = req.query.city?.toLowerCase().trim();
+        const owner = getSessionEmail(req);
+        const [notes, todos, files] = await Promise.all([
+            store.list('notes', { owner, deletedAt: null }),
+            store.list('todos', { owner, deletedAt: null }),
+            store.list('files', { owner, deletedAt: null })
+        ]);
+        const storedFiles = new Map(files.map(file => [file.id, file]));
+
+        res.attachment(`gilded-desk-export-${new Date().toISOString().slice(0, 10)}.zip`);
+        await writeArchive(res, {
+            owner,
+            notes: notes.sort(byPosition).map(withoutOwner),
+            todos: todos.sort(byPosition).map(normalizeTodo).map(withoutOwner),
+            files: files.map(({ storedName, ...file }) => withoutOwner(file)),
+            filePath: file => getStoredFilePath(storedFiles.get(file.id))
+        });
+    } catch (error) {
+        console.error('Export failed:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: 'Failed to export data' });
+        }
+        res.destroy(error);
+    }
+});
+
+// Ids for records created in bulk. New records normally take Date.now() as
+// their id, so these count down from a minute ago - clear of records being
+// created right now and of any created later - skipping ids in use. Handed
+// out ids stay reserved until their records exist, and nothing is awaited
+// between reading the ids in use and reserving new ones, so concurrent
+// imports never get the same id.
+const IMPORT_ID_MARGIN_MS = 60 * 1000;
+const reservedIds = { notes: new Set(), todos: new Set(), files: new Set() };
+
+async function allocateIds(collection, count) {
+    const taken = new Set((await store.list(collection)).map(record => record.id));
+    const reserved = reservedIds[collection];
+    for (const id of reserved) {
+        if (taken.has(id)) reserved.delete(id);
+    }
+
+    const ids = [];
+    for (let id = Date.now() - IMPORT_ID_MARGIN_MS; ids.length < count; id--) {
+        if (!taken.has(id) && !reserved.has(id)) ids.push(id);
+    }
+    ids.forEach(id => reserved.add(id));
+    return ids;
+}
+
+const duplicateKeys = {
+    note: note => `${normalizeTitle(note.title)}\n${String(note.content || '').trim()}`,
+    todo: todo => `${String(todo.text || '').trim().toLowerCase()}\n${todo.dueDate || ''}`,
+    file: file => `${file.name}\n${file.size}`
+};
+
+// Reads the uploads into { notes, todos, files }. Files inside archives are
+// written to the uploads folder straight away, within the storage quota;
+// their stored names go into `stored` until importFiles records them, so
+// the route can delete whatever a failed import left behind.
+async function readImportUploads(uploads, paths, { storageLeft, report, stored }) {
+    const incoming = { notes: [], todos: [], files: [] };
+    const markdown = [];
+    let budget = storageLeft;
+
+    const saveFile = (stream, { name, size }) => {
+        if (size > budget) {
+            stream.resume();
+            report.skipped.push({ type: 'file', title: name, reason: 'Storage quota reached' });
+            return null;
+        }
+        budget -= size;
+
+        const storedName = crypto.randomBytes(16).toString('hex');
+        fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+        stored.add(storedName);
+        return new Promise((resolve, reject) => {
+            stream.pipe(fs.createWriteStream(path.join(UPLOADS_DIR, storedName)))
+                .on('finish', () => resolve({ storedName, size }))
+                .on('error', reject);
+        });
+    };
+
+    for (const [i, upload] of uploads.entries()) {
+        const name = paths[i] || upload.originalname;
+
+        if (/\.zip$/i.test(upload.originalname)) {
+            const archive = await readArchive(upload.path, { saveFile });
+            incoming.notes.push(...archive.notes);
+            incoming.todos.push(...(archive.todos || []));
+            incoming.files.push(...archive.files);
+        } else if (/\.(md|markdown)$/i.test(upload.originalname)) {
+            markdown.push({ path: name, text: await fs.promises.readFile(upload.path, 'utf8') });
+        } else {
+            report.skipped.push({ type: 'file', title: name, reason: 'Not a ZIP archive or Markdown file' });
+        }
+    }
 
-        if (!city) {
-            return res.status(400).json({ error: 'City name is required' });
+    incoming.notes.push(...markdownFilesToNotes(markdown));
+    return incoming;
+}
+
+async function importNotes(notes, { owner, user, seen, report }) {
+    const existing = await store.list('notes', { owner, deletedAt: null });
+    const limit = getPlan(user).limits.notes;
+    const fresh = [];
+
+    for (const note of notes) {
+        if (typeof note.title !== 'string' || typeof note.content !== 'string') {
+            report.skipped.push({ type: 'note', title: String(note.title || '(untitled)'), reason: 'Title and content must be text' });
+            continue;
         }
 
-        if (weatherData[city]) {
-            return res.json(weatherData[city]);
+        const title = note.title.trim();
+        const content = note.content.trim();
+        const { fields, error } = parseNoteFields(note);
+        const key = duplicateKeys.note(note);
+
+        if (!title || !content) {
+            report.skipped.push({ type: 'note', title: title || '(untitled)', reason: 'Title or content is empty' });
+        } else if (error) {
+            report.skipped.push({ type: 'note', title, reason: error });
+        } else if (seen.has(`note:${key}`)) {
+            report.duplicates.push({ type: 'note', title });
+        } else if (!isWithinLimit(limit, existing.length + fresh.length)) {
+            report.skipped.push({ type: 'note', title, reason: 'Note limit reached' });
+        } else {
+            seen.add(`note:${key}`);
+            fresh.push({ note, title, content, fields });
         }
+    }
+
+    const ids = await allocateIds('notes', fresh.length);
+    let position = existing.filter(n => n.position).sort(byPosition).map(n => n.position).pop() || null;
+    const now = new Date().toISOString();
+
+    for (const [i, { note, title, content, fields }] of fresh.entries()) {
+        position = keyBetween(position, null);
+        const newNote = {
+            id: ids[i],
+            owner,
+            title,
+            content,
+            notebook: matchNotebook(existing, fields.notebook || null),
+            tags: fields.tags || [],
+            pinned: !!note.pinned,
+            position,
+            createdAt: note.createdAt || now,
+            updatedAt: note.updatedAt || now
+        };
+        await store.insert('notes', newNote);
+        existing.push(newNote);
+        indexRecord('note', newNote);
+        await noteHistory.recordChange(null, newNote, { author: owner, action: 'import' });
+        report.imported.notes++;
+    }
+}
 
-        const matchedCity = Object.keys(weatherData).find(c => c.includes(city) || city.includes(c));
-        if (matchedCity) {
-            return res.json(weatherData[matchedCity]);
+async function importTodos(todos, { owner, seen, report }) {
+    const fresh = [];
+    for (const todo of todos) {
+        if (!todo || typeof todo !== 'object' || Array.isArray(todo)) {
+            report.skipped.push({ type: 'todo', title: '(no text)', reason: 'Not a todo' });
+            continue;
+        }
+        if (typeof todo.text !== 'string') {
+            report.skipped.push({ type: 'todo', title: '(no text)', reason: 'Task text must be text' });
+            continue;
         }
 
-        const randomWeather = ['Clear', 'Clouds', 'Rain', 'Mist'];
-        const descriptions = ['Pleasant weather', 'Mild conditions', 'Typical weather', 'Seasonal conditions'];
+        const recurrence = todo.recurrence && todo.recurrence.rrule
+            ? { type: 'rrule', rrule: todo.recurrence.rrule }
+            : undefined;
+        const { fields, error } = parseTodoFields({ ...todo, recurrence });
+        const key = duplicateKeys.todo(todo);
 
-        res.json({
-            city: city.charAt(0).toUpperCase() + city.slice(1),
-            country: 'Unknown',
-            temp: Math.floor(Math.random() * 35) + 5,
-            weather: randomWeather[Math.floor(Math.random() * randomWeather.length)],
-            description: descriptions[Math.floor(Math.random() * descriptions.length)],
-            humidity: Math.floor(Math.random() * 50) + 40,
-            wind: Math.round((Math.random() * 8 + 1) * 10) / 10
-        });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch weather data' });
+        if (error || !fields.text) {
+            report.skipped.push({ type: 'todo', title: todo.text || '(no text)', reason: error || 'Task text is required' });
+        } else if (seen.has(`todo:${key}`)) {
+            report.duplicates.push({ type: 'todo', title: fields.text });
+        } else {
+            // Keep the preset name (daily, weekly...) the rule was made from
+            if (fields.recurrence && RECURRENCE_TYPES.includes(todo.recurrence.type)) {
+                fields.recurrence.type = todo.recurrence.type;
+            }
+            seen.add(`todo:${key}`);
+            fresh.push({ todo, fields });
+        }
+    }
+
+    // Series links point at the new ids where both ends were imported
+    const ids = await allocateIds('todos', fresh.length);
+    const newIds = new Map(fresh.map(({ todo }, i) => [todo.id, ids[i]]));
+    const existing = (await store.list('todos', { owner, deletedAt: null })).filter(t => t.position);
+    let position = existing.sort(byPosition).map(t => t.position).pop() || null;
+    const now = new Date().toISOString();
+
+    for (const [i, { todo, fields }] of fresh.entries()) {
+        position = keyBetween(position, null);
+        const newTodo = normalizeTodo(withSchedule({
+            id: ids[i],
+            owner,
+            completed: false,
+            ...fields,
+            position,
+            seriesId: newIds.get(todo.seriesId) || null,
+            occurrence: todo.occurrence || 1,
+            nextOccurrenceId: newIds.get(todo.nextOccurrenceId) || null,
+            createdAt: todo.createdAt ? clientTimestamp(todo.createdAt) : now,
+            updatedAt: now,
+            version: 1
+        }));
+        // Reminders that were due before the import are not sent late
+        if (newTodo.remindAt && new Date(newTodo.remindAt) <= new Date()) {
+            newTodo.reminderSentAt = now;
+        }
+        await store.insert('todos', newTodo);
+        indexRecord('todo', newTodo);
+        report.imported.todos++;
+    }
+}
+
+// The files are already in the uploads folder; duplicates are removed again
+async function importFiles(files, { owner, seen, report, stored }) {
+    const ids = await allocateIds('files', files.length);
+
+    for (const [i, file] of files.entries()) {
+        const key = duplicateKeys.file(file);
+        if (seen.has(`file:${key}`)) {
+            report.duplicates.push({ type: 'file', title: file.name });
+            await fs.promises.unlink(path.join(UPLOADS_DIR, file.storedName)).catch(() => {});
+            stored.delete(file.storedName);
+            continue;
+        }
+        seen.add(`file:${key}`);
+
+        const fileData = {
+            id: ids[i],
+            owner,
+            name: file.name,
+            size: file.size,
+            type: file.type || 'application/octet-stream',
+            storedName: file.storedName,
+            uploadedAt: file.uploadedAt || new Date().toISOString()
+        };
+        await store.insert('files', fileData);
+        stored.delete(file.storedName);
+        indexRecord('file', fileData);
+        report.imported.files++;
     }
+}
+
+// Multipart body: files (one or more) and optionally paths, a JSON array of
+// each file's path within an uploaded folder. ?mode=merge|replace
+// Returns { mode, imported: { notes, todos, files }, duplicates, skipped }.
+app.post('/api/import', requireApiAuth, (req, res) => {
+    importUpload(req, res, async (err) => {
+        const uploads = req.files || [];
+        const stored = new Set();
+        try {
+            if (err) {
+                return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'The import is too large' : err.message });
+            }
+
+            const mode = req.query.mode || req.body.mode || 'merge';
+            if (!IMPORT_MODES.includes(mode)) {
+                return res.status(400).json({ error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` });
+            }
+            if (uploads.length === 0) {
+                return res.status(400).json({ error: 'Choose an export archive or Markdown files to import' });
+            }
+
+            let paths = [];
+            try {
+                paths = req.body.paths ? JSON.parse(req.body.paths) : [];
+            } catch (error) {
+                return res.status(400).json({ error: 'paths must be a JSON array' });
+            }
+            if (!Array.isArray(paths) || paths.some(p => typeof p !== 'string')) {
+                return res.status(400).json({ error: 'paths must be a JSON array of strings' });
+            }
+
+            const owner = getSessionEmail(req);
+            const report = { mode, imported: { notes: 0, todos: 0, files: 0 }, duplicates: [], skipped: [] };
+            const storageLeft = getStorageQuota(req.user) - await getStorageUsed(owner);
+
+            let incoming;
+            try {
+                incoming = await readImportUploads(uploads, paths, { storageLeft, report, stored });
+            } catch (error) {
+                return res.status(400).json({ error: `Could not read the import: ${error.message}` });
+            }
+
+            const current = {};
+            for (const type of Object.keys(TRASH_TYPES)) {
+                current[type] = await store.list(TRASH_TYPES[type].collection, { owner, deletedAt: null });
+            }
+
+            // Nothing is trashed until the upload has been read successfully
+            if (mode === 'replace') {
+                for (const [type, records] of Object.entries(current)) {
+                    for (const record of records) {
+                        const updates = type === 'todo'
+                            ? { version: normalizeTodo(record).version + 1, updatedAt: new Date().toISOString() }
+                            : {};
+                        await moveToTrash(type, record, updates);
+                    }
+                    current[type] = [];
+                }
+            }
+
+            const seen = new Set();
+            for (const [type, records] of Object.entries(current)) {
+                records.forEach(record => seen.add(`${type}:${duplicateKeys[type](record)}`));
+            }
+
+            const context = { owner, user: req.user, seen, report, stored };
+            await importNotes(incoming.notes, context);
+            await importTodos(incoming.todos, context);
+            await importFiles(incoming.files, context);
+            res.json(report);
+        } catch (error) {
+            console.error('Import failed:', error);
+            res.status(500).json({ error: 'Failed to import data' });
+        } finally {
+            for (const upload of uploads) {
+                fs.unlink(upload.path, () => {});
+            }
+            // Archive files that never got a record, if the import failed
+            for (const storedName of stored) {
+                fs.unlink(path.join(UPLOADS_DIR, storedName), () => {});
+            }
+        }
+    });
 });
 
 // ============================================
-// FILES API
+// CHAT API
 // ============================================
-app.get('/api/files', (req, res) => {
+// POST /api/chat { message, conversationId } adds the message to the
+// conversation (a new one without conversationId) and hands the latest
+// CHAT_CONTEXT_MESSAGES turns to the configured provider (see
+// lib/chat-providers). With Accept: text/event-stream the reply streams back
+// as server-sent events:
+//   event: conversation   data: { id, title }   sent first
+//   event: token   data: { "text": "..." }   a piece of the reply
+//   event: action  data: { content, action }   a proposed action (below)
+//   event: done    data: { "response": "...", conversationId }   the whole reply
+//   event: error   data: { "error": "..." }
+// Otherwise { response, conversationId, actions } is returned once the reply
+// is complete.
+//
+// Actions: the provider can call the tools in lib/chat-tools. A call is not
+// run straight away but saved as an assistant message with a pending action,
+// which the chat shows as a card. POST .../actions/:actionId/confirm runs it
+// and stores the result on the message; .../cancel drops it.
+const chatProvider = createChatProvider();
+const MAX_CHAT_MESSAGE_LENGTH = 4000;
+const MAX_CONVERSATION_TITLE_LENGTH = 80;
+const CHAT_CONTEXT_MESSAGES = parseInt(process.env.CHAT_CONTEXT_MESSAGES) || 20;
+const CHAT_SYSTEM_PROMPT = process.env.CHAT_SYSTEM_PROMPT ||
+    'You are the scholarly assistant of The Gilded Desk, a productivity suite with notes, todos, ' +
+    'weather and file storage. Answer helpfully and concisely, with a touch of Victorian charm.';
+
+// The user's calendar date, YYYY-MM-DD
+function localDate(timeZone, date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Saves the reply text (if any) and the proposed actions after it
+async function saveChatReply(conversation, response, actions = []) {
+    const now = new Date().toISOString();
+    const replies = [
+        ...(response.trim() ? [{ role: 'assistant', content: response, createdAt: now }] : []),
+        ...actions
+    ];
+    if (replies.length === 0) return;
+
+    const current = await store.get('chat_conversations', conversation.id);
+    if (!current) return;
+    await store.update('chat_conversations', conversation.id, {
+        messages: [...current.messages, ...replies],
+        updatedAt: now
+    });
+}
+
+function proposeAction({ name, arguments: args }, timeZone) {
+    return {
+        role: 'assistant',
+        content: describeToolCall({ name, arguments: args }),
+        action: {
+            id: crypto.randomBytes(8).toString('hex'),
+            tool: name,
+            arguments: args,
+            timeZone,
+            status: 'pending'
+        },
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Providers see actions as plain assistant turns saying what came of them
+function contextMessage({ role, content, action }) {
+    if (!action) return { role, content };
+    const outcome = {
+        pending: 'Waiting for the user to confirm.',
+        cancelled: 'The user cancelled this.',
+        failed: `This failed: ${action.error}`,
+        done: action.result && action.result.message
+    }[action.status];
+    return { role, content: `${content}. ${outcome || ''}`.trim() };
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Checked before the daily limit so a rejected message isn't counted
+function validateChatMessage(req, res, next) {
+    const body = req.body || {};
+    const message = typeof body.message === 'string' ? body.message.trim() : '';
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+    if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+        return res.status(400).json({ error: `Messages must be at most ${MAX_CHAT_MESSAGE_LENGTH} characters` });
+    }
+    req.body.message = message;
+    next();
+}
+
+// New conversations are named after their first message until renamed
+function conversationTitle(message) {
+    const title = message.replace(/\s+/g, ' ').trim();
+    return title.length > 60 ? `${title.slice(0, 59).trimEnd()}…` : title;
+}
+
+function conversationSummary({ messages, owner, ...conversation }) {
+    return { ...conversation, messageCount: messages.length };
+}
+
+async function findOwnedConversation(req) {
+    const conversation = await store.get('chat_conversations', parseInt(req.params.id));
+    return conversation && conversation.owner === getSessionEmail(req) ? conversation : null;
+}
+
+app.get('/api/chat/conversations', requireApiAuth, async (req, res) => {
     try {
-        const files = readJsonFile(FILES_FILE);
-        res.json(files);
+        const conversations = await store.list('chat_conversations', { owner: getSessionEmail(req) });
+        conversations.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        res.json(conversations.map(conversationSummary));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch files' });
+        res.status(500).json({ error: 'Failed to load conversations' });
     }
 });
 
-app.post('/api/files', (req, res) => {
+app.get('/api/chat/conversations/:id', requireApiAuth, async (req, res) => {
     try {
-        const fileData = req.body;
-        const files = readJsonFile(FILES_FILE);
-        files.push(fileData);
-        writeJsonFile(FILES_FILE, files);
-        res.status(201).json(fileData);
+        const conversation = await findOwnedConversation(req);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        const { owner, ...rest } = conversation;
+        res.json(rest);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to save file info' });
+        res.status(500).json({ error: 'Failed to load conversation' });
     }
 });
 
-app.delete('/api/files/:id', (req, res) => {
+// Renaming doesn't change updatedAt, so the list order stays put
+app.patch('/api/chat/conversations/:id', requireApiAuth, async (req, res) => {
     try {
-        const id = parseInt(req.params.id);
-        let files = readJsonFile(FILES_FILE);
-        files = files.filter(f => f.id !== id);
-        writeJsonFile(FILES_FILE, files);
+        const conversation = await findOwnedConversation(req);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const { title: input } = req.body || {};
+        const title = typeof input === 'string' ? input.replace(/\s+/g, ' ').trim() : '';
+        if (!title) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        if (title.length > MAX_CONVERSATION_TITLE_LENGTH) {
+            return res.status(400).json({ error: `Titles must be at most ${MAX_CONVERSATION_TITLE_LENGTH} characters` });
+        }
+
+        const updated = await store.update('chat_conversations', conversation.id, { title });
+        res.json(conversationSummary(updated));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to rename conversation' });
+    }
+});
+
+app.delete('/api/chat/conversations/:id', requireApiAuth, async (req, res) => {
+    try {
+        const conversation = await findOwnedConversation(req);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        await store.remove('chat_conversations', conversation.id);
         res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to delete file' });
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
+app.post('/api/chat', requireApiAuth, validateChatMessage, enforceDailyLimit('chatMessages', 'chatMessagesPerDay'), async (req, res) => {
+    const owner = getSessionEmail(req);
+    const { message, conversationId } = req.body;
+    let conversation;
+
+    try {
+        if (conversationId) {
+            conversation = await store.get('chat_conversations', parseInt(conversationId));
+            if (!conversation || conversation.owner !== owner) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+        } else {
+            const now = new Date().toISOString();
+            conversation = await store.insert('chat_conversations', {
+                id: Date.now(),
+                owner,
+                title: conversationTitle(message),
+                messages: [],
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+
+        // The question is kept even if no reply comes back
+        conversation = await store.update('chat_conversations', conversation.id, {
+            messages: [...conversation.messages, { role: 'user', content: message, createdAt: new Date().toISOString() }],
+            updatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        return res.status(500).json({ error: 'Failed to save message' });
+    }
+
+    const timeZone = req.body.timeZone && isValidTimeZone(req.body.timeZone) ? req.body.timeZone : 'UTC';
+    const today = localDate(timeZone);
+    const messages = [
+        {
+            role: 'system',
+            content: `${CHAT_SYSTEM_PROMPT} Today is ${today}. You can act on the user's notes and todos ` +
+                'with the tools provided; each call is shown to the user to confirm before it runs.'
+        },
+        ...conversation.messages.slice(-CHAT_CONTEXT_MESSAGES).map(contextMessage)
+    ];
+    const streaming = req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+
+    // Stop generating if the browser goes away mid-reply
+    const aborter = new AbortController();
+    res.on('close', () => aborter.abort());
+
+    if (streaming) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        sendEvent(res, 'conversation', { id: conversation.id, title: conversation.title });
+    }
+
+    let response = '';
+    const actions = [];
+    try {
+        const stream = chatProvider.stream(messages, { signal: aborter.signal, tools: CHAT_TOOLS, today });
+        for await (const chunk of stream) {
+            if (typeof chunk === 'string') {
+                response += chunk;
+                if (streaming) sendEvent(res, 'token', { text: chunk });
+            } else {
+                // Model output: a call that doesn't fit its tool's schema is
+                // dropped rather than shown as a card
+                const call = validateToolCall(chunk.toolCall);
+                if (!call) {
+                    console.warn(`Ignoring invalid call to chat tool "${chunk.toolCall && chunk.toolCall.name}"`);
+                    continue;
+                }
+                const proposal = proposeAction(call, timeZone);
+                actions.push(proposal);
+                if (streaming) sendEvent(res, 'action', proposal);
+            }
+        }
+        await saveChatReply(conversation, response, actions);
+
+        if (streaming) {
+            sendEvent(res, 'done', { response, conversationId: conversation.id });
+            return res.end();
+        }
+        res.json({ response, conversationId: conversation.id, actions });
+    } catch (error) {
+        if (aborter.signal.aborted) {
+            // Keep whatever arrived before the browser left
+            return saveChatReply(conversation, response, actions).catch(() => {});
+        }
+        console.error(`Chat provider "${chatProvider.name}" failed:`, error.message);
+        // Keep what was already streamed to the user as well
+        await saveChatReply(conversation, response, actions).catch(() => {});
+
+        const body = { error: 'The assistant is unavailable right now. Please try again shortly.' };
+        if (!streaming) {
+            return res.status(502).json(body);
+        }
+        sendEvent(res, 'error', body);
+        res.end();
     }
 });
 
 // ============================================
-// CHAT API
+// CHAT ACTIONS
 // ============================================
-const chatResponses = [
-    "Indeed, that is a most intriguing thought!",
-    "Pray tell, would you like me to elaborate on that matter?",
-    "A splendid observation, if I may say so myself.",
-    "How fascinating! The pursuit of knowledge is truly noble.",
-    "I find your inquiry most stimulating, dear friend.",
-    "Capital! That reminds me of an old proverb...",
-    "Your words carry wisdom beyond measure.",
-    "Allow me to ponder upon this matter with great care.",
-    "Excellent question! The answer lies in careful contemplation.",
-    "How delightful to engage in such scholarly discourse!"
-];
+// What each tool in lib/chat-tools does once confirmed. Handlers get the
+// call's arguments and { user, timeZone } and return { message, items }
+// for the card - items being [{ type, id, title, detail }] the user can
+// open - or { error } when the request can't be carried out.
+const CHAT_LIST_LIMIT = 20;
+const runningChatActions = new Set();
+
+function todoItem(todo) {
+    const detail = [
+        todo.completed ? 'Done' : null,
+        todo.dueDate ? `Due ${todo.dueDate}` : null,
+        todo.priority !== 'none' ? `${todo.priority} priority` : null
+    ].filter(Boolean).join(' · ');
+    return { type: 'todo', id: todo.id, title: todo.text, detail };
+}
+
+function noteExcerpt(content) {
+    const text = String(content || '')
+        .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, title, label) => label || title)
+        .replace(/[#>*_`~]|^\s*[-+]\s+(\[[ x]\]\s*)?/gm, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    const sentence = text.match(/^.+?[.!?](?=\s|$)/);
+    const excerpt = sentence ? sentence[0] : text;
+    return excerpt.length > 140 ? `${excerpt.slice(0, 139).trimEnd()}…` : excerpt;
+}
+
+// Live notes last edited between since and until (user's dates, inclusive),
+// newest first
+async function notesEditedBetween(owner, { since, until }, timeZone) {
+    if ((since && !isValidDate(since)) || (until && !isValidDate(until))) {
+        return { error: 'Dates must be YYYY-MM-DD' };
+    }
+    const notes = (await store.list('notes', { owner, deletedAt: null })).filter(note => {
+        const day = localDate(timeZone, new Date(note.updatedAt || note.createdAt));
+        return (!since || day >= since) && (!until || day <= until);
+    });
+    notes.sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt));
+    return { notes };
+}
+
+function periodText({ since, until }) {
+    if (since && until) return since === until ? ` from ${since}` : ` from ${since} to ${until}`;
+    if (since) return ` since ${since}`;
+    if (until) return ` up to ${until}`;
+    return '';
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
 
-app.post('/api/chat', (req, res) => {
+const chatToolHandlers = {
+    async create_todo(args, { user, timeZone }) {
+        const { fields, error } = parseTodoFields({
+            text: args.text || '',
+            dueDate: args.dueDate || null,
+            priority: args.priority || 'none',
+            timeZone
+        });
+        if (error) return { error };
+
+        const todo = await createTodo(user.email, fields);
+        return { message: `Added "${todo.text}" to your todos.`, items: [todoItem(todo)] };
+    },
+
+    async list_todos(args, { user, timeZone }) {
+        const filter = args.filter || 'open';
+        const today = localDate(timeZone);
+        const matches = {
+            open: todo => !todo.completed,
+            today: todo => !todo.completed && todo.dueDate === today,
+            overdue: todo => !todo.completed && todo.dueDate && todo.dueDate < today,
+            completed: todo => todo.completed
+        }[filter];
+        if (!matches) return { error: `Unknown filter "${filter}"` };
+
+        const todos = (await store.list('todos', { owner: user.email, deletedAt: null }))
+            .map(normalizeTodo)
+            .filter(matches)
+            .sort(byPosition);
+        const label = { open: 'open', today: 'due today', overdue: 'overdue', completed: 'completed' }[filter];
+        const message = filter === 'today' || filter === 'overdue'
+            ? `You have ${plural(todos.length, 'task')} ${label}.`
+            : `You have ${plural(todos.length, `${label} task`)}.`;
+        return { message, items: todos.slice(0, CHAT_LIST_LIMIT).map(todoItem) };
+    },
+
+    async create_note(args, { user }) {
+        const title = String(args.title || '').trim();
+        const content = String(args.content || '').trim();
+        if (!title || !content) return { error: 'A note needs a title and some content' };
+
+        const note = await createNote(user, { title, content });
+        if (!note) return { error: limitExceeded(user, 'notes').body.error };
+        return {
+            message: `Created the note "${note.title}".`,
+            items: [{ type: 'note', id: note.id, title: note.title, detail: noteExcerpt(note.content) }]
+        };
+    },
+
+    async list_notes(args, { user, timeZone }) {
+        const { notes, error } = await notesEditedBetween(user.email, args, timeZone);
+        if (error) return { error };
+
+        return {
+            message: `You have ${plural(notes.length, 'note')}${periodText(args)}.`,
+            items: notes.slice(0, CHAT_LIST_LIMIT).map(note => ({
+                type: 'note',
+                id: note.id,
+                title: note.title,
+                detail: [note.notebook, `Edited ${localDate(timeZone, new Date(note.updatedAt || note.createdAt))}`].filter(Boolean).join(' · ')
+            }))
+        };
+    },
+
+    // A digest rather than prose: how many notes, where they live, the
+    // common tags, and the opening sentence of each
+    async summarize_notes(args, { user, timeZone }) {
+        const { notes, error } = await notesEditedBetween(user.email, args, timeZone);
+        if (error) return { error };
+        if (notes.length === 0) {
+            return { message: `You have no notes${periodText(args)}.`, items: [] };
+        }
+
+        const counts = field => {
+            const tally = new Map();
+            notes.flatMap(note => [].concat(note[field] || [])).forEach(value => tally.set(value, (tally.get(value) || 0) + 1));
+            return [...tally.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([value]) => value);
+        };
+        const notebooks = counts('notebook');
+        const tags = counts('tags');
+
+        const message = [
+            `You wrote or edited ${plural(notes.length, 'note')}${periodText(args)}.`,
+            notebooks.length ? `Notebooks: ${notebooks.join(', ')}.` : '',
+            tags.length ? `Common tags: ${tags.map(tag => `#${tag}`).join(' ')}.` : ''
+        ].filter(Boolean).join(' ');
+
+        return {
+            message,
+            items: notes.slice(0, CHAT_LIST_LIMIT).map(note => ({
+                type: 'note',
+                id: note.id,
+                title: note.title,
+                detail: noteExcerpt(note.content)
+            }))
+        };
+    },
+
+    async search(args, { user }) {
+        const query = String(args.query || '').trim();
+        if (!query) return { error: 'Nothing to search for' };
+        if (query.length > MAX_SEARCH_LENGTH) {
+            return { error: `Search is limited to ${MAX_SEARCH_LENGTH} characters` };
+        }
+
+        // Search results are highlighted HTML; cards show plain text
+        const plainText = html => html
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+        const results = searchIndex.search(user.email, query, { limit: CHAT_LIST_LIMIT });
+
+        return {
+            message: `Found ${plural(results.length, 'match')} for "${query}".`,
+            items: results.map(result => ({
+                type: result.type,
+                id: result.id,
+                title: plainText(result.title),
+                detail: plainText(result.snippet)
+            }))
+        };
+    }
+};
+
+// The pending action with this id in the signed-in user's conversation
+async function findChatAction(req) {
+    const conversation = await findOwnedConversation(req);
+    if (!conversation) return {};
+    const index = conversation.messages.findIndex(m => m.action && m.action.id === req.params.actionId);
+    return index === -1 ? { conversation } : { conversation, index };
+}
+
+async function saveChatAction(conversation, index, updates) {
+    const current = await store.get('chat_conversations', conversation.id);
+    const messages = current.messages.map((message, i) => i === index
+        ? { ...message, action: { ...message.action, ...updates } }
+        : message);
+    const updated = await store.update('chat_conversations', conversation.id, { messages });
+    return updated.messages[index];
+}
+
+// A second confirm while the first is still running gets a 409 too
+app.post('/api/chat/conversations/:id/actions/:actionId/confirm', requireApiAuth, async (req, res) => {
+    const key = `${req.params.id}:${req.params.actionId}`;
+    let running = false;
+    try {
+        const { conversation, index } = await findChatAction(req);
+        if (index === undefined) {
+            return res.status(404).json({ error: 'Action not found' });
+        }
+        const { action } = conversation.messages[index];
+        if (action.status !== 'pending' || runningChatActions.has(key)) {
+            return res.status(409).json({ error: 'This action has already been handled' });
+        }
+
+        runningChatActions.add(key);
+        running = true;
+        const outcome = await chatToolHandlers[action.tool](action.arguments || {}, {
+            user: req.user,
+            timeZone: action.timeZone || 'UTC'
+        });
+
+        const message = await saveChatAction(conversation, index, outcome.error
+            ? { status: 'failed', error: outcome.error, handledAt: new Date().toISOString() }
+            : { status: 'done', result: outcome, handledAt: new Date().toISOString() });
+        res.json(message);
+    } catch (error) {
+        console.error('Chat action failed:', error);
+        res.status(500).json({ error: 'Failed to run action' });
+    } finally {
+        if (running) runningChatActions.delete(key);
+    }
+});
+
+app.post('/api/chat/conversations/:id/actions/:actionId/cancel', requireApiAuth, async (req, res) => {
     try {
-        const { message } = req.body;
-        const response = chatResponses[Math.floor(Math.random() * chatResponses.length)];
-        res.json({ response });
+        const { conversation, index } = await findChatAction(req);
+        if (index === undefined) {
+            return res.status(404).json({ error: 'Action not found' });
+        }
+        const { action } = conversation.messages[index];
+        if (action.status !== 'pending' || runningChatActions.has(`${req.params.id}:${req.params.actionId}`)) {
+            return res.status(409).json({ error: 'This action has already been handled' });
+        }
+
+        res.json(await saveChatAction(conversation, index, { status: 'cancelled', handledAt: new Date().toISOString() }));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to process message' });
+        res.status(500).json({ error: 'Failed to cancel action' });
     }
 });
 
 // ============================================
 // START SERVER
 // ============================================
+migrateUnownedRecords()
+    .catch(error => {
+        console.error('Failed to migrate unowned records:', error);
+    })
+    .then(buildSearchIndex)
+    .catch(error => {
+        console.error('Failed to build search index:', error);
+    });
+
+noteHistory.pruneAll()
+    .then(removed => {
+        if (removed > 0) console.log(`🗂️  Pruned ${removed} old note revision(s)`);
+    })
+    .catch(error => {
+        console.error('Failed to prune note revisions:', error);
+    });
+
+reminderScheduler.start();
+trashPurger.start();
+
 app.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════════════════════════╗